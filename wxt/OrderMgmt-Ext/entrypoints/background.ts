@@ -2,10 +2,81 @@
  * Background script — Veeqo USPS (migrated from LabelProcess_ChromeExt)
  */
 import {
+  fetchLabelFilterOptions,
   generateDailyLabelsPdf,
+  generateReprintPdf,
+  parseReprintList,
+  uint8ToBase64,
   type DailyLabelsProgress,
   type DailyLabelsResult,
+  type LabelFilterOption,
 } from '../utils/dailyLabels';
+import { describeCarriers, type CarrierId } from '../utils/carriers';
+import { clearLabelCache, getLabelCacheStats } from '../utils/labelCache';
+import { loadLabelStampSettings } from '../utils/labelStamp';
+import { buildPdfFileName } from '../utils/labelsFileName';
+import {
+  DEFAULT_SLIP_PDF_LAYOUT,
+  DELIVERY_TEMPLATE_STORAGE_KEY,
+  loadSlipPdfLayout,
+  normalizeSlipPdfLayout,
+  type DeliveryTemplate,
+  type DeliverySlipPdfLayout,
+} from '../utils/deliveryTemplate';
+import { generateDeliverySlipsPdf, slipCodeImages, type DeliverySlip } from '../utils/deliverySlipPdf';
+import { loadPackagePresets, type PackagePresetRule } from '../utils/packagePresets';
+import {
+  LABELS_SCHEDULE_KEY,
+  appendScheduleHistory,
+  isAlarmOnSchedule,
+  nextScheduledRun,
+  normalizeLabelsSchedule,
+} from '../utils/labelsSchedule';
+import {
+  appendNoteAuditEntry,
+  customerNoteOf,
+  employeeNoteIds,
+  employeeNoteText,
+  latestEmployeeNoteOf,
+  loadNoteAuditLog,
+  markNoteAuditEntries,
+  type NoteAuditEntry,
+} from '../utils/noteAudit';
+
+const LABELS_JOB_KEY = 'dailyLabelsJob';
+/** PDF of the last finished job, kept apart so job-state reads stay small. */
+const LABELS_JOB_PDF_KEY = 'dailyLabelsJobPdf';
+const LABELS_NOTIFICATION_PREFIX = 'dailyLabels:';
+const LABELS_SCHEDULE_ALARM = 'dailyLabelsSchedule';
+
+type DailyLabelsJobRequest = {
+  /** 'reprint' builds the PDF from reprintKeys instead of a date range. */
+  mode?: 'daily' | 'reprint';
+  reprintKeys?: string[];
+  targetDate?: string | null;
+  endDate?: string | null;
+  addTimestamp?: boolean;
+  includeManifest?: boolean;
+  includeDeliverySlips?: boolean;
+  carriers?: CarrierId[];
+  channelIds?: number[];
+  warehouseIds?: number[];
+};
+
+/** Persisted in chrome.storage.local so the popup can reattach after being closed. */
+type DailyLabelsJob = {
+  id: string;
+  status: 'running' | 'done' | 'error';
+  request: DailyLabelsJobRequest;
+  progress: DailyLabelsProgress | null;
+  startedAt: number;
+  finishedAt?: number;
+  error?: string;
+  result?: Omit<DailyLabelsResult, 'pdfBase64'>;
+};
+
+/** Id of the job running in this worker; a stored "running" job with another id was interrupted. */
+let activeLabelsJobId: string | null = null;
 
 export default defineBackground(() => {
   chrome.runtime.onInstalled.addListener((details) => {
@@ -15,6 +86,7 @@ export default defineBackground(() => {
     } else if (details.reason === 'update') {
       console.log('Extension updated to version:', chrome.runtime.getManifest().version);
     }
+    syncLabelsScheduleAlarm();
   });
 
   chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
@@ -39,18 +111,42 @@ export default defineBackground(() => {
       case 'updateVeeqoOrder_InternalNote':
         handleUpdateVeeqoOrder_InternalNote(request, sendResponse);
         return true;
+      case 'revertNoteWrites':
+        handleRevertNoteWrites(request, sendResponse);
+        return true;
       case 'injectUSPSAutoFill':
         handleInjectUSPSAutoFill(request, sendResponse);
         return true;
+      case 'getPackagePresets':
+        handleGetPackagePresets(sendResponse);
+        return true;
       case 'getDeliveryInstructionsTemplate':
-        handleGetDeliveryInstructionsTemplate(sendResponse);
+        handleGetDeliveryInstructionsTemplate(request, sendResponse);
+        return true;
+      case 'getDeliverySlipCodes':
+        handleGetDeliverySlipCodes(request, sendResponse);
+        return true;
+      case 'generateDeliverySlipsPdf':
+        handleGenerateDeliverySlipsPdf(request, sendResponse);
+        return true;
+      case 'startDailyLabelsJob':
+        handleStartDailyLabelsJob(request, sendResponse);
         return true;
-      case 'generateDailyLabelsPdf':
-        handleGenerateDailyLabelsPdf(request, sendResponse);
+      case 'getDailyLabelsJob':
+        handleGetDailyLabelsJob(sendResponse);
+        return true;
+      case 'getLabelFilterOptions':
+        handleGetLabelFilterOptions(sendResponse);
         return true;
       case 'downloadDailyLabelsPdf':
         handleDownloadDailyLabelsPdf(request, sendResponse);
         return true;
+      case 'getLabelCacheStats':
+        handleGetLabelCacheStats(sendResponse);
+        return true;
+      case 'clearLabelCache':
+        handleClearLabelCache(sendResponse);
+        return true;
       case 'logMessage':
         console.log('Content script log:', request.message);
         break;
@@ -61,6 +157,21 @@ export default defineBackground(() => {
 
   chrome.runtime.onStartup.addListener(() => {
     console.log('Veeqo USPS Extension started');
+    syncLabelsScheduleAlarm();
+  });
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === LABELS_SCHEDULE_ALARM) runScheduledLabelsJob();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[LABELS_SCHEDULE_KEY]) syncLabelsScheduleAlarm();
+  });
+
+  chrome.notifications.onButtonClicked.addListener((notificationId) => {
+    handleLabelsNotificationClick(notificationId);
+  });
+  chrome.notifications.onClicked.addListener((notificationId) => {
+    handleLabelsNotificationClick(notificationId);
   });
 });
 
@@ -246,8 +357,49 @@ async function handleFetchOrderById(
   }
 }
 
+type NoteWriteRequest = {
+  apiKey?: string;
+  orderId?: string | number;
+  /** Feature making the write, for the audit log (see NOTE_AUDIT_SOURCES) */
+  source?: string;
+  /** Groups the writes of one run so they can be reverted together */
+  batchId?: string;
+};
+
+type VeeqoOrderNotes = Parameters<typeof customerNoteOf>[0];
+
+/** Current order for the audit log; null when it cannot be read (the write still goes ahead). */
+async function fetchOrderNotes(apiKey: string, orderId: string | number): Promise<VeeqoOrderNotes> {
+  try {
+    const response = await fetch(`https://api.veeqo.com/orders/${orderId}`, {
+      headers: { 'x-api-key': apiKey, Accept: 'application/json' },
+    });
+    return response.ok ? ((await response.json()) as VeeqoOrderNotes) : null;
+  } catch (error) {
+    console.warn(`Could not read order ${orderId} before writing its note:`, error);
+    return null;
+  }
+}
+
+async function putVeeqoOrder(
+  apiKey: string,
+  orderId: string | number,
+  order: Record<string, unknown>
+): Promise<{ success: boolean; data?: unknown; error?: string }> {
+  const response = await fetch(`https://api.veeqo.com/orders/${orderId}`, {
+    method: 'PUT',
+    headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ order }),
+  });
+  if (response.ok) {
+    return { success: true, data: await response.json() };
+  }
+  const errorText = await response.text();
+  return { success: false, error: `API request failed: ${response.status} ${errorText}` };
+}
+
 async function handleUpdateVeeqoOrder_CustomerNote(
-  request: { apiKey?: string; orderId?: string | number; customerNote?: string },
+  request: NoteWriteRequest & { customerNote?: string },
   sendResponse: (r: { success: boolean; data?: unknown; error?: string }) => void
 ) {
   try {
@@ -264,28 +416,32 @@ async function handleUpdateVeeqoOrder_CustomerNote(
       sendResponse({ success: false, error: 'Customer note is required' });
       return;
     }
-    const response = await fetch(`https://api.veeqo.com/orders/${orderId}`, {
-      method: 'PUT',
-      headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        order: { customer_note_attributes: { text: customerNote } },
-      }),
+    const before = await fetchOrderNotes(apiKey, orderId);
+    const result = await putVeeqoOrder(apiKey, orderId, {
+      customer_note_attributes: { text: customerNote },
     });
-    if (response.ok) {
-      const data = await response.json();
-      sendResponse({ success: true, data });
-    } else {
-      const errorText = await response.text();
-      sendResponse({ success: false, error: `API request failed: ${response.status} ${errorText}` });
+    if (result.success) {
+      await appendNoteAuditEntry({
+        batchId: request.batchId || `single-${Date.now()}`,
+        source: request.source || 'unknown',
+        orderId: String(orderId),
+        orderNumber: before?.number != null ? String(before.number) : undefined,
+        field: 'customer_note',
+        oldValue: customerNoteOf(before),
+        oldValueKnown: before != null,
+        newValue: customerNote,
+      });
     }
+    sendResponse(result);
   } catch (error: unknown) {
     const err = error as Error;
     sendResponse({ success: false, error: err.message });
   }
 }
 
+/** With `noteId` the employee note is edited in place (note tags); otherwise a note is added. */
 async function handleUpdateVeeqoOrder_InternalNote(
-  request: { apiKey?: string; orderId?: string | number; internalNote?: string },
+  request: NoteWriteRequest & { internalNote?: string; noteId?: number | null },
   sendResponse: (r: { success: boolean; data?: unknown; error?: string }) => void
 ) {
   try {
@@ -302,32 +458,180 @@ async function handleUpdateVeeqoOrder_InternalNote(
       sendResponse({ success: false, error: 'Internal note is required' });
       return;
     }
-    const response = await fetch(`https://api.veeqo.com/orders/${orderId}`, {
-      method: 'PUT',
-      headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        order: { employee_notes_attributes: [{ text: internalNote }] },
-      }),
+    const { noteId } = request;
+    const before = await fetchOrderNotes(apiKey, orderId);
+    const result = await putVeeqoOrder(apiKey, orderId, {
+      employee_notes_attributes: [noteId ? { id: noteId, text: internalNote } : { text: internalNote }],
     });
-    if (response.ok) {
-      const data = await response.json();
-      sendResponse({ success: true, data });
-    } else {
-      const errorText = await response.text();
-      sendResponse({ success: false, error: `API request failed: ${response.status} ${errorText}` });
+    if (result.success) {
+      const audit = {
+        batchId: request.batchId || `single-${Date.now()}`,
+        source: request.source || 'unknown',
+        orderId: String(orderId),
+        orderNumber: before?.number != null ? String(before.number) : undefined,
+        field: 'employee_note' as const,
+        newValue: internalNote,
+      };
+      if (noteId) {
+        await appendNoteAuditEntry({
+          ...audit,
+          oldValue: employeeNoteText(before, noteId),
+          // Unknown when the order could not be read or did not list the note
+          oldValueKnown: employeeNoteIds(before).includes(noteId),
+          editedNoteId: noteId,
+        });
+      } else {
+        // The created note is the one the order did not have before
+        const previousIds = new Set(employeeNoteIds(before));
+        const createdNoteId = employeeNoteIds(result.data as VeeqoOrderNotes).find((id) => !previousIds.has(id));
+        await appendNoteAuditEntry({
+          ...audit,
+          oldValue: latestEmployeeNoteOf(before),
+          oldValueKnown: before != null,
+          createdNoteId: before ? createdNoteId : undefined,
+        });
+      }
     }
+    sendResponse(result);
   } catch (error: unknown) {
     const err = error as Error;
     sendResponse({ success: false, error: err.message });
   }
 }
 
+/**
+ * Undo one audited write. A customer note or an edited employee note is set back
+ * to its old value, but only while the order still has the text we wrote and the
+ * old value was read before the write; an added employee note is deleted.
+ */
+async function revertNoteWrite(apiKey: string, entry: NoteAuditEntry): Promise<void> {
+  const current = await fetchOrderNotes(apiKey, entry.orderId);
+  if (!current) throw new Error('Could not read the order');
+
+  let result;
+  if (entry.field === 'customer_note') {
+    if (entry.oldValueKnown === false) {
+      throw new Error('The customer note before this write is unknown');
+    }
+    if (customerNoteOf(current) !== entry.newValue.trim()) {
+      throw new Error('Customer note was changed after this write');
+    }
+    result = await putVeeqoOrder(apiKey, entry.orderId, {
+      customer_note_attributes: { text: entry.oldValue ?? '' },
+    });
+  } else if (entry.editedNoteId != null) {
+    if (entry.oldValueKnown === false) {
+      throw new Error('The employee note before this write is unknown');
+    }
+    if (employeeNoteText(current, entry.editedNoteId) !== entry.newValue.trim()) {
+      throw new Error('Employee note was changed after this write');
+    }
+    result = await putVeeqoOrder(apiKey, entry.orderId, {
+      employee_notes_attributes: [{ id: entry.editedNoteId, text: entry.oldValue ?? '' }],
+    });
+  } else {
+    if (entry.createdNoteId == null) throw new Error('The id of the added employee note is unknown');
+    if (!employeeNoteIds(current).includes(entry.createdNoteId)) {
+      throw new Error('Employee note is no longer on the order');
+    }
+    result = await putVeeqoOrder(apiKey, entry.orderId, {
+      employee_notes_attributes: [{ id: entry.createdNoteId, _destroy: true }],
+    });
+  }
+  if (!result.success) throw new Error(result.error);
+}
+
+/** Revert the given entries, newest first, so repeated writes to one order unwind in order. */
+async function handleRevertNoteWrites(
+  request: { entryIds?: string[] },
+  sendResponse: (
+    r: { success: boolean; reverted?: number; failed?: number; error?: string }
+  ) => void
+) {
+  try {
+    const stored = await chrome.storage.sync.get(['veeqoApiKey']);
+    const apiKey = stored.veeqoApiKey as string | undefined;
+    if (!apiKey) {
+      sendResponse({ success: false, error: 'No API key configured. Save it in Settings first.' });
+      return;
+    }
+    const ids = new Set(request.entryIds || []);
+    const entries = (await loadNoteAuditLog()).filter((e) => ids.has(e.id) && !e.revertedAt);
+
+    const updates: Record<string, Pick<NoteAuditEntry, 'revertedAt' | 'revertError'>> = {};
+    let reverted = 0;
+    for (const entry of entries) {
+      try {
+        await revertNoteWrite(apiKey, entry);
+        updates[entry.id] = { revertedAt: Date.now(), revertError: undefined };
+        reverted++;
+      } catch (error: unknown) {
+        updates[entry.id] = { revertError: (error as Error).message };
+      }
+    }
+    await markNoteAuditEntries(updates);
+    sendResponse({ success: true, reverted, failed: entries.length - reverted });
+  } catch (error: unknown) {
+    const err = error as Error;
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+/** Preset rules and tare for USPS autofill, normalized by utils/packagePresets. */
+async function handleGetPackagePresets(
+  sendResponse: (
+    r: { success: boolean; rules?: PackagePresetRule[]; tareOz?: number; error?: string }
+  ) => void
+) {
+  try {
+    sendResponse({ success: true, ...(await loadPackagePresets()) });
+  } catch (error: unknown) {
+    const err = error as Error;
+    console.error('getPackagePresets:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
 const DELIVERY_INSTRUCTIONS_TEMPLATE_PATH = 'content/veeqo/print/delivery-instructions.html';
 const DELIVERY_INSTRUCTIONS_CSS_PATH = 'css/veeqo/delivery-instructions-print.css';
 
+/**
+ * The template edited on the options page when one is saved, else the packaged
+ * one (with the default PDF layout); `defaults: true` always returns the
+ * packaged template (editor reset).
+ */
 async function handleGetDeliveryInstructionsTemplate(
-  sendResponse: (r: { success: boolean; html?: string; css?: string; error?: string }) => void
+  request: { defaults?: boolean },
+  sendResponse: (
+    r: {
+      success: boolean;
+      html?: string;
+      css?: string;
+      pdf?: DeliverySlipPdfLayout;
+      custom?: boolean;
+      error?: string;
+    }
+  ) => void
 ) {
+  if (!request.defaults) {
+    try {
+      const stored = await chrome.storage.local.get([DELIVERY_TEMPLATE_STORAGE_KEY]);
+      const custom = stored[DELIVERY_TEMPLATE_STORAGE_KEY] as DeliveryTemplate | undefined;
+      if (custom && typeof custom.html === 'string' && custom.html.trim()) {
+        sendResponse({
+          success: true,
+          html: custom.html,
+          css: custom.css || '',
+          pdf: normalizeSlipPdfLayout(custom.pdf),
+          custom: true,
+        });
+        return;
+      }
+    } catch (error) {
+      console.warn('Custom delivery template unavailable, using packaged one:', error);
+    }
+  }
+
   const htmlUrl = chrome.runtime.getURL(DELIVERY_INSTRUCTIONS_TEMPLATE_PATH);
   const cssUrl = chrome.runtime.getURL(DELIVERY_INSTRUCTIONS_CSS_PATH);
   try {
@@ -339,7 +643,7 @@ async function handleGetDeliveryInstructionsTemplate(
       throw new Error(`Print CSS HTTP ${cssRes.status}`);
     }
     const [html, css] = await Promise.all([htmlRes.text(), cssRes.text()]);
-    sendResponse({ success: true, html, css });
+    sendResponse({ success: true, html, css, pdf: DEFAULT_SLIP_PDF_LAYOUT, custom: false });
   } catch (error: unknown) {
     const err = error as Error;
     console.error('getDeliveryInstructionsTemplate:', err);
@@ -347,6 +651,52 @@ async function handleGetDeliveryInstructionsTemplate(
   }
 }
 
+/** Barcode and QR images for Print Note windows, one entry per slip. */
+async function handleGetDeliverySlipCodes(
+  request: { slips?: DeliverySlip[] },
+  sendResponse: (
+    r: { success: boolean; codes?: Array<{ orderBarcode: string; orderQrCode: string }>; error?: string }
+  ) => void
+) {
+  try {
+    const slips = Array.isArray(request.slips) ? request.slips : [];
+    sendResponse({ success: true, codes: slips.map(slipCodeImages) });
+  } catch (error: unknown) {
+    const err = error as Error;
+    console.error('getDeliverySlipCodes:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+/**
+ * Render 4x6 delivery-instruction slips (one page each) with pdf-lib, laid out
+ * as the saved template's PDF layout says. `download: true` saves the PDF to Downloads and returns only the file name;
+ * otherwise the PDF comes back as base64 for the caller to merge or save.
+ */
+async function handleGenerateDeliverySlipsPdf(
+  request: { slips?: DeliverySlip[]; filename?: string; download?: boolean },
+  sendResponse: (
+    r: { success: boolean; pdfBase64?: string; filename?: string; error?: string }
+  ) => void
+) {
+  try {
+    const slips = Array.isArray(request.slips) ? request.slips : [];
+    if (slips.length === 0) throw new Error('No delivery slips to render.');
+    const pdfBase64 = uint8ToBase64(await generateDeliverySlipsPdf(slips, await loadSlipPdfLayout()));
+    const filename = request.filename || 'Delivery_Notes.pdf';
+    if (request.download) {
+      await downloadLabelsPdf(pdfBase64, filename, false);
+      sendResponse({ success: true, filename });
+    } else {
+      sendResponse({ success: true, pdfBase64, filename });
+    }
+  } catch (error: unknown) {
+    const err = error as Error;
+    console.error('generateDeliverySlipsPdf:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
 async function handleInjectUSPSAutoFill(
   request: { tabId?: number; orderData?: unknown },
   sendResponse: (r: { success: boolean; error?: string; message?: string }) => void
@@ -367,9 +717,23 @@ async function handleInjectUSPSAutoFill(
         args: [orderData],
       });
     }
+    // The manifest normally loads them all already; the helper scripts cannot be evaluated twice
+    const [probe] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => typeof (window as unknown as { preparePackageData?: unknown }).preparePackageData === 'function',
+    });
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content/usps/usps-autofill.js'],
+      files: probe?.result
+        ? ['content/usps/usps-autofill.js']
+        : [
+            'content/shared/note-tags.js',
+            'content/shared/allocations.js',
+            'content/usps/package-presets.js',
+            'content/usps/address-normalize.js',
+            'content/usps/usps-autofill.js',
+            'content/usps/label-capture.js',
+          ],
     });
     sendResponse({ success: true, message: 'USPS auto-fill script injected' });
   } catch (error: unknown) {
@@ -378,42 +742,336 @@ async function handleInjectUSPSAutoFill(
   }
 }
 
-async function handleGenerateDailyLabelsPdf(
-  request: { apiKey?: string; targetDate?: string | null; addTimestamp?: boolean },
-  sendResponse: (
-    r: { success: boolean; data?: DailyLabelsResult; error?: string }
-  ) => void
+async function loadLabelsJob(): Promise<DailyLabelsJob | null> {
+  const stored = await chrome.storage.local.get([LABELS_JOB_KEY]);
+  const job = (stored[LABELS_JOB_KEY] as DailyLabelsJob | undefined) || null;
+  // The worker was stopped mid-run (browser restart, update…): nothing will finish it.
+  if (job?.status === 'running' && job.id !== activeLabelsJobId) {
+    job.status = 'error';
+    job.error = 'The labels job was interrupted. Please generate the PDF again.';
+    job.finishedAt = Date.now();
+    await saveLabelsJob(job);
+  }
+  return job;
+}
+
+async function saveLabelsJob(job: DailyLabelsJob): Promise<void> {
+  await chrome.storage.local.set({ [LABELS_JOB_KEY]: job });
+}
+
+/**
+ * Claim the labels job for a new run. Synchronous, so a popup and the schedule
+ * alarm starting together cannot both pass; null when a job is already running.
+ */
+function claimLabelsJob(): string | null {
+  if (activeLabelsJobId) return null;
+  activeLabelsJobId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return activeLabelsJobId;
+}
+
+/** Give the claim back when the run did not start. */
+function releaseLabelsJob(jobId: string) {
+  if (activeLabelsJobId === jobId) activeLabelsJobId = null;
+}
+
+/**
+ * Start generating the labels PDF in the worker and respond right away with the
+ * job; progress is broadcast as 'dailyLabelsProgress' and the final state is
+ * written to storage, followed by a notification.
+ */
+async function handleStartDailyLabelsJob(
+  request: DailyLabelsJobRequest & { apiKey?: string; reprintText?: string },
+  sendResponse: (r: { success: boolean; job?: DailyLabelsJob; error?: string }) => void
 ) {
+  const jobId = claimLabelsJob();
+  if (!jobId) {
+    const running = await loadLabelsJob().catch(() => null);
+    sendResponse({ success: false, job: running || undefined, error: 'A labels PDF is already being generated.' });
+    return;
+  }
+
+  let job: DailyLabelsJob;
+  let apiKey = request.apiKey;
   try {
-    let apiKey = request.apiKey;
     if (!apiKey) {
       const stored = await chrome.storage.sync.get(['veeqoApiKey']);
       apiKey = stored.veeqoApiKey as string | undefined;
     }
     if (!apiKey) {
+      releaseLabelsJob(jobId);
       sendResponse({ success: false, error: 'No API key configured. Save it in Settings first.' });
       return;
     }
 
-    const onProgress = (p: DailyLabelsProgress) => {
-      chrome.runtime
-        .sendMessage({ action: 'dailyLabelsProgress', progress: p })
-        .catch(() => {
-          /* popup may be closed */
-        });
-    };
+    if (request.mode === 'reprint' && request.reprintText != null) {
+      request.reprintKeys = parseReprintList(request.reprintText);
+    }
+    job = await createLabelsJob(jobId, request, await loadLabelsJob());
+  } catch (error: unknown) {
+    releaseLabelsJob(jobId);
+    const err = error as Error;
+    console.error('startDailyLabelsJob:', err);
+    sendResponse({ success: false, error: err.message });
+    return;
+  }
 
-    const data = await generateDailyLabelsPdf(apiKey, request.targetDate, onProgress, {
+  sendResponse({ success: true, job });
+  await runDailyLabelsJob(job, apiKey).catch((error) => console.error('runDailyLabelsJob:', error));
+}
+
+/** Persist a new running job (replacing the finished `previous` one) under the claimed id. */
+async function createLabelsJob(
+  jobId: string,
+  request: DailyLabelsJobRequest,
+  previous: DailyLabelsJob | null
+): Promise<DailyLabelsJob> {
+  const job: DailyLabelsJob = {
+    id: jobId,
+    status: 'running',
+    request: {
+      mode: request.mode === 'reprint' ? 'reprint' : 'daily',
+      reprintKeys: request.reprintKeys,
+      targetDate: request.targetDate,
+      endDate: request.endDate,
       addTimestamp: request.addTimestamp !== false,
-    });
-    sendResponse({ success: true, data });
+      includeManifest: request.includeManifest === true,
+      includeDeliverySlips: request.includeDeliverySlips === true,
+      carriers: request.carriers,
+      channelIds: request.channelIds,
+      warehouseIds: request.warehouseIds,
+    },
+    progress: { phase: 'fetching_orders', message: 'Starting…' },
+    startedAt: Date.now(),
+  };
+  if (previous) chrome.notifications.clear(LABELS_NOTIFICATION_PREFIX + previous.id);
+  await chrome.storage.local.remove([LABELS_JOB_PDF_KEY]);
+  await saveLabelsJob(job);
+  return job;
+}
+
+async function runDailyLabelsJob(job: DailyLabelsJob, apiKey: string): Promise<void> {
+  let lastSavedAt = 0;
+  const onProgress = (p: DailyLabelsProgress) => {
+    job.progress = p;
+    chrome.runtime
+      .sendMessage({ action: 'dailyLabelsProgress', jobId: job.id, progress: p })
+      .catch(() => {
+        /* popup may be closed */
+      });
+    // Throttled so a reopened popup sees recent progress; the writes also keep the worker alive.
+    if (Date.now() - lastSavedAt > 1000) {
+      lastSavedAt = Date.now();
+      saveLabelsJob(job).catch(() => {});
+    }
+  };
+
+  try {
+    const { request } = job;
+    const stamp = await loadLabelStampSettings();
+    const slipLayout = request.includeDeliverySlips ? await loadSlipPdfLayout() : undefined;
+    const { pdfBase64, ...result } =
+      request.mode === 'reprint'
+        ? await generateReprintPdf(apiKey, request.reprintKeys || [], onProgress, {
+            addTimestamp: request.addTimestamp,
+            includeManifest: request.includeManifest,
+            includeDeliverySlips: request.includeDeliverySlips,
+            slipLayout,
+            stamp,
+          })
+        : await generateDailyLabelsPdf(apiKey, request.targetDate, onProgress, {
+            addTimestamp: request.addTimestamp,
+            endDate: request.endDate,
+            includeManifest: request.includeManifest,
+            includeDeliverySlips: request.includeDeliverySlips,
+            slipLayout,
+            carriers: request.carriers,
+            channelIds: request.channelIds,
+            warehouseIds: request.warehouseIds,
+            stamp,
+          });
+    await chrome.storage.local.set({ [LABELS_JOB_PDF_KEY]: pdfBase64 });
+    job.status = 'done';
+    job.result = result;
+    job.progress = {
+      phase: 'done',
+      message:
+        `Ready — ${result.shipmentIds.length} ${describeCarriers(result.carriers)} label(s) for ${result.dateStr}` +
+        (result.notFound?.length ? ` (not found: ${result.notFound.join(', ')})` : ''),
+      found: result.shipmentIds.length,
+    };
   } catch (error: unknown) {
     const err = error as Error;
     console.error('generateDailyLabelsPdf:', err);
+    job.status = 'error';
+    job.error = err.message;
+  } finally {
+    activeLabelsJobId = null;
+  }
+
+  job.finishedAt = Date.now();
+  await saveLabelsJob(job);
+  notifyLabelsJobFinished(job);
+}
+
+function notifyLabelsJobFinished(job: DailyLabelsJob) {
+  const done = job.status === 'done';
+  chrome.notifications.create(LABELS_NOTIFICATION_PREFIX + job.id, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('/icon/128.png'),
+    title: done ? 'Shipping labels ready' : 'Shipping labels failed',
+    message: (done ? job.progress?.message : job.error) || '',
+    buttons: done ? [{ title: 'Download PDF' }] : undefined,
+    requireInteraction: done,
+  });
+}
+
+async function handleLabelsNotificationClick(notificationId: string) {
+  if (!notificationId.startsWith(LABELS_NOTIFICATION_PREFIX)) return;
+  chrome.notifications.clear(notificationId);
+  try {
+    const stored = await chrome.storage.local.get([LABELS_JOB_KEY, LABELS_JOB_PDF_KEY]);
+    const job = stored[LABELS_JOB_KEY] as DailyLabelsJob | undefined;
+    const pdfBase64 = stored[LABELS_JOB_PDF_KEY] as string | undefined;
+    if (job?.status !== 'done' || !pdfBase64) return;
+    if (LABELS_NOTIFICATION_PREFIX + job.id !== notificationId) return;
+    await downloadLabelsPdf(pdfBase64, job.result?.filename);
+  } catch (error) {
+    console.error('Labels notification download failed:', error);
+  }
+}
+
+/** Current (or last) labels job, plus its PDF once it has finished. */
+async function handleGetDailyLabelsJob(
+  sendResponse: (
+    r: { success: boolean; job?: DailyLabelsJob | null; pdfBase64?: string; error?: string }
+  ) => void
+) {
+  try {
+    const job = await loadLabelsJob();
+    let pdfBase64: string | undefined;
+    if (job?.status === 'done') {
+      const stored = await chrome.storage.local.get([LABELS_JOB_PDF_KEY]);
+      pdfBase64 = stored[LABELS_JOB_PDF_KEY] as string | undefined;
+    }
+    sendResponse({ success: true, job, pdfBase64 });
+  } catch (error: unknown) {
+    const err = error as Error;
     sendResponse({ success: false, error: err.message });
   }
 }
 
+/** Save the PDF via chrome.downloads; unattended runs pass saveAs = false. */
+async function downloadLabelsPdf(
+  pdfBase64: string,
+  filename?: string,
+  saveAs = true
+): Promise<number> {
+  const safeName = (filename || 'Shipping_Labels.pdf').replace(/[\\/:*?"<>|]/g, '_');
+  const url = `data:application/pdf;base64,${pdfBase64}`;
+  return chrome.downloads.download({
+    url,
+    filename: safeName,
+    saveAs,
+    conflictAction: 'uniquify',
+  });
+}
+
+/**
+ * Create the one-shot schedule alarm when it is missing or no longer matches the saved
+ * schedule; cleared when disabled. A matching alarm is left alone, so a browser start
+ * does not move a pending (or missed) run. `rearm` is passed once the alarm has fired.
+ */
+async function syncLabelsScheduleAlarm(rearm = false) {
+  try {
+    const stored = await chrome.storage.sync.get([LABELS_SCHEDULE_KEY]);
+    const schedule = normalizeLabelsSchedule(stored[LABELS_SCHEDULE_KEY]);
+    const alarm = await chrome.alarms.get(LABELS_SCHEDULE_ALARM);
+    if (!schedule.enabled) {
+      if (alarm) await chrome.alarms.clear(LABELS_SCHEDULE_ALARM);
+      return;
+    }
+    if (alarm && !rearm && isAlarmOnSchedule(alarm.scheduledTime, schedule.time)) return;
+    // One-shot and re-armed after each run so the local time survives DST changes.
+    await chrome.alarms.create(LABELS_SCHEDULE_ALARM, { when: nextScheduledRun(schedule.time) });
+  } catch (error) {
+    console.error('Error scheduling labels alarm:', error);
+  }
+}
+
+/**
+ * Scheduled end-of-day run: today's labels with the options last used in the
+ * popup, saved straight to Downloads under the popup's file name. Every run is
+ * recorded in the schedule history.
+ */
+async function runScheduledLabelsJob() {
+  await syncLabelsScheduleAlarm(true);
+  let jobId: string | null = null;
+  try {
+    const stored = await chrome.storage.sync.get([
+      'veeqoApiKey',
+      'labelsShareMessage',
+      'labelsAddTimestamp',
+      'labelsIncludeManifest',
+      'labelsIncludeDeliverySlips',
+      'labelsCarriers',
+      'labelsChannelIds',
+      'labelsWarehouseIds',
+    ]);
+    const apiKey = stored.veeqoApiKey as string | undefined;
+    if (!apiKey) throw new Error('No API key configured.');
+
+    jobId = claimLabelsJob();
+    if (!jobId) {
+      await appendScheduleHistory({
+        at: Date.now(),
+        status: 'skipped',
+        error: 'Another labels PDF was being generated.',
+      });
+      return;
+    }
+
+    const job = await createLabelsJob(
+      jobId,
+      {
+        targetDate: null,
+        addTimestamp: stored.labelsAddTimestamp !== false,
+        includeManifest: stored.labelsIncludeManifest === true,
+        includeDeliverySlips: stored.labelsIncludeDeliverySlips === true,
+        carriers: stored.labelsCarriers as CarrierId[] | undefined,
+        channelIds: stored.labelsChannelIds as number[] | undefined,
+        warehouseIds: stored.labelsWarehouseIds as number[] | undefined,
+      },
+      await loadLabelsJob()
+    );
+    await runDailyLabelsJob(job, apiKey);
+    if (job.status !== 'done' || !job.result) {
+      throw new Error(job.error || 'Failed to generate labels PDF');
+    }
+
+    const pdf = await chrome.storage.local.get([LABELS_JOB_PDF_KEY]);
+    const filename = buildPdfFileName(
+      String(stored.labelsShareMessage || ''),
+      job.result.dateStr
+    );
+    await downloadLabelsPdf(pdf[LABELS_JOB_PDF_KEY] as string, filename, false);
+    await appendScheduleHistory({
+      at: Date.now(),
+      status: 'saved',
+      dateStr: job.result.dateStr,
+      shipmentCount: job.result.shipmentIds.length,
+      filename,
+    });
+  } catch (error: unknown) {
+    // A no-op once the run started (it releases the claim itself)
+    if (jobId) releaseLabelsJob(jobId);
+    const err = error as Error;
+    console.error('Scheduled labels run failed:', err);
+    await appendScheduleHistory({ at: Date.now(), status: 'error', error: err.message }).catch(
+      () => {}
+    );
+  }
+}
+
 async function handleDownloadDailyLabelsPdf(
   request: { pdfBase64?: string; filename?: string },
   sendResponse: (r: { success: boolean; downloadId?: number; error?: string }) => void
@@ -424,16 +1082,59 @@ async function handleDownloadDailyLabelsPdf(
       sendResponse({ success: false, error: 'No PDF data provided' });
       return;
     }
-    const safeName = (filename || 'UPS_Labels.pdf').replace(/[\\/:*?"<>|]/g, '_');
-    const url = `data:application/pdf;base64,${pdfBase64}`;
-    const downloadId = await chrome.downloads.download({
-      url,
-      filename: safeName,
-      saveAs: true,
-    });
+    const downloadId = await downloadLabelsPdf(pdfBase64, filename);
     sendResponse({ success: true, downloadId });
   } catch (error: unknown) {
     const err = error as Error;
     sendResponse({ success: false, error: err.message });
   }
 }
+
+async function handleGetLabelCacheStats(
+  sendResponse: (r: { success: boolean; count?: number; bytes?: number; error?: string }) => void
+) {
+  try {
+    const stats = await getLabelCacheStats();
+    sendResponse({ success: true, ...stats });
+  } catch (error: unknown) {
+    const err = error as Error;
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function handleClearLabelCache(
+  sendResponse: (r: { success: boolean; error?: string }) => void
+) {
+  try {
+    await clearLabelCache();
+    sendResponse({ success: true });
+  } catch (error: unknown) {
+    const err = error as Error;
+    console.error('clearLabelCache:', err);
+    sendResponse({ success: false, error: err.message });
+  }
+}
+
+async function handleGetLabelFilterOptions(
+  sendResponse: (
+    r: {
+      success: boolean;
+      channels?: LabelFilterOption[];
+      warehouses?: LabelFilterOption[];
+      error?: string;
+    }
+  ) => void
+) {
+  try {
+    const stored = await chrome.storage.sync.get(['veeqoApiKey']);
+    const apiKey = stored.veeqoApiKey as string | undefined;
+    if (!apiKey) {
+      sendResponse({ success: false, error: 'No API key configured. Save it in Settings first.' });
+      return;
+    }
+    sendResponse({ success: true, ...(await fetchLabelFilterOptions(apiKey)) });
+  } catch (error: unknown) {
+    const err = error as Error;
+    sendResponse({ success: false, error: err.message });
+  }
+}
@@ -1,7 +1,97 @@
-import { useCallback, useEffect, useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  DEFAULT_LABEL_STAMP,
+  LABEL_STAMP_STORAGE_KEY,
+  MAX_STAMP_FONT_SIZE,
+  MIN_STAMP_FONT_SIZE,
+  STAMP_CORNERS,
+  STAMP_PLACEHOLDERS,
+  STAMP_ROTATIONS,
+  normalizeLabelStamp,
+  renderStampText,
+  type LabelStampSettings,
+  type StampCorner,
+  type StampRotation,
+} from '../../utils/labelStamp';
+import {
+  DEFAULT_LABELS_SCHEDULE,
+  LABELS_SCHEDULE_HISTORY_KEY,
+  LABELS_SCHEDULE_KEY,
+  getScheduleHistory,
+  nextScheduledRun,
+  normalizeLabelsSchedule,
+  type LabelsSchedule,
+  type ScheduledRun,
+} from '../../utils/labelsSchedule';
+import {
+  DEFAULT_SLIP_PDF_LAYOUT,
+  DELIVERY_TEMPLATE_PLACEHOLDERS,
+  DELIVERY_TEMPLATE_STORAGE_KEY,
+  MAX_SLIP_FOOTER_LINES,
+  SAMPLE_DELIVERY_DATA,
+  SLIP_PDF_FIELDS,
+  fillDeliveryTemplate,
+  normalizeSlipPdfLayout,
+  type DeliverySlipPdfLayout,
+  type DeliveryTemplate,
+  type SlipPdfField,
+} from '../../utils/deliveryTemplate';
+import {
+  NOTE_AUDIT_KEY,
+  NOTE_AUDIT_SOURCES,
+  clearNoteAuditLog,
+  groupNoteAuditBatches,
+  loadNoteAuditLog,
+  type NoteAuditEntry,
+} from '../../utils/noteAudit';
+import {
+  MAX_PACKAGE_PRESET_RULES,
+  PACKAGE_PRESET_RULES_KEY,
+  PACKAGING_TARE_KEY,
+  describePackagePresetConditions,
+  loadPackagePresets,
+  newPackagePresetRule,
+  normalizePackagePresetRules,
+  normalizePackagingTareOz,
+  type PackagePreset,
+  type PackagePresetConditions,
+  type PackagePresetRule,
+} from '../../utils/packagePresets';
 import './App.css';
 
 type StatusType = 'success' | 'error' | 'info';
+type StatusSection = 'api' | 'stamp' | 'schedule' | 'template' | 'notes' | 'presets';
+type PrintNoteOutput = 'pdf' | 'window';
+
+/** Hide the template's screen-only buttons so the preview matches the printout. */
+const PREVIEW_EXTRA_CSS = '\n.no-print { display: none !important; }';
+
+async function loadDeliveryTemplateMessage(defaults = false) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'getDeliveryInstructionsTemplate',
+    defaults,
+  });
+  if (!response?.success) throw new Error(response?.error || 'Could not load template');
+  return response as Required<DeliveryTemplate> & { custom: boolean };
+}
+
+/** Number input value → number, or null when cleared. */
+function optionalNumber(value: string): number | null {
+  return value.trim() === '' ? null : Number(value);
+}
+
+/** Batches shown in the note history; older ones stay in the log until it is capped. */
+const NOTE_HISTORY_BATCHES = 20;
+
+/** Sample shipment for the stamp preview. */
+const PREVIEW_STAMP_FIELDS = {
+  boughtAtMs: Date.now(),
+  orderNumber: '112-4567890-1234567',
+  items: [
+    { sku: 'MUG-BLU-12', quantity: 2 },
+    { sku: 'COASTER-4PK', quantity: 1 },
+  ],
+};
 
 function isValidApiKey(apiKey: string): boolean {
   return apiKey.startsWith('Vqt/') && apiKey.length > 20;
@@ -28,17 +118,41 @@ export default function App() {
     ok: false,
     text: '',
   });
-  const [status, setStatus] = useState<{ show: boolean; type: StatusType; message: string }>({
+  const [status, setStatus] = useState<{
+    show: boolean;
+    type: StatusType;
+    message: string;
+    section: StatusSection;
+  }>({
     show: false,
     type: 'info',
     message: '',
+    section: 'api',
   });
   const [stats, setStats] = useState({ buttonsAdded: 0, apiCalls: 0, ordersFetched: 0 });
 
-  const showStatus = useCallback((message: string, type: StatusType) => {
-    setStatus({ show: true, type, message });
-    setTimeout(() => setStatus((s) => ({ ...s, show: false })), 5000);
-  }, []);
+  const [stamp, setStamp] = useState<LabelStampSettings>(DEFAULT_LABEL_STAMP);
+  const [schedule, setSchedule] = useState<LabelsSchedule>(DEFAULT_LABELS_SCHEDULE);
+  const [scheduleHistory, setScheduleHistory] = useState<ScheduledRun[]>([]);
+  const [deliveryTemplate, setDeliveryTemplate] = useState<Required<DeliveryTemplate>>({
+    html: '',
+    css: '',
+    pdf: DEFAULT_SLIP_PDF_LAYOUT,
+  });
+  const [deliveryTemplateCustom, setDeliveryTemplateCustom] = useState(false);
+  const [printNoteOutput, setPrintNoteOutput] = useState<PrintNoteOutput>('window');
+  const [noteLog, setNoteLog] = useState<NoteAuditEntry[]>([]);
+  const [presetRules, setPresetRules] = useState<PackagePresetRule[]>([]);
+  const [packagingTareOz, setPackagingTareOz] = useState(0);
+  const [reverting, setReverting] = useState(false);
+
+  const showStatus = useCallback(
+    (message: string, type: StatusType, section: StatusSection = 'api') => {
+      setStatus({ show: true, type, message, section });
+      setTimeout(() => setStatus((s) => ({ ...s, show: false })), 5000);
+    },
+    []
+  );
 
   const updateApiStatus = useCallback((isConnected: boolean, text: string) => {
     setApiStatus({ show: true, ok: isConnected, text });
@@ -72,12 +186,22 @@ export default function App() {
     []
   );
 
+  // The API key loads first; each other section loads on its own so one failure
+  // (e.g. the background worker not answering) leaves the rest of the page usable.
   useEffect(() => {
     (async () => {
       try {
-        const result = await chrome.storage.sync.get(['veeqoApiKey']);
+        const result = await chrome.storage.sync.get([
+          'veeqoApiKey',
+          LABEL_STAMP_STORAGE_KEY,
+          LABELS_SCHEDULE_KEY,
+          'printNoteOutput',
+        ]);
+        if (result.veeqoApiKey) setApiKey(result.veeqoApiKey);
+        setPrintNoteOutput(result.printNoteOutput === 'pdf' ? 'pdf' : 'window');
+        setStamp(normalizeLabelStamp(result[LABEL_STAMP_STORAGE_KEY]));
+        setSchedule(normalizeLabelsSchedule(result[LABELS_SCHEDULE_KEY]));
         if (result.veeqoApiKey) {
-          setApiKey(result.veeqoApiKey);
           const isValid = await testVeeqoApiMessage(result.veeqoApiKey);
           updateApiStatus(isValid, isValid ? 'Connected to Veeqo API' : 'Connection failed');
         }
@@ -86,9 +210,47 @@ export default function App() {
         console.error('Error loading settings:', e);
         showStatus('Error loading settings', 'error');
       }
+      try {
+        const presets = await loadPackagePresets();
+        setPresetRules(presets.rules);
+        setPackagingTareOz(presets.tareOz);
+      } catch (e) {
+        console.error('Error loading package presets:', e);
+      }
+      try {
+        const template = await loadDeliveryTemplateMessage();
+        setDeliveryTemplate({ html: template.html, css: template.css, pdf: template.pdf });
+        setDeliveryTemplateCustom(template.custom);
+      } catch (e) {
+        console.error('Error loading delivery template:', e);
+      }
+      try {
+        setNoteLog(await loadNoteAuditLog());
+      } catch (e) {
+        console.error('Error loading note history:', e);
+      }
+      try {
+        setScheduleHistory(await getScheduleHistory());
+      } catch (e) {
+        console.error('Error loading schedule history:', e);
+      }
     })();
   }, [loadStatistics, showStatus, updateApiStatus]);
 
+  // Scheduled runs and note writes happen in the background; refresh the histories as they finish.
+  useEffect(() => {
+    const onChanged = (changes: Record<string, chrome.storage.StorageChange>, area: string) => {
+      if (area === 'local' && changes[LABELS_SCHEDULE_HISTORY_KEY]) {
+        getScheduleHistory().then(setScheduleHistory);
+      }
+      if (area === 'local' && changes[NOTE_AUDIT_KEY]) {
+        loadNoteAuditLog().then(setNoteLog);
+      }
+    };
+    chrome.storage.onChanged.addListener(onChanged);
+    return () => chrome.storage.onChanged.removeListener(onChanged);
+  }, []);
+
   const onTest = async () => {
     const k = apiKey.trim();
     if (!k) {
@@ -152,6 +314,191 @@ export default function App() {
     }
   };
 
+  const stampPreview = useMemo(
+    () =>
+      renderStampText(stamp.template, {
+        ...PREVIEW_STAMP_FIELDS,
+        pickerInitial: stamp.pickerInitial,
+      }),
+    [stamp.template, stamp.pickerInitial]
+  );
+
+  const updateStamp = (patch: Partial<LabelStampSettings>) => {
+    setStamp((s) => ({ ...s, ...patch }));
+  };
+
+  const onSaveStamp = async () => {
+    const normalized = normalizeLabelStamp(stamp);
+    try {
+      await chrome.storage.sync.set({ [LABEL_STAMP_STORAGE_KEY]: normalized });
+      setStamp(normalized);
+      showStatus('Label stamp saved. It applies to the next labels PDF.', 'success', 'stamp');
+    } catch (e) {
+      console.error('Error saving label stamp:', e);
+      showStatus('Error saving label stamp', 'error', 'stamp');
+    }
+  };
+
+  const onResetStamp = () => {
+    setStamp(DEFAULT_LABEL_STAMP);
+    showStatus('Defaults restored — click Save to keep them.', 'info', 'stamp');
+  };
+
+  const onSaveSchedule = async () => {
+    const normalized = normalizeLabelsSchedule(schedule);
+    try {
+      await chrome.storage.sync.set({ [LABELS_SCHEDULE_KEY]: normalized });
+      setSchedule(normalized);
+      showStatus(
+        normalized.enabled
+          ? `Schedule saved. Next run: ${new Date(nextScheduledRun(normalized.time)).toLocaleString()}`
+          : 'Schedule turned off.',
+        'success',
+        'schedule'
+      );
+    } catch (e) {
+      console.error('Error saving schedule:', e);
+      showStatus('Error saving schedule', 'error', 'schedule');
+    }
+  };
+
+  const templatePreview = useMemo(
+    () =>
+      fillDeliveryTemplate(
+        { html: deliveryTemplate.html, css: deliveryTemplate.css + PREVIEW_EXTRA_CSS },
+        SAMPLE_DELIVERY_DATA
+      ),
+    [deliveryTemplate]
+  );
+
+  const onSaveTemplate = async () => {
+    if (!deliveryTemplate.html.includes('{{PRINT_CSS}}')) {
+      showStatus('The HTML must keep {{PRINT_CSS}} inside a <style> tag.', 'error', 'template');
+      return;
+    }
+    const normalized = { ...deliveryTemplate, pdf: normalizeSlipPdfLayout(deliveryTemplate.pdf) };
+    try {
+      await chrome.storage.local.set({ [DELIVERY_TEMPLATE_STORAGE_KEY]: normalized });
+      setDeliveryTemplate(normalized);
+      setDeliveryTemplateCustom(true);
+      showStatus('Print template saved. New Print Notes use it.', 'success', 'template');
+    } catch (e) {
+      console.error('Error saving print template:', e);
+      showStatus('Error saving print template', 'error', 'template');
+    }
+  };
+
+  const updateSlipPdfLayout = (patch: Partial<DeliverySlipPdfLayout>) =>
+    setDeliveryTemplate((t) => ({ ...t, pdf: { ...t.pdf, ...patch } }));
+  const toggleSlipPdfField = (key: SlipPdfField, checked: boolean) =>
+    updateSlipPdfLayout({
+      fields: checked
+        ? [...deliveryTemplate.pdf.fields, key]
+        : deliveryTemplate.pdf.fields.filter((f) => f !== key),
+    });
+
+  const onChangePrintNoteOutput = async (output: PrintNoteOutput) => {
+    setPrintNoteOutput(output);
+    try {
+      await chrome.storage.sync.set({ printNoteOutput: output });
+      showStatus('Print Note output saved.', 'success', 'template');
+    } catch (e) {
+      console.error('Error saving Print Note output:', e);
+      showStatus('Error saving Print Note output', 'error', 'template');
+    }
+  };
+
+  const onResetTemplate = async () => {
+    if (!confirm('Discard your custom print template and restore the built-in one?')) return;
+    try {
+      await chrome.storage.local.remove([DELIVERY_TEMPLATE_STORAGE_KEY]);
+      const template = await loadDeliveryTemplateMessage(true);
+      setDeliveryTemplate({ html: template.html, css: template.css, pdf: template.pdf });
+      setDeliveryTemplateCustom(false);
+      showStatus('Built-in print template restored.', 'success', 'template');
+    } catch (e) {
+      console.error('Error restoring print template:', e);
+      showStatus('Error restoring print template', 'error', 'template');
+    }
+  };
+
+  const updatePresetRule = (index: number, patch: Partial<PackagePresetRule>) =>
+    setPresetRules((rules) => rules.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+  const updatePresetConditions = (index: number, patch: Partial<PackagePresetConditions>) =>
+    setPresetRules((rules) =>
+      rules.map((r, i) => (i === index ? { ...r, conditions: { ...r.conditions, ...patch } } : r))
+    );
+  const updatePreset = (index: number, patch: Partial<PackagePreset>) =>
+    setPresetRules((rules) =>
+      rules.map((r, i) => (i === index ? { ...r, preset: { ...r.preset, ...patch } } : r))
+    );
+  const movePresetRule = (index: number, delta: number) =>
+    setPresetRules((rules) => {
+      const target = index + delta;
+      if (target < 0 || target >= rules.length) return rules;
+      const next = rules.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+
+  const onSavePresetRules = async () => {
+    const normalized = normalizePackagePresetRules(presetRules);
+    const tare = normalizePackagingTareOz(packagingTareOz);
+    try {
+      await chrome.storage.sync.set({
+        [PACKAGE_PRESET_RULES_KEY]: normalized,
+        [PACKAGING_TARE_KEY]: tare,
+      });
+      setPackagingTareOz(tare);
+      setPresetRules(normalized);
+      showStatus('Package presets saved. They apply to the next USPS autofill.', 'success', 'presets');
+    } catch (e) {
+      console.error('Error saving package presets:', e);
+      showStatus('Error saving package presets', 'error', 'presets');
+    }
+  };
+
+  const noteBatches = useMemo(
+    () => groupNoteAuditBatches(noteLog).slice(0, NOTE_HISTORY_BATCHES),
+    [noteLog]
+  );
+
+  const onRevertNotes = async (entries: NoteAuditEntry[]) => {
+    const pending = entries.filter((e) => !e.revertedAt);
+    if (!pending.length) return;
+    const what = pending.length === 1 ? 'this note write' : `${pending.length} note writes`;
+    if (!confirm(`Revert ${what} in Veeqo?`)) return;
+    setReverting(true);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'revertNoteWrites',
+        entryIds: pending.map((e) => e.id),
+      });
+      if (!response?.success) throw new Error(response?.error || 'Revert failed');
+      showStatus(
+        `Reverted ${response.reverted} write(s)` + (response.failed ? `, ${response.failed} failed.` : '.'),
+        response.failed ? 'error' : 'success',
+        'notes'
+      );
+    } catch (e) {
+      console.error('Error reverting note writes:', e);
+      showStatus(`Error reverting: ${(e as Error).message}`, 'error', 'notes');
+    } finally {
+      setReverting(false);
+    }
+  };
+
+  const onClearNoteLog = async () => {
+    if (!confirm('Clear the note history? Cleared writes can no longer be reverted.')) return;
+    await clearNoteAuditLog();
+    showStatus('Note history cleared.', 'success', 'notes');
+  };
+
+  const statusClass = (section: StatusSection) =>
+    'status' +
+    (status.show && status.section === section ? ' visible' : '') +
+    (status.type ? ' ' + status.type : '');
+
   const version = chrome.runtime.getManifest().version;
 
   return (
@@ -219,8 +566,571 @@ export default function App() {
             </div>
           </form>
 
-          <div className={'status' + (status.show ? ' visible' : '') + (status.type ? ' ' + status.type : '')}>
-            {status.message}
+          <div className={statusClass('api')}>{status.section === 'api' ? status.message : ''}</div>
+        </div>
+
+        <div className="section">
+          <h2>🏷️ Label Stamp</h2>
+          <div className="help-text">
+            Printed on every label in the daily labels PDF when &quot;Stamp labels&quot; is checked in
+            the popup. Packers use it to match labels to bins.
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="opt-stamp-template">Stamp template</label>
+            <textarea
+              id="opt-stamp-template"
+              rows={3}
+              value={stamp.template}
+              onChange={(e) => updateStamp({ template: e.target.value })}
+              placeholder={DEFAULT_LABEL_STAMP.template}
+            />
+            <div className="help-text">
+              One stamp line per template line. Placeholders:{' '}
+              {STAMP_PLACEHOLDERS.map((p, i) => (
+                <span key={p.key} title={p.description}>
+                  {i > 0 ? ', ' : ''}
+                  <code>{`{${p.key}}`}</code>
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div className="stamp-grid">
+            <div className="form-group">
+              <label htmlFor="opt-stamp-corner">Corner</label>
+              <select
+                id="opt-stamp-corner"
+                value={stamp.corner}
+                onChange={(e) => updateStamp({ corner: e.target.value as StampCorner })}
+              >
+                {STAMP_CORNERS.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="opt-stamp-size">Font size (pt)</label>
+              <input
+                id="opt-stamp-size"
+                type="number"
+                min={MIN_STAMP_FONT_SIZE}
+                max={MAX_STAMP_FONT_SIZE}
+                step={0.5}
+                value={stamp.fontSize}
+                onChange={(e) => updateStamp({ fontSize: Number(e.target.value) })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="opt-stamp-rotation">Rotation</label>
+              <select
+                id="opt-stamp-rotation"
+                value={stamp.rotation}
+                onChange={(e) => updateStamp({ rotation: Number(e.target.value) as StampRotation })}
+              >
+                {STAMP_ROTATIONS.map((r) => (
+                  <option key={r} value={r}>
+                    {r}°
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="opt-stamp-picker">Picker initial</label>
+              <input
+                id="opt-stamp-picker"
+                type="text"
+                maxLength={8}
+                value={stamp.pickerInitial}
+                onChange={(e) => updateStamp({ pickerInitial: e.target.value })}
+                placeholder="e.g. JD"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Preview (sample order)</label>
+            <div className="stamp-preview">
+              {stampPreview.length
+                ? stampPreview.map((line, i) => <div key={i}>{line}</div>)
+                : <em>Empty stamp — nothing will be printed.</em>}
+            </div>
+          </div>
+
+          <div className="button-group">
+            <button type="button" className="btn-secondary" onClick={onResetStamp}>
+              ↩️ Reset to Default
+            </button>
+            <button type="button" className="btn-primary" onClick={onSaveStamp}>
+              💾 Save Stamp
+            </button>
+          </div>
+
+          <div className={statusClass('stamp')}>
+            {status.section === 'stamp' ? status.message : ''}
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>📝 Print Note Template</h2>
+          <div className="help-text">
+            4x6 delivery-instructions slip printed by &quot;Print Note&quot; on Veeqo.{' '}
+            {deliveryTemplateCustom ? 'Using your custom template.' : 'Using the built-in template.'}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="opt-print-note-output">Print Note output</label>
+            <select
+              id="opt-print-note-output"
+              value={printNoteOutput}
+              onChange={(e) => onChangePrintNoteOutput(e.target.value as PrintNoteOutput)}
+            >
+              <option value="window">Print window (uses the template below)</option>
+              <option value="pdf">PDF saved to Downloads (exact 4x6, no popups)</option>
+            </select>
+            <div className="help-text">
+              The PDF does not use the custom HTML or CSS below: it lists the PDF fields and footer
+              chosen here (saved with the template). Delivery slips in the labels PDF use them too.
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>PDF fields</label>
+            <div className="slip-pdf-fields">
+              {SLIP_PDF_FIELDS.map((f) => (
+                <label key={f.key} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={deliveryTemplate.pdf.fields.includes(f.key)}
+                    onChange={(e) => toggleSlipPdfField(f.key, e.target.checked)}
+                  />
+                  {f.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="opt-template-pdf-footer">PDF footer (up to {MAX_SLIP_FOOTER_LINES} lines)</label>
+            <textarea
+              id="opt-template-pdf-footer"
+              rows={MAX_SLIP_FOOTER_LINES}
+              value={deliveryTemplate.pdf.footer.join('\n')}
+              onChange={(e) => updateSlipPdfLayout({ footer: e.target.value.split('\n') })}
+            />
+          </div>
+
+          <div className="template-editor">
+            <div>
+              <div className="form-group">
+                <label htmlFor="opt-template-html">HTML</label>
+                <textarea
+                  id="opt-template-html"
+                  className="code-input"
+                  rows={16}
+                  spellCheck={false}
+                  value={deliveryTemplate.html}
+                  onChange={(e) => setDeliveryTemplate((t) => ({ ...t, html: e.target.value }))}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="opt-template-css">CSS (inserted at {'{{PRINT_CSS}}'})</label>
+                <textarea
+                  id="opt-template-css"
+                  className="code-input"
+                  rows={10}
+                  spellCheck={false}
+                  value={deliveryTemplate.css}
+                  onChange={(e) => setDeliveryTemplate((t) => ({ ...t, css: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Live preview (sample order)</label>
+              <iframe
+                className="template-preview"
+                title="Print note preview"
+                sandbox=""
+                srcDoc={templatePreview}
+              />
+            </div>
+          </div>
+
+          <div className="help-text">
+            Placeholders (values are HTML-escaped):
+            <ul className="placeholder-list">
+              {DELIVERY_TEMPLATE_PLACEHOLDERS.map((p) => (
+                <li key={p.key}>
+                  <code>{`{{${p.key}}}`}</code> — {p.description}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="button-group">
+            <button type="button" className="btn-secondary" onClick={onResetTemplate}>
+              ↩️ Restore Built-in
+            </button>
+            <button type="button" className="btn-primary" onClick={onSaveTemplate}>
+              💾 Save Template
+            </button>
+          </div>
+
+          <div className={statusClass('template')}>
+            {status.section === 'template' ? status.message : ''}
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>⏰ Scheduled Labels PDF</h2>
+          <div className="help-text">
+            Builds today&apos;s labels PDF every day at the chosen time and saves it to your Downloads
+            folder, using the carriers, stamp and manifest options last used in the popup. Chrome must
+            be running at that time.
+          </div>
+
+          <div className="stamp-grid">
+            <div className="form-group">
+              <label className="checkbox-label" htmlFor="opt-schedule-enabled">
+                <input
+                  id="opt-schedule-enabled"
+                  type="checkbox"
+                  checked={schedule.enabled}
+                  onChange={(e) => setSchedule((s) => ({ ...s, enabled: e.target.checked }))}
+                />
+                Run automatically
+              </label>
+            </div>
+            <div className="form-group">
+              <label htmlFor="opt-schedule-time">Time of day</label>
+              <input
+                id="opt-schedule-time"
+                type="time"
+                value={schedule.time}
+                onChange={(e) => setSchedule((s) => ({ ...s, time: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          <div className="button-group">
+            <button type="button" className="btn-primary" onClick={onSaveSchedule}>
+              💾 Save Schedule
+            </button>
+          </div>
+
+          <div className={statusClass('schedule')}>
+            {status.section === 'schedule' ? status.message : ''}
+          </div>
+
+          <div className="form-group schedule-history">
+            <label>Recent runs</label>
+            {scheduleHistory.length ? (
+              <table>
+                <tbody>
+                  {scheduleHistory.map((run) => (
+                    <tr key={run.at} className={run.status}>
+                      <td>{new Date(run.at).toLocaleString()}</td>
+                      <td>
+                        {run.status === 'saved'
+                          ? `Saved ${run.shipmentCount} label(s) — ${run.filename}`
+                          : `${run.status === 'skipped' ? 'Skipped' : 'Failed'}: ${run.error}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="help-text">No scheduled runs yet.</div>
+            )}
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>📦 Package Presets</h2>
+          <div className="help-text">
+            USPS autofill uses the first enabled rule that matches the order to pick the box size,
+            package type and padding weight. Missing dimensions come from the box; the weight is the
+            product weight plus the preset&apos;s padding. Check &quot;Override Veeqo&quot; to use the
+            preset&apos;s box even when Veeqo has package dimensions.
+          </div>
+
+          <div className="stamp-grid">
+            <div className="form-group">
+              <label htmlFor="opt-packaging-tare">Packaging tare (oz)</label>
+              <input
+                id="opt-packaging-tare"
+                type="number"
+                min={0}
+                step={0.1}
+                value={packagingTareOz}
+                onChange={(e) => setPackagingTareOz(Number(e.target.value) || 0)}
+              />
+              <div className="help-text">
+                Added to the product weight (Veeqo product weight × quantity) when no preset matches.
+                You are warned on the USPS page when the result differs from Veeqo&apos;s package weight.
+              </div>
+            </div>
+          </div>
+
+          {presetRules.map((rule, index) => (
+            <div key={rule.id} className={'preset-rule' + (rule.enabled ? '' : ' disabled')}>
+              <div className="preset-rule-header">
+                <span className="preset-rule-order">{index + 1}</span>
+                <input
+                  type="text"
+                  aria-label="Rule name"
+                  value={rule.name}
+                  onChange={(e) => updatePresetRule(index, { name: e.target.value })}
+                />
+                <span className="preset-rule-summary">
+                  {describePackagePresetConditions(rule.conditions)}
+                </span>
+                <button type="button" onClick={() => movePresetRule(index, -1)} disabled={index === 0}>
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  onClick={() => movePresetRule(index, 1)}
+                  disabled={index === presetRules.length - 1}
+                >
+                  ▼
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setPresetRules((rules) => rules.filter((r) => r.id !== rule.id))}
+                >
+                  ✕
+                </button>
+              </div>
+
+              <div className="stamp-grid">
+                <div className="form-group">
+                  <label>SKU patterns</label>
+                  <input
+                    type="text"
+                    defaultValue={rule.conditions.skus.join(', ')}
+                    placeholder="MUG-*, COASTER-4PK"
+                    onBlur={(e) =>
+                      updatePresetConditions(index, {
+                        skus: e.target.value.split(',').map((v) => v.trim()).filter(Boolean),
+                      })
+                    }
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Units (min – max)</label>
+                  <div className="preset-range">
+                    <input
+                      type="number"
+                      min={0}
+                      value={rule.conditions.minQuantity ?? ''}
+                      onChange={(e) =>
+                        updatePresetConditions(index, { minQuantity: optionalNumber(e.target.value) })
+                      }
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      value={rule.conditions.maxQuantity ?? ''}
+                      onChange={(e) =>
+                        updatePresetConditions(index, { maxQuantity: optionalNumber(e.target.value) })
+                      }
+                    />
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>Product weight, oz (min – max)</label>
+                  <div className="preset-range">
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.1}
+                      value={rule.conditions.minWeightOz ?? ''}
+                      onChange={(e) =>
+                        updatePresetConditions(index, { minWeightOz: optionalNumber(e.target.value) })
+                      }
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.1}
+                      value={rule.conditions.maxWeightOz ?? ''}
+                      onChange={(e) =>
+                        updatePresetConditions(index, { maxWeightOz: optionalNumber(e.target.value) })
+                      }
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="stamp-grid">
+                <div className="form-group">
+                  <label>Box L × W × H (in)</label>
+                  <div className="preset-range">
+                    {(['length', 'width', 'height'] as const).map((dim) => (
+                      <input
+                        key={dim}
+                        type="number"
+                        min={0}
+                        step={0.1}
+                        aria-label={dim}
+                        value={rule.preset[dim] ?? ''}
+                        onChange={(e) => updatePreset(index, { [dim]: optionalNumber(e.target.value) })}
+                      />
+                    ))}
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>USPS package type</label>
+                  <input
+                    type="text"
+                    value={rule.preset.packageType}
+                    placeholder="Own package"
+                    onChange={(e) => updatePreset(index, { packageType: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Padding (oz)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={rule.preset.paddingOz}
+                    onChange={(e) => updatePreset(index, { paddingOz: Number(e.target.value) || 0 })}
+                  />
+                </div>
+              </div>
+
+              <div className="preset-rule-flags">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updatePresetRule(index, { enabled: e.target.checked })}
+                  />
+                  Enabled
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={rule.override}
+                    onChange={(e) => updatePresetRule(index, { override: e.target.checked })}
+                  />
+                  Override Veeqo package data
+                </label>
+              </div>
+            </div>
+          ))}
+          {!presetRules.length && <div className="help-text">No package presets yet.</div>}
+
+          <div className="button-group">
+            <button
+              type="button"
+              className="btn-secondary"
+              disabled={presetRules.length >= MAX_PACKAGE_PRESET_RULES}
+              onClick={() => setPresetRules((rules) => [...rules, newPackagePresetRule()])}
+            >
+              ➕ Add Rule
+            </button>
+            <button type="button" className="btn-primary" onClick={onSavePresetRules}>
+              💾 Save Presets
+            </button>
+          </div>
+
+          <div className={statusClass('presets')}>
+            {status.section === 'presets' ? status.message : ''}
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>🕘 Note History</h2>
+          <div className="help-text">
+            Every customer note and employee note the extension writes to Veeqo, with the previous
+            value. Reverting a customer note restores the previous text (only while the order still has
+            the note that was written); reverting an employee note deletes the note that was added. Writes
+            made while the order could not be read show the previous value as unknown and cannot be
+            reverted.
+          </div>
+
+          {noteBatches.length ? (
+            noteBatches.map((batch) => {
+              const pending = batch.entries.filter((e) => !e.revertedAt);
+              return (
+                <div key={batch.batchId} className="note-batch">
+                  <div className="note-batch-header">
+                    <span>
+                      <strong>{NOTE_AUDIT_SOURCES[batch.source] || batch.source}</strong> —{' '}
+                      {new Date(batch.at).toLocaleString()} — {batch.entries.length} write(s)
+                    </span>
+                    {batch.entries.length > 1 && (
+                      <button
+                        type="button"
+                        className="btn-secondary"
+                        disabled={reverting || !pending.length}
+                        onClick={() => onRevertNotes(batch.entries)}
+                      >
+                        ↩️ Revert batch
+                      </button>
+                    )}
+                  </div>
+                  <table>
+                    <tbody>
+                      {batch.entries.map((entry) => (
+                        <tr key={entry.id} className={entry.revertedAt ? 'reverted' : ''}>
+                          <td>{entry.orderNumber || entry.orderId}</td>
+                          <td>{entry.field === 'customer_note' ? 'Customer note' : 'Employee note'}</td>
+                          <td>
+                            <span className="note-old">
+                              {entry.oldValueKnown === false ? '(unknown)' : entry.oldValue ?? '(empty)'}
+                            </span>{' '}
+                            →{' '}
+                            <span className="note-new">{entry.newValue}</span>
+                            {entry.revertError && !entry.revertedAt && (
+                              <div className="note-error">Revert failed: {entry.revertError}</div>
+                            )}
+                          </td>
+                          <td>
+                            {entry.revertedAt ? (
+                              `Reverted ${new Date(entry.revertedAt).toLocaleString()}`
+                            ) : (
+                              <button
+                                type="button"
+                                className="btn-secondary"
+                                disabled={reverting || entry.oldValueKnown === false}
+                                title={
+                                  entry.oldValueKnown === false
+                                    ? 'The order could not be read before this write'
+                                    : undefined
+                                }
+                                onClick={() => onRevertNotes([entry])}
+                              >
+                                ↩️ Revert
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })
+          ) : (
+            <div className="help-text">No note writes recorded yet.</div>
+          )}
+
+          {noteLog.length > 0 && (
+            <div className="button-group">
+              <button type="button" className="btn-secondary" onClick={onClearNoteLog}>
+                🗑️ Clear History
+              </button>
+            </div>
+          )}
+
+          <div className={statusClass('notes')}>
+            {status.section === 'notes' ? status.message : ''}
           </div>
         </div>
 
@@ -1,8 +1,22 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  ALL_CARRIER_IDS,
+  CARRIER_OPTIONS,
+  DEFAULT_LABEL_CARRIERS,
+  describeCarriers,
+  type CarrierId,
+} from '../../utils/carriers';
+import {
+  DEFAULT_SHARE_MESSAGE,
+  buildPdfFileName,
+  buildShareSubject,
+  sanitizeFileName,
+} from '../../utils/labelsFileName';
 import './App.css';
 
 type StatusType = 'success' | 'error' | 'info';
 type TabId = 'settings' | 'labels' | 'instructions';
+type LabelsMode = 'daily' | 'reprint';
 
 type DailyLabelsProgress = {
   phase: 'fetching_orders' | 'downloading_labels' | 'merging' | 'done';
@@ -13,11 +27,45 @@ type DailyLabelsProgress = {
   totalBatches?: number;
 };
 
+type FilterOption = { id: number; name: string };
+
+/** Selected option ids from a <select multiple>. */
+function selectedIds(select: HTMLSelectElement): number[] {
+  return Array.from(select.selectedOptions, (option) => Number(option.value));
+}
+
+function storedIds(value: unknown): number[] {
+  return Array.isArray(value) ? value.map(Number).filter((n) => Number.isFinite(n)) : [];
+}
+
+/** Mirrors the job state persisted by the background worker. */
+type DailyLabelsJob = {
+  id: string;
+  status: 'running' | 'done' | 'error';
+  progress: DailyLabelsProgress | null;
+  error?: string;
+  result?: {
+    dateStr: string;
+    days: Array<{ dateStr: string; count: number }>;
+    carriers: CarrierId[];
+    shipmentIds: number[];
+    filename: string;
+    notFound?: string[];
+    deliverySlipCount?: number;
+  };
+};
+
 type GeneratedPdf = {
   dateStr: string;
+  days: Array<{ dateStr: string; count: number }>;
+  carriers: CarrierId[];
   shipmentCount: number;
   filename: string;
   pdfBase64: string;
+  /** Reprints: order / tracking numbers that matched nothing */
+  notFound: string[];
+  /** Delivery slips interleaved after labels; undefined when the option was off */
+  deliverySlipCount?: number;
 };
 
 function isValidApiKey(apiKey: string): boolean {
@@ -32,8 +80,6 @@ function todayLocalYmd(): string {
   return `${y}-${m}-${day}`;
 }
 
-const DEFAULT_SHARE_MESSAGE = '[GocBepViet] Shipping Label';
-
 function base64ToBlob(base64: string, mime: string): Blob {
   const binary = atob(base64);
   const bytes = new Uint8Array(binary.length);
@@ -41,21 +87,6 @@ function base64ToBlob(base64: string, mime: string): Blob {
   return new Blob([bytes], { type: mime });
 }
 
-/** Combine stored share message with the label date (used as email subject, etc.). */
-function buildShareSubject(shareMessage: string, dateStr: string): string {
-  const base = shareMessage.trim() || DEFAULT_SHARE_MESSAGE;
-  return `${base} ${dateStr}`.trim();
-}
-
-/** Same PDF filename for Download / Email attachment / Share / WhatsApp. */
-function buildPdfFileName(shareMessage: string, dateStr: string): string {
-  return `${sanitizeFileName(buildShareSubject(shareMessage, dateStr))}.pdf`;
-}
-
-function sanitizeFileName(name: string): string {
-  return name.replace(/[\\/:*?"<>|]/g, '_').replace(/\s+/g, ' ').trim() || 'UPS_Labels';
-}
-
 function encodeRfc2047Subject(text: string): string {
   if (/^[\x20-\x7E]*$/.test(text)) return text;
   const bytes = new TextEncoder().encode(text);
@@ -182,15 +213,32 @@ export default function App() {
     message: '',
   });
 
+  const [labelsMode, setLabelsMode] = useState<LabelsMode>('daily');
+  /** Pasted / scanned order or tracking numbers for a reprint. */
+  const [reprintText, setReprintText] = useState('');
   const [labelDate, setLabelDate] = useState(todayLocalYmd);
+  /** Optional last day of a multi-day batch ('' = single day). */
+  const [labelEndDate, setLabelEndDate] = useState('');
   const [shareMessage, setShareMessage] = useState(DEFAULT_SHARE_MESSAGE);
   const [shareMessageReady, setShareMessageReady] = useState(false);
   const [addTimestamp, setAddTimestamp] = useState(true);
+  const [includeManifest, setIncludeManifest] = useState(false);
+  const [includeDeliverySlips, setIncludeDeliverySlips] = useState(false);
+  const [labelCarriers, setLabelCarriers] = useState<CarrierId[]>(DEFAULT_LABEL_CARRIERS);
+  /** Empty = every channel / warehouse. */
+  const [labelChannelIds, setLabelChannelIds] = useState<number[]>([]);
+  const [labelWarehouseIds, setLabelWarehouseIds] = useState<number[]>([]);
+  const [filterOptions, setFilterOptions] = useState<{
+    channels: FilterOption[];
+    warehouses: FilterOption[];
+  } | null>(null);
+  const [filterOptionsError, setFilterOptionsError] = useState<string | null>(null);
   const [labelsLoading, setLabelsLoading] = useState(false);
   const [labelsProgress, setLabelsProgress] = useState<DailyLabelsProgress | null>(null);
   const [labelsError, setLabelsError] = useState<string | null>(null);
   const [generatedPdf, setGeneratedPdf] = useState<GeneratedPdf | null>(null);
   const [shareNote, setShareNote] = useState<string | null>(null);
+  const [labelCache, setLabelCache] = useState<{ count: number; bytes: number } | null>(null);
 
   const showStatus = useCallback((message: string, type: StatusType) => {
     setStatus({ show: true, type, message });
@@ -210,6 +258,11 @@ export default function App() {
           'printNoteColumn',
           'labelsShareMessage',
           'labelsAddTimestamp',
+          'labelsIncludeManifest',
+          'labelsIncludeDeliverySlips',
+          'labelsCarriers',
+          'labelsChannelIds',
+          'labelsWarehouseIds',
         ]);
         if (result.veeqoApiKey) {
           setApiKey(result.veeqoApiKey);
@@ -224,6 +277,20 @@ export default function App() {
         if (typeof result.labelsAddTimestamp === 'boolean') {
           setAddTimestamp(result.labelsAddTimestamp);
         }
+        if (typeof result.labelsIncludeManifest === 'boolean') {
+          setIncludeManifest(result.labelsIncludeManifest);
+        }
+        if (typeof result.labelsIncludeDeliverySlips === 'boolean') {
+          setIncludeDeliverySlips(result.labelsIncludeDeliverySlips);
+        }
+        if (Array.isArray(result.labelsCarriers)) {
+          const stored = (result.labelsCarriers as string[]).filter((id): id is CarrierId =>
+            ALL_CARRIER_IDS.includes(id as CarrierId)
+          );
+          if (stored.length) setLabelCarriers(stored);
+        }
+        setLabelChannelIds(storedIds(result.labelsChannelIds));
+        setLabelWarehouseIds(storedIds(result.labelsWarehouseIds));
         setShareMessageReady(true);
       } catch (e) {
         console.error('Error loading settings:', e);
@@ -238,13 +305,46 @@ export default function App() {
     const timer = setTimeout(() => {
       const value = shareMessage.trim() || DEFAULT_SHARE_MESSAGE;
       chrome.storage.sync
-        .set({ labelsShareMessage: value, labelsAddTimestamp: addTimestamp })
+        .set({
+          labelsShareMessage: value,
+          labelsAddTimestamp: addTimestamp,
+          labelsIncludeManifest: includeManifest,
+          labelsIncludeDeliverySlips: includeDeliverySlips,
+          labelsCarriers: labelCarriers,
+          labelsChannelIds: labelChannelIds,
+          labelsWarehouseIds: labelWarehouseIds,
+        })
         .catch((e) => {
           console.error('Error saving label options:', e);
         });
     }, 400);
     return () => clearTimeout(timer);
-  }, [shareMessage, addTimestamp, shareMessageReady]);
+  }, [
+    shareMessage,
+    addTimestamp,
+    includeManifest,
+    includeDeliverySlips,
+    labelCarriers,
+    labelChannelIds,
+    labelWarehouseIds,
+    shareMessageReady,
+  ]);
+
+  const loadFilterOptions = useCallback(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLabelFilterOptions' });
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      setFilterOptions({ channels: response.channels, warehouses: response.warehouses });
+      setFilterOptionsError(null);
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      setFilterOptionsError(msg);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'labels' && !filterOptions) loadFilterOptions();
+  }, [activeTab, filterOptions, loadFilterOptions]);
 
   useEffect(() => {
     const onMessage = (msg: { action?: string; progress?: DailyLabelsProgress }) => {
@@ -256,6 +356,74 @@ export default function App() {
     return () => chrome.runtime.onMessage.removeListener(onMessage);
   }, []);
 
+  const applyLabelsJob = useCallback((job: DailyLabelsJob | null, pdfBase64?: string) => {
+    if (!job) return;
+    setLabelsLoading(job.status === 'running');
+    setLabelsProgress(job.status === 'error' ? null : job.progress);
+    setLabelsError(job.status === 'error' ? job.error || 'Failed to generate labels PDF' : null);
+    if (job.status === 'done' && job.result && pdfBase64) {
+      setGeneratedPdf({
+        dateStr: job.result.dateStr,
+        days: job.result.days,
+        carriers: job.result.carriers,
+        shipmentCount: job.result.shipmentIds.length,
+        filename: job.result.filename,
+        pdfBase64,
+        notFound: job.result.notFound || [],
+        deliverySlipCount: job.result.deliverySlipCount,
+      });
+    } else {
+      setGeneratedPdf(null);
+    }
+  }, []);
+
+  const loadLabelsJob = useCallback(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getDailyLabelsJob' });
+      if (response?.success) applyLabelsJob(response.job, response.pdfBase64);
+    } catch (e) {
+      console.error('Error loading labels job:', e);
+    }
+  }, [applyLabelsJob]);
+
+  // The job runs in the background worker: reattach on open, reload when it finishes.
+  useEffect(() => {
+    loadLabelsJob();
+    const onChanged = (changes: Record<string, chrome.storage.StorageChange>, area: string) => {
+      const change = changes.dailyLabelsJob;
+      if (area !== 'local' || !change) return;
+      const job = change.newValue as DailyLabelsJob | undefined;
+      if (job?.status !== 'running') loadLabelsJob();
+    };
+    chrome.storage.onChanged.addListener(onChanged);
+    return () => chrome.storage.onChanged.removeListener(onChanged);
+  }, [loadLabelsJob]);
+
+  const loadLabelCacheStats = useCallback(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLabelCacheStats' });
+      if (response?.success) setLabelCache({ count: response.count, bytes: response.bytes });
+    } catch (e) {
+      console.error('Error loading label cache stats:', e);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'settings') loadLabelCacheStats();
+  }, [activeTab, loadLabelCacheStats]);
+
+  const onClearLabelCache = async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'clearLabelCache' });
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      showStatus('Label cache cleared', 'success');
+      await loadLabelCacheStats();
+    } catch (e) {
+      const msg = e instanceof Error ? e.message : String(e);
+      showStatus('Error clearing label cache: ' + msg, 'error');
+    }
+  };
+
   const onTestConnection = async () => {
     const k = apiKey.trim();
     if (!k) {
@@ -323,7 +491,35 @@ export default function App() {
     }
   };
 
+  const toggleCarrier = (id: CarrierId, checked: boolean) => {
+    setLabelCarriers((current) => {
+      const next = checked ? [...current, id] : current.filter((c) => c !== id);
+      // Keep rule order so file names and messages are stable
+      return ALL_CARRIER_IDS.filter((c) => next.includes(c));
+    });
+  };
+
+  const allCarriersSelected = labelCarriers.length === ALL_CARRIER_IDS.length;
+
+  const labelRangeText = useMemo(() => {
+    const start = labelDate || todayLocalYmd();
+    return labelEndDate && labelEndDate !== start ? `${start} to ${labelEndDate}` : start;
+  }, [labelDate, labelEndDate]);
+
   const onGenerateLabels = async () => {
+    const reprint = labelsMode === 'reprint';
+    if (reprint && !reprintText.trim()) {
+      setLabelsError('Paste or scan at least one order or tracking number.');
+      return;
+    }
+    if (!reprint && !labelCarriers.length) {
+      setLabelsError('Select at least one carrier.');
+      return;
+    }
+    if (!reprint && labelEndDate && labelEndDate < (labelDate || todayLocalYmd())) {
+      setLabelsError('End date must be on or after the start date.');
+      return;
+    }
     setLabelsError(null);
     setShareNote(null);
     setGeneratedPdf(null);
@@ -331,40 +527,32 @@ export default function App() {
     setLabelsProgress({ phase: 'fetching_orders', message: 'Starting…' });
 
     try {
+      // Returns as soon as the job starts; completion arrives via the storage listener.
       const response = await chrome.runtime.sendMessage({
-        action: 'generateDailyLabelsPdf',
+        action: 'startDailyLabelsJob',
         apiKey: apiKey.trim() || undefined,
+        mode: labelsMode,
+        reprintText: reprint ? reprintText : undefined,
         targetDate: labelDate || todayLocalYmd(),
+        endDate: labelEndDate || null,
         addTimestamp,
+        includeManifest,
+        includeDeliverySlips,
+        carriers: labelCarriers,
+        channelIds: labelChannelIds,
+        warehouseIds: labelWarehouseIds,
       });
 
-      if (!response?.success || !response.data) {
-        throw new Error(response?.error || 'Failed to generate labels PDF');
+      if (response?.job?.status === 'running') {
+        // Either our new job or one started earlier (e.g. from another window)
+        setLabelsProgress(response.job.progress);
+        return;
       }
-
-      const data = response.data as {
-        dateStr: string;
-        shipmentIds: number[];
-        filename: string;
-        pdfBase64: string;
-      };
-
-      setGeneratedPdf({
-        dateStr: data.dateStr,
-        shipmentCount: data.shipmentIds.length,
-        filename: data.filename,
-        pdfBase64: data.pdfBase64,
-      });
-      setLabelsProgress({
-        phase: 'done',
-        message: `Ready — ${data.shipmentIds.length} UPS label(s) for ${data.dateStr}`,
-        found: data.shipmentIds.length,
-      });
+      throw new Error(response?.error || 'Failed to generate labels PDF');
     } catch (e) {
       const msg = e instanceof Error ? e.message : String(e);
       setLabelsError(msg);
       setLabelsProgress(null);
-    } finally {
       setLabelsLoading(false);
     }
   };
@@ -378,17 +566,17 @@ export default function App() {
   }, []);
 
   const shareSubjectPreview = useMemo(
-    () => buildShareSubject(shareMessage, generatedPdf?.dateStr || labelDate || todayLocalYmd()),
-    [shareMessage, generatedPdf?.dateStr, labelDate]
+    () => buildShareSubject(shareMessage, generatedPdf?.dateStr || labelRangeText),
+    [shareMessage, generatedPdf?.dateStr, labelRangeText]
   );
 
   const pdfFileName = useMemo(
     () =>
       buildPdfFileName(
         shareMessage,
-        generatedPdf?.dateStr || labelDate || todayLocalYmd()
+        generatedPdf?.dateStr || labelRangeText
       ),
-    [shareMessage, generatedPdf?.dateStr, labelDate]
+    [shareMessage, generatedPdf?.dateStr, labelRangeText]
   );
 
   const onDownloadPdf = async () => {
@@ -460,7 +648,7 @@ export default function App() {
       const subject = buildShareSubject(shareMessage, generatedPdf.dateStr);
       const body =
         `${subject}\n\n` +
-        `Please find the UPS shipping labels PDF attached.\n\n` +
+        `Please find the ${describeCarriers(generatedPdf.carriers)} shipping labels PDF attached.\n\n` +
         `${generatedPdf.shipmentCount} label(s) shipped on ${generatedPdf.dateStr}.`;
       const emlBlob = buildEmailDraftEml({
         subject,
@@ -523,24 +711,188 @@ export default function App() {
       </div>
 
       <div className={'tab-content' + (activeTab === 'labels' ? ' active' : '')} id="labels">
+        <div className="labels-mode">
+          <label className="checkbox-row" htmlFor="labelsModeDaily">
+            <input
+              id="labelsModeDaily"
+              type="radio"
+              name="labelsMode"
+              checked={labelsMode === 'daily'}
+              onChange={() => setLabelsMode('daily')}
+              disabled={labelsLoading}
+            />
+            <span>Daily labels</span>
+          </label>
+          <label className="checkbox-row" htmlFor="labelsModeReprint">
+            <input
+              id="labelsModeReprint"
+              type="radio"
+              name="labelsMode"
+              checked={labelsMode === 'reprint'}
+              onChange={() => setLabelsMode('reprint')}
+              disabled={labelsLoading}
+            />
+            <span>Reprint list</span>
+          </label>
+        </div>
+
         <div className="labels-intro">
           <p>
-            Generate a single PDF of all <strong>UPS</strong> shipping labels purchased on a local
-            calendar day (same logic as the retrieve_label sample).
+            {labelsMode === 'daily'
+              ? 'Generate a single PDF of all shipping labels for the selected carriers purchased on a local calendar day, or over a range of days (same logic as the retrieve_label sample).'
+              : 'Generate a PDF with only the labels you list — e.g. the few that jammed in the printer.'}
           </p>
         </div>
 
-        <div className="form-group">
-          <label htmlFor="labelDate">Label date (local time)</label>
-          <input
-            id="labelDate"
-            type="date"
-            value={labelDate}
-            onChange={(e) => setLabelDate(e.target.value)}
-            disabled={labelsLoading}
-          />
-          <div className="help-text">Defaults to today. Uses your computer&apos;s local timezone.</div>
-        </div>
+        {labelsMode === 'reprint' && (
+          <div className="form-group">
+            <label htmlFor="reprintList">Order or tracking numbers</label>
+            <textarea
+              id="reprintList"
+              rows={5}
+              value={reprintText}
+              onChange={(e) => setReprintText(e.target.value)}
+              placeholder={'112-1234567-1234567\n1Z999AA10123456784'}
+              disabled={labelsLoading}
+            />
+            <div className="help-text">
+              One per line (or separated by commas/spaces); a barcode scanner works too. An order
+              number includes every label on that order.
+            </div>
+          </div>
+        )}
+
+        {labelsMode === 'daily' && (
+          <>
+
+            <div className="form-group">
+              <div className="date-range">
+                <div>
+                  <label htmlFor="labelDate">Label date (local time)</label>
+                  <input
+                    id="labelDate"
+                    type="date"
+                    value={labelDate}
+                    onChange={(e) => setLabelDate(e.target.value)}
+                    disabled={labelsLoading}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="labelEndDate">Through (optional)</label>
+                  <input
+                    id="labelEndDate"
+                    type="date"
+                    value={labelEndDate}
+                    min={labelDate}
+                    onChange={(e) => setLabelEndDate(e.target.value)}
+                    disabled={labelsLoading}
+                  />
+                </div>
+              </div>
+              <div className="help-text">
+                Defaults to today. Uses your computer&apos;s local timezone. Set &quot;Through&quot; to
+                batch several days (e.g. after a weekend) into one PDF with a divider page between days.
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Carriers</label>
+              <div className="carrier-options">
+                <label className="checkbox-row" htmlFor="carrier-all">
+                  <input
+                    id="carrier-all"
+                    type="checkbox"
+                    checked={allCarriersSelected}
+                    onChange={(e) =>
+                      setLabelCarriers(e.target.checked ? ALL_CARRIER_IDS : DEFAULT_LABEL_CARRIERS)
+                    }
+                    disabled={labelsLoading}
+                  />
+                  <span>All carriers</span>
+                </label>
+                {CARRIER_OPTIONS.map((option) => (
+                  <label key={option.id} className="checkbox-row" htmlFor={`carrier-${option.id}`}>
+                    <input
+                      id={`carrier-${option.id}`}
+                      type="checkbox"
+                      checked={labelCarriers.includes(option.id)}
+                      onChange={(e) => toggleCarrier(option.id, e.target.checked)}
+                      disabled={labelsLoading}
+                    />
+                    <span>{option.label}</span>
+                  </label>
+                ))}
+              </div>
+              <div className="help-text">
+                Labels of every selected carrier are merged into one PDF, ordered by buy time.
+              </div>
+            </div>
+
+            <div className="form-group">
+              <div className="label-filters">
+                <div>
+                  <label htmlFor="labelChannels">Stores / channels</label>
+                  <select
+                    id="labelChannels"
+                    multiple
+                    value={labelChannelIds.map(String)}
+                    onChange={(e) => setLabelChannelIds(selectedIds(e.target))}
+                    disabled={labelsLoading || !filterOptions}
+                  >
+                    {filterOptions?.channels.map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="labelWarehouses">Warehouses</label>
+                  <select
+                    id="labelWarehouses"
+                    multiple
+                    value={labelWarehouseIds.map(String)}
+                    onChange={(e) => setLabelWarehouseIds(selectedIds(e.target))}
+                    disabled={labelsLoading || !filterOptions}
+                  >
+                    {filterOptions?.warehouses.map((w) => (
+                      <option key={w.id} value={w.id}>
+                        {w.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="help-text">
+                {filterOptionsError ? (
+                  <>
+                    Could not load stores/warehouses: {filterOptionsError}{' '}
+                    <button type="button" className="link-button" onClick={loadFilterOptions}>
+                      Retry
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    Nothing selected = all. Ctrl/Cmd-click to pick several.{' '}
+                    {(labelChannelIds.length > 0 || labelWarehouseIds.length > 0) && (
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => {
+                          setLabelChannelIds([]);
+                          setLabelWarehouseIds([]);
+                        }}
+                        disabled={labelsLoading}
+                      >
+                        Clear filters
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          </>
+        )}
 
         <div className="form-group">
           <label htmlFor="shareMessage">Share message</label>
@@ -567,11 +919,45 @@ export default function App() {
               onChange={(e) => setAddTimestamp(e.target.checked)}
               disabled={labelsLoading}
             />
-            <span>Add Timestamp</span>
+            <span>Stamp labels</span>
           </label>
           <div className="help-text">
-            When checked, each label is stamped with its buy time (local). Labels are always ordered
-            by buy time.
+            When checked, each label gets the stamp set in Options (buy time by default). Labels are
+            always ordered by buy time.
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="checkbox-row" htmlFor="includeManifest">
+            <input
+              id="includeManifest"
+              type="checkbox"
+              checked={includeManifest}
+              onChange={(e) => setIncludeManifest(e.target.checked)}
+              disabled={labelsLoading}
+            />
+            <span>Add manifest cover page</span>
+          </label>
+          <div className="help-text">
+            Prepends a pickup manifest listing order, tracking number, service, buy time and page
+            for every label, with a driver signature line.
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="checkbox-row" htmlFor="includeDeliverySlips">
+            <input
+              id="includeDeliverySlips"
+              type="checkbox"
+              checked={includeDeliverySlips}
+              onChange={(e) => setIncludeDeliverySlips(e.target.checked)}
+              disabled={labelsLoading}
+            />
+            <span>Add delivery-note slips</span>
+          </label>
+          <div className="help-text">
+            Inserts the 4x6 delivery-instructions slip right after each label whose order has a
+            customer note, so labels and notes come out of the printer paired.
           </div>
         </div>
 
@@ -590,6 +976,12 @@ export default function App() {
           <div className="labels-progress">
             <div className="labels-progress-bar" data-phase={labelsProgress.phase} />
             <p>{labelsProgress.message}</p>
+            {labelsLoading && (
+              <div className="help-text">
+                Runs in the background — you can close this popup. A notification will offer the
+                download when the PDF is ready.
+              </div>
+            )}
           </div>
         )}
 
@@ -600,9 +992,26 @@ export default function App() {
             <div className="labels-result-summary">
               <strong>{pdfFileName}</strong>
               <span>
-                {generatedPdf.shipmentCount} UPS label{generatedPdf.shipmentCount === 1 ? '' : 's'} ·{' '}
+                {generatedPdf.shipmentCount} {describeCarriers(generatedPdf.carriers)} label
+                {generatedPdf.shipmentCount === 1 ? '' : 's'} ·{' '}
                 {generatedPdf.dateStr}
               </span>
+              {generatedPdf.days.length > 1 && (
+                <span>
+                  {generatedPdf.days.map((d) => `${d.dateStr}: ${d.count}`).join(' · ')}
+                </span>
+              )}
+              {generatedPdf.deliverySlipCount !== undefined && (
+                <span>
+                  {generatedPdf.deliverySlipCount} delivery-note slip
+                  {generatedPdf.deliverySlipCount === 1 ? '' : 's'}
+                </span>
+              )}
+              {generatedPdf.notFound.length > 0 && (
+                <span className="labels-not-found">
+                  Not found: {generatedPdf.notFound.join(', ')}
+                </span>
+              )}
             </div>
 
             <div className="button-group labels-actions">
@@ -650,9 +1059,11 @@ export default function App() {
           </p>
         </div>
         <div className="instruction-item">
-          <h4>📦 Daily UPS Labels</h4>
+          <h4>📦 Daily Labels</h4>
           <p>
-            Open the <strong>Labels</strong> tab, pick a date (defaults to today), then Generate PDF.
+            Open the <strong>Labels</strong> tab, pick a date (defaults to today) or a date range and
+            the carriers
+            (UPS, USPS, FedEx, Amazon Buy Shipping or all), then Generate PDF.
             Download the merged file, or use Email / WhatsApp (attach the downloaded PDF in the
             compose window).
           </p>
@@ -675,7 +1086,8 @@ export default function App() {
             <br />
             • If API connection fails, verify your API key is correct
             <br />
-            • If Labels PDF finds 0 shipments, confirm labels were bought that local day via UPS
+            • If Labels PDF finds 0 shipments, confirm labels were bought that local day with a
+            selected carrier
           </p>
         </div>
         <div className="instruction-item">
@@ -766,6 +1178,25 @@ export default function App() {
           </div>
         </form>
 
+        <div className="form-group label-cache">
+          <div className="setting-row">
+            <label>Label cache:</label>
+            <span>
+              {labelCache
+                ? `${labelCache.count} label(s) · ${(labelCache.bytes / 1024 / 1024).toFixed(1)} MB`
+                : '—'}
+            </span>
+          </div>
+          <div className="help-text">
+            Stamped labels are kept for 30 days so re-running a day only downloads missing labels.
+          </div>
+          <div className="button-group">
+            <button type="button" className="btn-secondary" onClick={onClearLabelCache}>
+              Clear Label Cache
+            </button>
+          </div>
+        </div>
+
         <div className={'status' + (status.show ? ' visible' : '') + (status.type ? ' ' + status.type : '')}>
           {status.message}
         </div>
@@ -0,0 +1,100 @@
+/**
+ * Veeqo allocations (the shipments an order is split into), shared by the Veeqo and
+ * USPS content scripts. Each allocation gets its own USPS label: its package, its
+ * line items (so package presets and product weights match the shipment) and its
+ * quantity in Reference 2.
+ */
+
+/**
+ * Only the line-item fields autofill reads, to keep the cached order data small
+ * @param {Object} item - Veeqo order or allocation line item
+ * @returns {{ quantity: number, sellable: Object }}
+ */
+function compactAllocationLineItem(item) {
+    const sellable = item?.sellable || {};
+    return {
+        quantity: parseInt(item?.quantity, 10) || 0,
+        sellable: {
+            sku_code: sellable.sku_code || null,
+            weight_grams: sellable.weight_grams ?? null,
+            product_title: sellable.product_title || sellable.title || null,
+        },
+    };
+}
+
+/**
+ * One entry per allocation. When Veeqo lists no allocations (or an allocation comes
+ * without line items) the order's line items stand in, as before.
+ * @param {Object} apiOrder - Raw order from the Veeqo API
+ * @returns {Array<{ id: number|null, index: number, allocation_package: Object|null, line_items: Array<Object>,
+ *   quantity: number, sku_codes: string[], warehouse: string|null, shipped: boolean }>}
+ */
+function summarizeOrderAllocations(apiOrder) {
+    const allocations = apiOrder?.allocations?.length > 0 ? apiOrder.allocations : [null];
+    return allocations.map((allocation, index) => {
+        const items = allocation?.line_items?.length > 0 ? allocation.line_items : apiOrder?.line_items || [];
+        const lineItems = items.map(compactAllocationLineItem);
+        return {
+            id: allocation?.id ?? null,
+            index,
+            allocation_package: allocation?.allocation_package || null,
+            line_items: lineItems,
+            quantity: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+            sku_codes: lineItems.map((item) => item.sellable.sku_code).filter(Boolean),
+            warehouse: allocation?.warehouse?.name || null,
+            shipped: !!allocation?.shipment,
+        };
+    });
+}
+
+/**
+ * Reference 2: "{quantity} x {SKUs}", with "[2/3]" when the order ships in several allocations
+ * @param {string|number} quantity
+ * @param {string[]} skuCodes
+ * @param {number} [index]
+ * @param {number} [count]
+ * @returns {string}
+ */
+function formatAllocationReference(quantity, skuCodes, index = 0, count = 1) {
+    const reference = skuCodes.length > 0 ? `${quantity} x ${skuCodes.join(', ')}` : String(quantity);
+    return count > 1 ? `${reference} [${index + 1}/${count}]` : reference;
+}
+
+/**
+ * Index of the first allocation without a shipment, else 0
+ * @param {Array<Object>} allocations - From summarizeOrderAllocations
+ * @returns {number}
+ */
+function firstUnshippedAllocationIndex(allocations) {
+    const index = (allocations || []).findIndex((allocation) => !allocation.shipped);
+    return index >= 0 ? index : 0;
+}
+
+/**
+ * Order data for one allocation's label: package, line items, SKUs, quantity and Reference 2.
+ * Veeqo's package is kept in veeqo_package; allocation_package is what autofill fills
+ * in (see preparePackageData), worked out again from veeqo_package on every run.
+ * @param {Object} orderData - Built with `allocations` (see summarizeOrderAllocations)
+ * @param {number} index
+ * @returns {Object} A copy; orderData itself is unchanged
+ */
+function applyAllocationToOrderData(orderData, index) {
+    const allocations = orderData.allocations || [];
+    const allocation = allocations[index];
+    if (!allocation) {
+        return orderData;
+    }
+    const quantity = String(allocation.quantity || 1);
+    return {
+        ...orderData,
+        allocation_id: allocation.id,
+        allocation_index: index,
+        allocation_count: allocations.length,
+        veeqo_package: allocation.allocation_package,
+        allocation_package: allocation.allocation_package,
+        line_items: allocation.line_items,
+        sku_codes: allocation.sku_codes,
+        quantity_to_ship: quantity,
+        reference_number: formatAllocationReference(quantity, allocation.sku_codes, index, allocations.length),
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * Structured Veeqo employee notes ("note tags"), shared by the Veeqo and USPS content scripts.
+ *
+ * Tags live in a single employee note that is edited in place:
+ *   [GBV] E-Price: 12.34 | Packed-By: Anna | Tracking: 9400100000000000000012 | Label-Bought-At: 2026-10-19T15:04:00.000Z
+ * Older free-text `"E-Price":12.34` notes are read as an E-Price tag, and are
+ * rewritten in the tag format the next time a tag is set.
+ */
+
+const NOTE_TAGS_PREFIX = '[GBV]';
+const NOTE_TAGS_SEPARATOR = ' | ';
+
+/** Known tags, in display/serialization order; other keys are kept as-is. */
+const NOTE_TAGS = [
+    { key: 'E-Price', label: 'E-Price', format: (value) => `$${value}` },
+    { key: 'Packed-By', label: 'Packed by', format: (value) => value },
+    { key: 'Tracking', label: 'Tracking', format: (value) => value },
+    { key: 'USPS-Service', label: 'Service', format: (value) => value },
+    { key: 'Postage', label: 'Postage', format: (value) => `$${value}` },
+    {
+        key: 'Label-Bought-At',
+        label: 'Label bought',
+        format: (value) => {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? value : date.toLocaleString();
+        },
+    },
+];
+
+const LEGACY_E_PRICE_PATTERN = /^"E-Price"\s*:\s*(.+)$/i;
+
+/**
+ * Known keys are matched case-insensitively and returned in their canonical spelling
+ * @param {string} key
+ * @returns {string}
+ */
+function canonicalNoteTagKey(key) {
+    const known = NOTE_TAGS.find((tag) => tag.key.toLowerCase() === key.toLowerCase());
+    return known ? known.key : key;
+}
+
+/**
+ * Values are single-line and cannot contain the separator
+ * @param {unknown} value
+ * @returns {string}
+ */
+function cleanNoteTagValue(value) {
+    return String(value ?? '').replace(/[\r\n|]+/g, ' ').trim();
+}
+
+/**
+ * @param {string} text - Employee note text
+ * @returns {Object<string, string>|null} Tags by key, or null for a free-text note
+ */
+function parseNoteTags(text) {
+    const trimmed = (text || '').trim();
+    const legacy = trimmed.match(LEGACY_E_PRICE_PATTERN);
+    if (legacy) {
+        return { 'E-Price': legacy[1].trim() };
+    }
+    if (!trimmed.startsWith(NOTE_TAGS_PREFIX)) {
+        return null;
+    }
+
+    const tags = {};
+    trimmed.slice(NOTE_TAGS_PREFIX.length).split('|').forEach((part) => {
+        const colon = part.indexOf(':');
+        if (colon <= 0) return;
+        const key = canonicalNoteTagKey(part.slice(0, colon).trim());
+        const value = part.slice(colon + 1).trim();
+        if (key && value) tags[key] = value;
+    });
+    return tags;
+}
+
+/**
+ * @param {Object<string, string>} tags - Empty values are dropped
+ * @returns {string}
+ */
+function serializeNoteTags(tags) {
+    const knownKeys = NOTE_TAGS.map((tag) => tag.key);
+    const keys = [
+        ...knownKeys.filter((key) => key in tags),
+        ...Object.keys(tags).filter((key) => !knownKeys.includes(key)),
+    ];
+    const parts = keys
+        .map((key) => [key, cleanNoteTagValue(tags[key])])
+        .filter(([, value]) => value)
+        .map(([key, value]) => `${key}: ${value}`);
+    return `${NOTE_TAGS_PREFIX} ${parts.join(NOTE_TAGS_SEPARATOR)}`;
+}
+
+/**
+ * Split an order's employee notes into tags and free-text notes. When several
+ * notes carry tags (e.g. old E-Price notes), later notes win and the last one
+ * is the note to edit.
+ * @param {Array<{ id?: number, text?: string }>|null|undefined} employeeNotes
+ * @returns {{ tags: Object<string, string>, noteId: number|null, notes: string[] }}
+ */
+function findNoteTags(employeeNotes) {
+    const tags = {};
+    const notes = [];
+    let noteId = null;
+    for (const note of employeeNotes || []) {
+        const parsed = parseNoteTags(note?.text);
+        if (parsed) {
+            Object.assign(tags, parsed);
+            noteId = note.id ?? noteId;
+        } else if (note?.text && note.text.trim()) {
+            notes.push(note.text.trim());
+        }
+    }
+    return { tags, noteId, notes };
+}
+
+/**
+ * Note text and id for setting tags: the existing tag note is updated in place,
+ * otherwise (noteId null) a new employee note is added
+ * @param {Array<{ id?: number, text?: string }>|null|undefined} employeeNotes
+ * @param {Object<string, string>} updates - Tags to set; an empty value removes the tag
+ * @returns {{ noteId: number|null, text: string }}
+ */
+function buildNoteTagsUpdate(employeeNotes, updates) {
+    const { tags, noteId } = findNoteTags(employeeNotes);
+    for (const [key, value] of Object.entries(updates)) {
+        tags[canonicalNoteTagKey(key)] = cleanNoteTagValue(value);
+    }
+    return { noteId, text: serializeNoteTags(tags) };
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @returns {{ label: string, text: string }}
+ */
+function describeNoteTag(key, value) {
+    const known = NOTE_TAGS.find((tag) => tag.key === key);
+    return known ? { label: known.label, text: known.format(value) } : { label: key, text: value };
+}
@@ -0,0 +1,296 @@
+/**
+ * Local address normalization for USPS autofill, done before any form field is filled:
+ * USPS street suffix and unit designator abbreviations (Publication 28), ZIP+4
+ * splitting, PO Box and APO/FPO/DPO detection, and two-letter state validation.
+ * Problems are collected as `issues` for the warning panel instead of being
+ * left for USPS to guess at.
+ */
+
+/** Street suffixes (Publication 28, Appendix C1), common spellings → abbreviation */
+const USPS_STREET_SUFFIXES = {
+    ALLEY: 'ALY', ANNEX: 'ANX', ARCADE: 'ARC', AVENUE: 'AVE', AV: 'AVE', AVEN: 'AVE', AVNUE: 'AVE',
+    BAYOU: 'BYU', BEACH: 'BCH', BEND: 'BND', BLUFF: 'BLF', BOULEVARD: 'BLVD', BOUL: 'BLVD',
+    BRANCH: 'BR', BRIDGE: 'BRG', BROOK: 'BRK', BYPASS: 'BYP', CAMP: 'CP', CANYON: 'CYN',
+    CAUSEWAY: 'CSWY', CENTER: 'CTR', CENTRE: 'CTR', CIRCLE: 'CIR', CIRC: 'CIR', CLIFF: 'CLF',
+    CLUB: 'CLB', COMMON: 'CMN', CORNER: 'COR', COURSE: 'CRSE', COURT: 'CT', COVE: 'CV',
+    CREEK: 'CRK', CRESCENT: 'CRES', CROSSING: 'XING', CROSSROAD: 'XRD', DALE: 'DL', DAM: 'DM',
+    DIVIDE: 'DV', DRIVE: 'DR', DRV: 'DR', ESTATE: 'EST', ESTATES: 'ESTS', EXPRESSWAY: 'EXPY',
+    EXTENSION: 'EXT', FALLS: 'FLS', FERRY: 'FRY', FIELD: 'FLD', FIELDS: 'FLDS', FLAT: 'FLT',
+    FOREST: 'FRST', FORGE: 'FRG', FORK: 'FRK', FORT: 'FT', FREEWAY: 'FWY', GARDEN: 'GDN',
+    GARDENS: 'GDNS', GATEWAY: 'GTWY', GLEN: 'GLN', GREEN: 'GRN', GROVE: 'GRV', HARBOR: 'HBR',
+    HAVEN: 'HVN', HEIGHTS: 'HTS', HIGHWAY: 'HWY', HILL: 'HL', HILLS: 'HLS', HOLLOW: 'HOLW',
+    ISLAND: 'IS', JUNCTION: 'JCT', KNOLL: 'KNL', LAKE: 'LK', LAKES: 'LKS', LANDING: 'LNDG',
+    LANE: 'LN', LIGHT: 'LGT', LOOP: 'LOOP', MANOR: 'MNR', MEADOW: 'MDW', MEADOWS: 'MDWS',
+    MILL: 'ML', MISSION: 'MSN', MOTORWAY: 'MTWY', MOUNT: 'MT', MOUNTAIN: 'MTN', ORCHARD: 'ORCH',
+    OVERPASS: 'OPAS', PARKWAY: 'PKWY', PARKWY: 'PKWY', PASSAGE: 'PSGE', PIKE: 'PIKE',
+    PINES: 'PNES', PLACE: 'PL', PLAIN: 'PLN', PLAINS: 'PLNS', PLAZA: 'PLZ', POINT: 'PT',
+    POINTE: 'PT', PORT: 'PRT', PRAIRIE: 'PR', RANCH: 'RNCH', RIDGE: 'RDG', RIVER: 'RIV',
+    ROAD: 'RD', ROUTE: 'RTE', SHORE: 'SHR', SHORES: 'SHRS', SKYWAY: 'SKWY', SPRING: 'SPG',
+    SPRINGS: 'SPGS', SQUARE: 'SQ', STATION: 'STA', STREAM: 'STRM', STREET: 'ST', STR: 'ST',
+    SUMMIT: 'SMT', TERRACE: 'TER', TRACE: 'TRCE', TRAIL: 'TRL', TRAILER: 'TRLR', TUNNEL: 'TUNL',
+    TURNPIKE: 'TPKE', UNION: 'UN', VALLEY: 'VLY', VIADUCT: 'VIA', VIEW: 'VW', VILLAGE: 'VLG',
+    VILLE: 'VL', VISTA: 'VIS', WAY: 'WAY', WELLS: 'WLS',
+};
+
+/** Secondary unit designators (Publication 28, Appendix C2) → abbreviation */
+const USPS_UNIT_DESIGNATORS = {
+    APARTMENT: 'APT', APT: 'APT', BUILDING: 'BLDG', BLDG: 'BLDG', DEPARTMENT: 'DEPT', DEPT: 'DEPT',
+    FLOOR: 'FL', FL: 'FL', HANGAR: 'HNGR', HNGR: 'HNGR', LOT: 'LOT', OFFICE: 'OFC', OFC: 'OFC',
+    PIER: 'PIER', ROOM: 'RM', RM: 'RM', SLIP: 'SLIP', SPACE: 'SPC', SPC: 'SPC', STOP: 'STOP',
+    SUITE: 'STE', STE: 'STE', TRAILER: 'TRLR', TRLR: 'TRLR', UNIT: 'UNIT',
+};
+
+/** Designators that take no number ("REAR", "BSMT") */
+const USPS_UNIT_DESIGNATORS_WITHOUT_NUMBER = {
+    BASEMENT: 'BSMT', BSMT: 'BSMT', FRONT: 'FRNT', FRNT: 'FRNT', LOBBY: 'LBBY', LBBY: 'LBBY',
+    LOWER: 'LOWR', LOWR: 'LOWR', PENTHOUSE: 'PH', PH: 'PH', REAR: 'REAR', SIDE: 'SIDE',
+    UPPER: 'UPPR', UPPR: 'UPPR',
+};
+
+const USPS_DIRECTIONALS = {
+    NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+    NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+};
+
+/** States, DC, territories and the military "states" the USPS state dropdown lists */
+const USPS_STATE_CODES = {
+    ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+    CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA',
+    HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS',
+    KENTUCKY: 'KY', LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA',
+    MICHIGAN: 'MI', MINNESOTA: 'MN', MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT',
+    NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM',
+    'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', OHIO: 'OH', OKLAHOMA: 'OK',
+    OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC',
+    'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT', VIRGINIA: 'VA',
+    WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY',
+    'AMERICAN SAMOA': 'AS', GUAM: 'GU', 'NORTHERN MARIANA ISLANDS': 'MP', 'PUERTO RICO': 'PR',
+    'VIRGIN ISLANDS': 'VI', 'U.S. VIRGIN ISLANDS': 'VI', 'US VIRGIN ISLANDS': 'VI',
+    'FEDERATED STATES OF MICRONESIA': 'FM', 'MARSHALL ISLANDS': 'MH', PALAU: 'PW',
+    'ARMED FORCES AMERICAS': 'AA', 'ARMED FORCES EUROPE': 'AE', 'ARMED FORCES PACIFIC': 'AP',
+};
+
+const MILITARY_CITIES = ['APO', 'FPO', 'DPO'];
+const MILITARY_STATES = ['AA', 'AE', 'AP'];
+const US_COUNTRY_NAMES = ['', 'US', 'USA', 'UNITED STATES', 'UNITED STATES OF AMERICA'];
+
+const PO_BOX_PATTERN = /^(?:P\.?\s*O\.?\s*|POST\s+OFFICE\s+)?BOX\s*#?\s*([A-Z0-9-]+)$|^P\.?\s*O\.?\s*B\.?\s*#?\s*(\d[A-Z0-9-]*)$/i;
+
+/**
+ * Uppercase, single spaces, no periods or stray commas ("123 Main St., Apt. 4" → "123 MAIN ST APT 4")
+ * @param {unknown} text
+ * @returns {string}
+ */
+function cleanAddressText(text) {
+    return String(text ?? '')
+        .toUpperCase()
+        .replace(/\./g, '')
+        .replace(/\s*,\s*/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * "New York", "ny" or "N.Y." → "NY"; "" when not a USPS state code
+ * @param {unknown} state
+ * @returns {string}
+ */
+function normalizeStateCode(state) {
+    const cleaned = cleanAddressText(state);
+    if (cleaned.length === 2) {
+        return Object.values(USPS_STATE_CODES).includes(cleaned) ? cleaned : '';
+    }
+    return USPS_STATE_CODES[cleaned] || '';
+}
+
+/**
+ * "12345-6789", "123456789" or "12345 6789" → { zip: "12345", plus4: "6789" }. A
+ * 4-digit ZIP (leading zero lost in a spreadsheet) is padded and flagged.
+ * @param {unknown} zip
+ * @returns {{ zip: string, plus4: string, valid: boolean, padded: boolean }}
+ */
+function splitZipCode(zip) {
+    const digits = String(zip ?? '').replace(/[\s-]/g, '');
+    if (/^\d{4}$/.test(digits) || /^\d{8}$/.test(digits)) {
+        return { zip: `0${digits.slice(0, 4)}`, plus4: digits.slice(4), valid: true, padded: true };
+    }
+    if (/^\d{5}(\d{4})?$/.test(digits)) {
+        return { zip: digits.slice(0, 5), plus4: digits.slice(5), valid: true, padded: false };
+    }
+    return { zip: String(zip ?? '').trim(), plus4: '', valid: false, padded: false };
+}
+
+/**
+ * "P.O. Box 12", "POB 12" or "Post Office Box 12" → "PO BOX 12"; null when the line is not a PO Box
+ * @param {string} line - Cleaned (see cleanAddressText)
+ * @returns {string|null}
+ */
+function normalizePoBox(line) {
+    const match = line.match(PO_BOX_PATTERN);
+    return match ? `PO BOX ${match[1] || match[2]}` : null;
+}
+
+/**
+ * Split a secondary unit off a street line: "123 MAIN ST APT 4B" → { street: "123 MAIN ST", unit: "APT 4B" }.
+ * "#4B" becomes "# 4B"; a designator in the house-number position is not a unit.
+ * @param {string} line - Cleaned (see cleanAddressText)
+ * @returns {{ street: string, unit: string }}
+ */
+function splitUnitDesignator(line) {
+    const words = line.split(' ').filter(Boolean);
+    for (let i = 1; i < words.length; i++) {
+        const word = words[i];
+        if (word.startsWith('#')) {
+            const number = word.slice(1) || words[i + 1] || '';
+            const rest = word.slice(1) ? words.slice(i + 1) : words.slice(i + 2);
+            return { street: words.slice(0, i).join(' '), unit: [`# ${number}`.trim(), ...rest].join(' ') };
+        }
+        if (USPS_UNIT_DESIGNATORS[word] && i + 1 < words.length) {
+            const number = words[i + 1].replace(/^#/, '');
+            return {
+                street: words.slice(0, i).join(' '),
+                unit: [USPS_UNIT_DESIGNATORS[word], number, ...words.slice(i + 2)].join(' '),
+            };
+        }
+        if (USPS_UNIT_DESIGNATORS_WITHOUT_NUMBER[word] && i === words.length - 1) {
+            return { street: words.slice(0, i).join(' '), unit: USPS_UNIT_DESIGNATORS_WITHOUT_NUMBER[word] };
+        }
+    }
+    return { street: line, unit: '' };
+}
+
+/**
+ * Second address line as a unit: "Apt 4" → "APT 4", "4B" → "# 4B"; other text is kept
+ * @param {string} line - Cleaned (see cleanAddressText)
+ * @returns {string}
+ */
+function normalizeUnitLine(line) {
+    if (!line) return '';
+    const words = line.split(' ');
+    const designator = USPS_UNIT_DESIGNATORS[words[0]] || USPS_UNIT_DESIGNATORS_WITHOUT_NUMBER[words[0]];
+    if (designator) {
+        return [designator, ...words.slice(1).map((word) => word.replace(/^#/, ''))].join(' ').trim();
+    }
+    if (/^#?\s*[A-Z0-9-]{1,6}$/.test(line)) {
+        return `# ${line.replace(/^#\s*/, '')}`;
+    }
+    return line.startsWith('#') ? `# ${line.replace(/^#\s*/, '')}` : line;
+}
+
+/**
+ * Abbreviate the street suffix and directionals: "123 NORTH MAIN STREET WEST" → "123 N MAIN ST W".
+ * Only the last suffix word is abbreviated, so "100 COURT STREET" keeps "COURT".
+ * @param {string} street - Cleaned, without the unit
+ * @returns {string}
+ */
+function abbreviateStreetLine(street) {
+    const words = street.split(' ').filter(Boolean);
+    if (words.length < 3) return street;
+
+    let last = words.length - 1;
+    if (USPS_DIRECTIONALS[words[last]] && last > 2) {
+        words[last] = USPS_DIRECTIONALS[words[last]];
+        last--;
+    }
+    if (USPS_STREET_SUFFIXES[words[last]]) {
+        words[last] = USPS_STREET_SUFFIXES[words[last]];
+    }
+    // Pre-directional after the house number, when a street name follows it
+    if (USPS_DIRECTIONALS[words[1]] && words.length > 3) {
+        words[1] = USPS_DIRECTIONALS[words[1]];
+    }
+    return words.join(' ');
+}
+
+/**
+ * Normalize a Veeqo shipping address (address1/address2, also street/line1/line2) for the USPS form.
+ * @param {Object} address - shipping_addresses / deliver_to
+ * @returns {{ street: string, unit: string, city: string, state: string, zip: string, plus4: string,
+ *   poBox: boolean, military: boolean, issues: string[] }}
+ */
+function normalizeShippingAddress(address) {
+    const source = address || {};
+    const issues = [];
+    const line1 = cleanAddressText(source.address1 || source.street || source.line1);
+    const line2 = cleanAddressText(source.address2 || source.line2);
+    const city = cleanAddressText(source.city);
+    const stateInput = source.state || source.province || '';
+    const state = normalizeStateCode(stateInput);
+    const zip = splitZipCode(source.zip || source.postcode);
+    const military = MILITARY_CITIES.includes(city) || MILITARY_STATES.includes(state);
+
+    let street = line1;
+    let unit = normalizeUnitLine(line2);
+    const poBox = normalizePoBox(line1) || (line1 ? null : normalizePoBox(line2));
+    if (poBox) {
+        street = poBox;
+        unit = line1 ? unit : '';
+        if (unit) {
+            issues.push(`PO Box address also has "${unit}" on the second line — USPS may reject it.`);
+        }
+    } else if (military) {
+        // "PSC 1234 BOX 5678" / "UNIT 2050 BOX 4190" are the street line, not a unit
+        issues.push('APO/FPO/DPO address — packages need a customs form.');
+    } else if (line1) {
+        const split = splitUnitDesignator(line1);
+        street = abbreviateStreetLine(split.street);
+        if (split.unit) {
+            unit = unit ? `${split.unit} ${unit}` : split.unit;
+        }
+    }
+
+    if (!line1 && !line2) {
+        issues.push('Street address is missing.');
+    } else if (!street && line2) {
+        street = line2;
+        unit = '';
+        issues.push('Address line 1 is empty; line 2 was used as the street.');
+    } else if (!poBox && !military && !/^\d/.test(street)) {
+        issues.push(`Street "${street}" has no house number.`);
+    }
+    if (!city) {
+        issues.push('City is missing.');
+    }
+    if (!state) {
+        issues.push(stateInput ? `State "${stateInput}" is not a USPS state code.` : 'State is missing.');
+    }
+    if (!zip.valid) {
+        issues.push(zip.zip ? `ZIP "${zip.zip}" is not a 5-digit or ZIP+4 code.` : 'ZIP code is missing.');
+    } else if (zip.padded) {
+        issues.push(`ZIP looked like it lost its leading zero; using ${zip.zip}.`);
+    }
+    if (military && !(MILITARY_CITIES.includes(city) && MILITARY_STATES.includes(state))) {
+        issues.push('Military addresses need APO, FPO or DPO as the city and AA, AE or AP as the state.');
+    }
+    const country = cleanAddressText(source.country);
+    if (!US_COUNTRY_NAMES.includes(country)) {
+        issues.push(`Country is "${source.country}", not the United States.`);
+    }
+
+    return { street, unit, city, state, zip: zip.zip, plus4: zip.plus4, poBox: !!poBox, military, issues };
+}
+
+/**
+ * Whether a USPS suggestion ("123 MAIN ST, SPRINGFIELD, IL 62701") is the normalized address:
+ * same house number and street name, same ZIP
+ * @param {string} suggestionText
+ * @param {ReturnType<typeof normalizeShippingAddress>} normalized
+ * @returns {boolean}
+ */
+function addressSuggestionMatches(suggestionText, normalized) {
+    const suggestion = cleanAddressText(suggestionText);
+    if (!normalized.zip || !new RegExp(`\\b${normalized.zip}(-\\d{4})?$`).test(suggestion)) {
+        return false;
+    }
+    const suggestionStreet = abbreviateStreetLine(splitUnitDesignator(suggestion.split(' ' + normalized.city)[0]).street);
+    const [number, ...nameWords] = normalized.street.split(' ');
+    const [suggestionNumber, ...suggestionWords] = suggestionStreet.split(' ');
+    if (number !== suggestionNumber) {
+        return false;
+    }
+    // The street name words must all appear; USPS may add a directional or a different suffix
+    const optionalWords = [...Object.values(USPS_STREET_SUFFIXES), ...Object.values(USPS_DIRECTIONALS)];
+    return nameWords
+        .filter((word) => !optionalWords.includes(word))
+        .every((word) => suggestionWords.includes(word));
+}
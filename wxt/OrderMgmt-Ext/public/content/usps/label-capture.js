@@ -0,0 +1,303 @@
+/**
+ * Capture a purchased USPS label back into Veeqo. The order an autofill was run for
+ * is remembered in the tab; when the label-purchase confirmation view appears, the
+ * tracking number, service and postage it shows are written to the order's note tags
+ * (Tracking, USPS-Service, Postage, Label-Bought-At; see content/shared/note-tags.js)
+ * through the background worker, which records the write in the note history.
+ *
+ * A Veeqo shipment is not created: that marks the allocation shipped (and can
+ * notify the customer), which stays a deliberate step in Veeqo.
+ */
+
+const LABEL_ORDER_KEY = 'veeqoLabelOrder';
+const CAPTURED_LABELS_KEY = 'veeqoCapturedLabels';
+/** A remembered order older than this is not matched to a purchase */
+const LABEL_ORDER_MAX_AGE_MS = 4 * 60 * 60 * 1000;
+const LABEL_CAPTURE_DEBOUNCE_MS = 1000;
+
+/** Longest names first, so "Priority Mail Express" is not read as "Priority Mail" */
+const USPS_SERVICE_NAMES = [
+    'Priority Mail Express International',
+    'Priority Mail International',
+    'First-Class Package International Service',
+    'Priority Mail Express',
+    'Priority Mail',
+    'USPS Ground Advantage',
+    'Ground Advantage',
+    'First-Class Package Service',
+    'First-Class Mail',
+    'Parcel Select',
+    'Media Mail',
+    'Library Mail',
+];
+
+/** Domestic IMpb (20–22 digits as printed, often in groups of four) or international S10 ("EA123456789US") */
+const USPS_TRACKING_PATTERN = /\b(9[2-5](?:\s?\d){18,20})\b|\b([A-Z]{2}\d{9}US)\b/;
+/** Click-N-Ship's route after payment */
+const LABEL_CONFIRMATION_URL_PATTERN = /\/(?:label-?)?(?:receipt|confirmation)(?:[/?#]|$)/i;
+/** Its receipt container, for when the single-page app swaps views without a route change */
+const LABEL_CONFIRMATION_SELECTORS = [
+    '[id*="receipt" i]',
+    '[class*="receipt" i]',
+    '[id*="labelConfirmation" i]',
+    '[class*="label-confirmation" i]',
+];
+const LABEL_POSTAGE_PATTERN = /(?:total|postage|amount paid|label price)[^$\n]{0,40}\$\s?(\d{1,4}(?:,\d{3})*\.\d{2})/i;
+
+let labelCaptureObserver = null;
+let labelCaptureTimer = null;
+
+/**
+ * The confirmation view shown once a label is bought: a receipt container listing a
+ * tracking number, else the page's main content on the receipt route
+ * @returns {HTMLElement|null} null while any other view (e.g. the label form) is shown
+ */
+function findLabelConfirmationView() {
+    for (const selector of LABEL_CONFIRMATION_SELECTORS) {
+        const view = Array.from(document.querySelectorAll(selector))
+            .find((element) => USPS_TRACKING_PATTERN.test(element.innerText || ''));
+        if (view) {
+            return view;
+        }
+    }
+    if (LABEL_CONFIRMATION_URL_PATTERN.test(location.pathname + location.hash)) {
+        return document.querySelector('main') || document.body;
+    }
+    return null;
+}
+
+/**
+ * Read a label purchase from the confirmation view's text
+ * @param {string} text - innerText of the view from findLabelConfirmationView
+ * @returns {{ trackingNumber: string, service: string|null, postage: number|null }|null}
+ *   null until the view shows a tracking number
+ */
+function extractLabelPurchase(text) {
+    const tracking = (text || '').match(USPS_TRACKING_PATTERN);
+    if (!tracking) {
+        return null;
+    }
+    const trackingNumber = (tracking[1] || tracking[2]).replace(/\s/g, '');
+    const service = USPS_SERVICE_NAMES.find((name) => text.toLowerCase().includes(name.toLowerCase())) || null;
+    const postage = text.match(LABEL_POSTAGE_PATTERN);
+    return {
+        trackingNumber,
+        service,
+        postage: postage ? parseFloat(postage[1].replace(/,/g, '')) : null,
+    };
+}
+
+/**
+ * @param {string|undefined} value - "a, b"
+ * @returns {string[]}
+ */
+function splitNoteTagList(value) {
+    return (value || '').split(',').map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Tag updates for a purchased label. A split order collects one tracking number per
+ * label and the postage total; null when this tracking number is already recorded.
+ * @param {Object<string, string>} tags - The order's current tags (findNoteTags)
+ * @param {{ trackingNumber: string, service: string|null, postage: number|null }} label
+ * @param {string} boughtAt - ISO time
+ * @returns {Object<string, string>|null}
+ */
+function labelNoteTagUpdates(tags, label, boughtAt) {
+    const tracking = splitNoteTagList(tags['Tracking']);
+    if (tracking.includes(label.trackingNumber)) {
+        return null;
+    }
+    const services = splitNoteTagList(tags['USPS-Service']);
+    if (label.service && !services.includes(label.service)) {
+        services.push(label.service);
+    }
+    const postage = label.postage == null
+        ? tags['Postage'] || ''
+        : ((parseFloat(tags['Postage']) || 0) + label.postage).toFixed(2);
+    return {
+        'Tracking': [...tracking, label.trackingNumber].join(', '),
+        'USPS-Service': services.join(', '),
+        'Postage': postage,
+        'Label-Bought-At': boughtAt,
+    };
+}
+
+/**
+ * Remember the order a label is being bought for (called when the form is auto-filled)
+ * @param {Object} orderData
+ */
+function rememberLabelOrder(orderData) {
+    if (!orderData?.id) {
+        return;
+    }
+    sessionStorage.setItem(LABEL_ORDER_KEY, JSON.stringify({
+        id: orderData.id,
+        number: orderData.number || orderData.sales_record_number || null,
+        allocation_index: orderData.allocation_index ?? null,
+        allocation_count: orderData.allocation_count ?? null,
+        at: Date.now(),
+    }));
+    watchForLabelPurchase();
+}
+
+/**
+ * Forget the remembered order, e.g. when the form is reused for other orders (E-price run)
+ */
+function forgetLabelOrder() {
+    sessionStorage.removeItem(LABEL_ORDER_KEY);
+    stopWatchingForLabelPurchase();
+}
+
+/**
+ * @returns {Object|null}
+ */
+function loadLabelOrder() {
+    try {
+        const order = JSON.parse(sessionStorage.getItem(LABEL_ORDER_KEY) || 'null');
+        return order && Date.now() - order.at < LABEL_ORDER_MAX_AGE_MS ? order : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @returns {string[]} Tracking numbers already sent from this tab
+ */
+function loadCapturedLabels() {
+    try {
+        const captured = JSON.parse(sessionStorage.getItem(CAPTURED_LABELS_KEY) || '[]');
+        return Array.isArray(captured) ? captured : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Write the label to the order's note tags via the background worker
+ * @param {Object} labelOrder - From rememberLabelOrder
+ * @param {{ trackingNumber: string, service: string|null, postage: number|null }} label
+ * @returns {Promise<void>}
+ */
+async function recordPurchasedLabel(labelOrder, label) {
+    const { veeqoApiKey: apiKey } = await chrome.storage.sync.get(['veeqoApiKey']);
+    if (!apiKey) {
+        throw new Error('Veeqo API key not configured');
+    }
+
+    const orderResponse = await chrome.runtime.sendMessage({
+        action: 'fetchOrderById',
+        apiKey,
+        orderId: labelOrder.id,
+    });
+    if (!orderResponse?.success) {
+        throw new Error(orderResponse?.error || 'Could not load the Veeqo order');
+    }
+
+    const employeeNotes = orderResponse.data?.employee_notes;
+    const updates = labelNoteTagUpdates(findNoteTags(employeeNotes).tags, label, new Date().toISOString());
+    if (!updates) {
+        console.log(`🏷️ Tracking ${label.trackingNumber} is already on order ${labelOrder.number}`);
+        return;
+    }
+    const tagUpdate = buildNoteTagsUpdate(employeeNotes, updates);
+    const updateResponse = await chrome.runtime.sendMessage({
+        action: 'updateVeeqoOrder_InternalNote',
+        apiKey,
+        orderId: labelOrder.id,
+        internalNote: tagUpdate.text,
+        noteId: tagUpdate.noteId,
+        source: 'usps-label',
+        batchId: `usps-label-${Date.now()}`,
+    });
+    if (!updateResponse?.success) {
+        throw new Error(updateResponse?.error || 'Failed to update order');
+    }
+}
+
+/**
+ * @param {boolean} success
+ * @param {string} message
+ */
+function showLabelCaptureResult(success, message) {
+    if (!success) {
+        showWarningPanel('veeqo-label-capture', 'Label not recorded in Veeqo:', [message]);
+        return;
+    }
+    document.getElementById('veeqo-label-capture')?.remove();
+    const resultDiv = document.createElement('div');
+    resultDiv.id = 'veeqo-label-capture';
+    resultDiv.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        max-width: 360px;
+        background: #28a745;
+        color: white;
+        padding: 10px 15px;
+        border-radius: 5px;
+        z-index: 10000;
+        font-family: Arial, sans-serif;
+        font-size: 14px;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    `;
+    resultDiv.textContent = `✅ ${message}`;
+    document.body.appendChild(resultDiv);
+    setTimeout(() => resultDiv.remove(), 8000);
+}
+
+/**
+ * Check for the purchase confirmation view and record its label once
+ */
+async function checkForLabelPurchase() {
+    const labelOrder = loadLabelOrder();
+    if (!labelOrder) {
+        stopWatchingForLabelPurchase();
+        return;
+    }
+    const view = findLabelConfirmationView();
+    const label = view ? extractLabelPurchase(view.innerText || '') : null;
+    if (!label || loadCapturedLabels().includes(label.trackingNumber)) {
+        return;
+    }
+
+    console.log(`🏷️ Label purchased for order ${labelOrder.number}:`, label);
+    sessionStorage.setItem(CAPTURED_LABELS_KEY, JSON.stringify([...loadCapturedLabels(), label.trackingNumber]));
+    try {
+        await recordPurchasedLabel(labelOrder, label);
+        // The next label in this tab needs a new autofill (e.g. the next allocation)
+        forgetLabelOrder();
+        showLabelCaptureResult(true, `Tracking ${label.trackingNumber} recorded on Veeqo order ${labelOrder.number}.`);
+    } catch (error) {
+        console.error('❌ Error recording label in Veeqo:', error);
+        // Allow another attempt on the next page change
+        sessionStorage.setItem(
+            CAPTURED_LABELS_KEY,
+            JSON.stringify(loadCapturedLabels().filter((tracking) => tracking !== label.trackingNumber))
+        );
+        showLabelCaptureResult(false, `Order ${labelOrder.number}, tracking ${label.trackingNumber}: ${error.message}`);
+    }
+}
+
+/**
+ * Watch the page (the USPS site is a single-page app) while an order is remembered
+ */
+function watchForLabelPurchase() {
+    if (labelCaptureObserver || !loadLabelOrder() || !document.body) {
+        return;
+    }
+    labelCaptureObserver = new MutationObserver(() => {
+        clearTimeout(labelCaptureTimer);
+        labelCaptureTimer = setTimeout(checkForLabelPurchase, LABEL_CAPTURE_DEBOUNCE_MS);
+    });
+    labelCaptureObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+    checkForLabelPurchase();
+}
+
+function stopWatchingForLabelPurchase() {
+    clearTimeout(labelCaptureTimer);
+    labelCaptureObserver?.disconnect();
+    labelCaptureObserver = null;
+}
+
+watchForLabelPurchase();
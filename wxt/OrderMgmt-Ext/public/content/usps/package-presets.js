@@ -0,0 +1,182 @@
+/**
+ * Package data for USPS autofill: preset rules edited on the options page and the
+ * shipment weight from line-item product weights. Rules and tare come normalized
+ * from the background (utils/packagePresets.ts owns their storage and shape).
+ * The first enabled rule whose conditions all hold picks the box size, the
+ * USPS package type and the padding weight, so an order gets a package even
+ * when Veeqo has no allocation_package data.
+ */
+
+const GRAMS_PER_OUNCE = 28.349523125;
+/** Calculated and Veeqo weights further apart than this (and 10%) get a warning */
+const WEIGHT_MISMATCH_TOLERANCE_OZ = 1;
+
+/**
+ * @returns {Promise<{ rules: Array<Object>, tareOz: number }>} No rules and no tare when unavailable
+ */
+async function loadPackagePresets() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getPackagePresets' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+        return { rules: response.rules || [], tareOz: response.tareOz || 0 };
+    } catch (error) {
+        console.log('⚠️ Could not load package presets:', error);
+        return { rules: [], tareOz: 0 };
+    }
+}
+
+/**
+ * 37.5 oz → 2 lb 5.5 oz; ounces rounded to 0.1 (15.96 oz → 1 lb 0 oz)
+ * @param {number} totalOz
+ * @returns {{ lbs: number, oz: number }}
+ */
+function splitWeightOz(totalOz) {
+    const tenths = Math.round((parseFloat(totalOz) || 0) * 10);
+    return { lbs: Math.floor(tenths / 160), oz: (tenths % 160) / 10 };
+}
+
+/**
+ * @param {number|null} calculatedOz
+ * @param {number|null} veeqoOz
+ * @returns {boolean}
+ */
+function packageWeightsDisagree(calculatedOz, veeqoOz) {
+    if (calculatedOz == null || veeqoOz == null) return false;
+    const difference = Math.abs(calculatedOz - veeqoOz);
+    return difference > WEIGHT_MISMATCH_TOLERANCE_OZ && difference > 0.1 * Math.max(calculatedOz, veeqoOz);
+}
+
+/**
+ * "MUG-*" matches "MUG-BLU-12"; case-insensitive
+ * @param {string} sku
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function skuMatchesPattern(sku, pattern) {
+    const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return escaped !== '' && new RegExp(`^${escaped}$`, 'i').test(sku);
+}
+
+/**
+ * @param {Object} orderData
+ * @returns {number}
+ */
+function orderItemQuantity(orderData) {
+    return (orderData.line_items || []).reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 0), 0);
+}
+
+/**
+ * Product weight total in ounces (sellable weight × quantity), or null when any item has no weight
+ * @param {Object} orderData
+ * @returns {number|null}
+ */
+function orderProductWeightOz(orderData) {
+    const items = orderData.line_items || [];
+    if (items.length === 0) return null;
+    let grams = 0;
+    for (const item of items) {
+        const itemGrams = parseFloat(item.sellable?.weight_grams);
+        if (!itemGrams) return null;
+        grams += itemGrams * (parseInt(item.quantity, 10) || 1);
+    }
+    return grams / GRAMS_PER_OUNCE;
+}
+
+/**
+ * @param {Object} rule
+ * @param {Object} orderData
+ * @returns {boolean}
+ */
+function packagePresetRuleMatches(rule, orderData) {
+    if (rule.enabled === false) return false;
+    const conditions = rule.conditions || {};
+
+    const patterns = conditions.skus || [];
+    if (patterns.length > 0) {
+        const skus = (orderData.line_items || []).map((item) => item.sellable?.sku_code).filter(Boolean);
+        if (!skus.some((sku) => patterns.some((pattern) => skuMatchesPattern(sku, pattern)))) {
+            return false;
+        }
+    }
+
+    const quantity = orderItemQuantity(orderData);
+    if (conditions.minQuantity != null && quantity < conditions.minQuantity) return false;
+    if (conditions.maxQuantity != null && quantity > conditions.maxQuantity) return false;
+
+    if (conditions.minWeightOz != null || conditions.maxWeightOz != null) {
+        const weightOz = orderProductWeightOz(orderData);
+        if (weightOz == null) return false;
+        if (conditions.minWeightOz != null && weightOz < conditions.minWeightOz) return false;
+        if (conditions.maxWeightOz != null && weightOz > conditions.maxWeightOz) return false;
+    }
+    return true;
+}
+
+/**
+ * @param {Object} orderData
+ * @param {Array<Object>} rules
+ * @returns {Object|null}
+ */
+function findPackagePreset(orderData, rules) {
+    return rules.find((rule) => packagePresetRuleMatches(rule, orderData)) || null;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function hasPackageValue(value) {
+    return value != null && value !== '' && parseFloat(value) > 0;
+}
+
+/**
+ * Fill orderData.allocation_package for autofill from Veeqo's package, kept in
+ * orderData.veeqo_package so a retry never mistakes an earlier result for Veeqo's.
+ * Missing dimensions come from the matching preset's box (with `override`, the box
+ * replaces Veeqo's). The weight is the product weight plus padding — the preset's,
+ * else the packaging tare — and Veeqo's package weight is only used when a product
+ * has no weight.
+ * Sets orderData.package_preset ({ name, packageType }, null without a match) for
+ * selectPackageType and orderData.weight_check ({ calculatedOz, veeqoOz, mismatch }).
+ * @param {Object} orderData - Mutated in place
+ * @returns {Promise<Object|null>} The applied rule
+ */
+async function preparePackageData(orderData) {
+    if (orderData.veeqo_package === undefined) {
+        // Order data saved before veeqo_package was recorded: allocation_package is still Veeqo's here
+        orderData.veeqo_package = orderData.allocation_package || null;
+    }
+    const { rules, tareOz } = await loadPackagePresets();
+    const rule = findPackagePreset(orderData, rules);
+    const current = orderData.veeqo_package || {};
+    const packageData = { ...current };
+
+    if (rule) {
+        const preset = rule.preset || {};
+        const useVeeqo = (value) => !rule.override && hasPackageValue(value);
+        const veeqoLength = hasPackageValue(current.depth) ? current.depth : current.length;
+        packageData.depth = useVeeqo(veeqoLength) ? veeqoLength : preset.length ?? veeqoLength;
+        packageData.width = useVeeqo(current.width) ? current.width : preset.width ?? current.width;
+        packageData.height = useVeeqo(current.height) ? current.height : preset.height ?? current.height;
+        orderData.package_preset = { name: rule.name, packageType: preset.packageType || '' };
+        console.log(`📦 Package preset "${rule.name}" applied`);
+    } else {
+        orderData.package_preset = null;
+        console.log('📦 No package preset rule matches this order');
+    }
+
+    const productWeightOz = orderProductWeightOz(orderData);
+    const paddingOz = rule ? parseFloat(rule.preset?.paddingOz) || 0 : tareOz;
+    const calculatedOz = productWeightOz == null ? null : Math.round((productWeightOz + paddingOz) * 10) / 10;
+    const veeqoOz = hasPackageValue(current.weight) ? parseFloat(current.weight) : null;
+    if (calculatedOz != null) {
+        packageData.weight = calculatedOz;
+    }
+    orderData.weight_check = { calculatedOz, veeqoOz, mismatch: packageWeightsDisagree(calculatedOz, veeqoOz) };
+
+    orderData.allocation_package = rule || calculatedOz != null ? packageData : orderData.veeqo_package;
+    console.log('📦 Package data:', orderData.allocation_package, orderData.weight_check);
+    return rule;
+}
@@ -35,6 +35,7 @@ const USPS_FORM_FIELDS = {
     // Package information
     packageTypeDropdown: 'packageTypeDropdown',
     weightLbs: 'weightLbs',
+    weightOz: 'weightOz',
     length: 'length',
     width: 'width',
     height: 'height',
@@ -58,6 +59,7 @@ function getShippingAddressFromOrder(orderData) {
 /**
  * Wait until USPS address fields are filled (or timeout).
  * This avoids clicking "Get Rates" before USPS finishes filling city/state/zip.
+ * @param {Object} shippingAddress - Normalized address (see normalizeShippingAddress)
  */
 async function waitForAddressFieldsFilled(shippingAddress, timeoutMs = 12000) {
     const deadline = Date.now() + timeoutMs;
@@ -115,11 +117,17 @@ function autoFillUSPSForm(orderData) {
         
         console.log('Form fields confirmed available, proceeding with auto-fill...');
         
+        // Normalize the address and show its problems before filling anything
+        prepareShippingAddress(orderData);
+        
+        // Record the label in Veeqo once it is bought (see label-capture.js)
+        rememberLabelOrder(orderData);
+        
         // Fill customer information
         fillCustomerInformation(orderData);
         
         // Fill shipping address (async suggestions + state/zip fill)
-        const shippingAddress = getShippingAddressFromOrder(orderData);
+        const shippingAddress = orderData.normalized_address;
         const addressFillPromise = fillShippingAddress(orderData);
         
         // Fill reference numbers
@@ -133,9 +141,12 @@ function autoFillUSPSForm(orderData) {
             console.log('🔍 Package data:', orderData.allocation_package);
         }
         
-        // Try package type selection first, then fill package information
+        // Work out the package (preset rules, product weights), then select the package type and fill package information
         console.log('🔍 Attempting package type selection...');
-        selectPackageType().then(async (success) => {
+        preparePackageData(orderData).then(() => {
+            showWeightMismatchWarning(orderData.weight_check);
+            return selectPackageType(orderData.package_preset?.packageType);
+        }).then(async (success) => {
             console.log('🔍 Package type selection result:', success);
             
             // Wait a moment for package type selection to take effect, then fill package info
@@ -295,6 +306,12 @@ function fillOrderInfoDisplay(orderData) {
         displayContent += ` | <strong> Address: </strong> ${addressParts.join(', ')}`;
     }
     
+    // Which label of a split order this is
+    if (orderData.allocation_count > 1) {
+        displayContent += ` | <strong> Allocation: </strong> ${orderData.allocation_index + 1} of ${orderData.allocation_count}` +
+            ` (${orderData.quantity_to_ship} units)`;
+    }
+    
     // Veeqo Rate
     if (orderData.veeqo_shipping_rate) {
         displayContent += ` | <strong> Veeqo Rate: </strong> ${orderData.veeqo_shipping_rate}`;
@@ -381,10 +398,8 @@ function fillCustomerInformation(orderData) {
  * @param {Object} orderData - Order data containing shipping address
  */
 function fillShippingAddress(orderData) {
-    const shippingAddress = getShippingAddressFromOrder(orderData);
-    
-    // Parse the address to separate main address from apt/suite
-    const addressComponents = formatStreetAddress(shippingAddress);
+    const address = orderData.normalized_address || prepareShippingAddress(orderData);
+    const addressComponents = { mainAddress: address.street, aptSuite: address.unit };
     
     // Fill Street Address 1 (main address)
     const streetAddressField = document.getElementById(USPS_FORM_FIELDS.streetAddress1);
@@ -399,7 +414,7 @@ function fillShippingAddress(orderData) {
             console.log('Waiting for USPS address suggestions to appear...');
             setTimeout(() => {
                 try {
-                    handleAddressSuggestions(shippingAddress);
+                    handleAddressSuggestions(address);
                 } finally {
                     resolve();
                 }
@@ -407,7 +422,7 @@ function fillShippingAddress(orderData) {
         } else {
             // If we can't find the street input, still attempt manual city/state/zip fill.
             try {
-                fillStateAndZipManually(shippingAddress);
+                fillStateAndZipManually(address);
             } finally {
                 resolve();
             }
@@ -432,10 +447,11 @@ function fillShippingAddress(orderData) {
 }
 
 /**
- * Handle USPS address suggestions dropdown
- * @param {Object} shippingAddress - Shipping address data
+ * Handle USPS address suggestions dropdown: only a suggestion with the same house
+ * number, street name and ZIP is clicked, otherwise the address is filled as normalized
+ * @param {Object} address - Normalized address (see normalizeShippingAddress)
  */
-function handleAddressSuggestions(shippingAddress) {
+function handleAddressSuggestions(address) {
     console.log('🔍 Checking for address suggestions...');
     
     // Look for all elements with id="streetAddress1" (there should be 2: input and dropdown)
@@ -464,9 +480,7 @@ function handleAddressSuggestions(shippingAddress) {
         
         // Look for dropdown items (anchor tags with class="dropdown-item")
         const suggestionLinks = suggestionsDiv.querySelectorAll('a.dropdown-item');
-        const targetZipCode = (shippingAddress.zip || '').substring(0, 5);
-        
-        console.log('🔍 Looking for suggestions with zip code:', targetZipCode);
+        console.log('🔍 Looking for suggestions matching:', address.street, address.zip);
         console.log('🔍 Found', suggestionLinks.length, 'suggestion links');
         
         // Find the suggestion that contains our zip code
@@ -475,8 +489,7 @@ function handleAddressSuggestions(shippingAddress) {
             const linkText = link.textContent || '';
             console.log(`🔍 Suggestion ${index + 1}:`, linkText);
             
-            // Check if the suggestion ends with our zip code
-            if (linkText.trim().endsWith(targetZipCode)) {
+            if (!matchingSuggestion && addressSuggestionMatches(linkText, address)) {
                 matchingSuggestion = link;
                 console.log('✅ Found matching suggestion:', linkText);
             }
@@ -502,20 +515,20 @@ function handleAddressSuggestions(shippingAddress) {
     
     // If no suggestions or no match found, fill manually
     console.log('🔍 Proceeding with manual state and zip fill...');
-    fillStateAndZipManually(shippingAddress);
+    fillStateAndZipManually(address);
 }
 
 /**
  * Fill state and zip code manually when no suggestions are available
- * @param {Object} shippingAddress - Shipping address data
+ * @param {Object} address - Normalized address (see normalizeShippingAddress)
  */
-function fillStateAndZipManually(shippingAddress) {
+function fillStateAndZipManually(address) {
     // Fill City
     const cityField = document.getElementById(USPS_FORM_FIELDS.city);
     if (cityField) {
-        cityField.value = shippingAddress.city || '';
+        cityField.value = address.city;
         triggerInputEvent(cityField);
-        console.log('Filled City:', shippingAddress.city || '');
+        console.log('Filled City:', address.city);
     }
     
     // Fill State (convert to 2-letter code and select from dropdown)
@@ -525,10 +538,8 @@ function fillStateAndZipManually(shippingAddress) {
     console.log('🔍 State field element:', stateField);
     
     if (stateField) {
-        const originalState = shippingAddress.state || shippingAddress.province || '';
-        const stateCode = convertStateToCode(originalState);
-        console.log('🔍 Original state:', originalState);
-        console.log('🔍 Converted state code:', stateCode);
+        const stateCode = address.state;
+        console.log('🔍 State code:', stateCode);
         
         if (stateCode) {
             // Find and select the option with the matching value
@@ -550,19 +561,18 @@ function fillStateAndZipManually(shippingAddress) {
                 });
             }
         } else {
-            console.log('❌ No state code generated from:', originalState);
+            console.log('❌ No valid state code for this address');
         }
     } else {
         console.log('❌ State field not found with ID:', USPS_FORM_FIELDS.state);
     }
     
-    // Fill Zip Code (first 5 digits)
+    // Fill Zip Code (5 digits; the +4 is left for USPS to look up)
     const zipCodeField = document.getElementById(USPS_FORM_FIELDS.zipCode);
     if (zipCodeField) {
-        const zipCode = (shippingAddress.zip || '').substring(0, 5);
-        zipCodeField.value = zipCode;
+        zipCodeField.value = address.zip;
         triggerInputEvent(zipCodeField);
-        console.log('Filled Zip Code (first 5 digits):', zipCode);
+        console.log('Filled Zip Code (first 5 digits):', address.zip);
     }
 }
 
@@ -590,12 +600,14 @@ function fillReferenceNumbers(orderData) {
 
 /**
  * Select package type from dropdown
+ * @param {string} [packageType] - Text of the option to pick (from a package preset);
+ *   default "I am shipping with my own package"
  * @returns {Promise<boolean>} True if successful, false otherwise
  */
 // Flag to prevent multiple package type selections
 let packageTypeSelectionInProgress = false;
 
-function selectPackageType() {
+function selectPackageType(packageType = '') {
     return new Promise((resolve) => {
         // Prevent multiple simultaneous executions
         if (packageTypeSelectionInProgress) {
@@ -631,7 +643,21 @@ function selectPackageType() {
                 const dropdownItems = packageTypeDropdown.querySelectorAll('a.dropdown-item');
                 console.log('🔍 Found', dropdownItems.length, 'dropdown items');
                 
-                if (dropdownItems.length >= 2) {
+                const wanted = packageType.trim().toLowerCase();
+                const presetOption = wanted
+                    ? Array.from(dropdownItems).find((item) => item.textContent?.toLowerCase().includes(wanted))
+                    : null;
+                if (wanted && !presetOption) {
+                    console.log(`⚠️ Package type "${packageType}" not in dropdown, using own package`);
+                }
+                
+                if (presetOption) {
+                    console.log('🔍 Selecting preset package type:', presetOption.textContent?.trim());
+                    presetOption.click();
+                    console.log('✅ Package type selected successfully');
+                    packageTypeSelectionInProgress = false;
+                    resolve(true);
+                } else if (dropdownItems.length >= 2) {
                     // Select the second option (index 1): "I am shipping with my own package"
                     const secondOption = dropdownItems[1];
                     console.log('🔍 Selecting second option:', secondOption.textContent?.trim());
@@ -653,6 +679,147 @@ function selectPackageType() {
     });
 }
 
+/**
+ * Fill the pounds and ounces weight fields
+ * @param {number|string|null|undefined} weightOz - Total weight in ounces (see preparePackageData)
+ */
+function fillPackageWeight(weightOz) {
+    const lbsField = getFormInputByName(USPS_FORM_FIELDS.weightLbs);
+    const ozField = getFormInputByName(USPS_FORM_FIELDS.weightOz);
+    if (!weightOz || !(parseFloat(weightOz) > 0)) {
+        console.log('❌ No weight data available');
+        return;
+    }
+    if (!lbsField && !ozField) {
+        console.log('❌ Weight fields not found, expected names:', USPS_FORM_FIELDS.weightLbs, USPS_FORM_FIELDS.weightOz);
+        return;
+    }
+    
+    const { lbs, oz } = splitWeightOz(weightOz);
+    if (lbsField) {
+        lbsField.value = lbs.toString();
+        triggerInputEvent(lbsField);
+    }
+    if (ozField) {
+        ozField.value = oz.toString();
+        triggerInputEvent(ozField);
+    } else if (oz > 0) {
+        // Without an ounces field, round up so the label is never underpaid
+        lbsField.value = (lbs + 1).toString();
+        triggerInputEvent(lbsField);
+    }
+    console.log(`✅ Filled Weight: ${lbs} lb ${oz} oz (from ${weightOz} oz)`);
+}
+
+/**
+ * Show a dismissible warning panel on the USPS page. Panels stack in one corner
+ * and stay until dismissed or the next order is filled.
+ * @param {string} id - Replaces an existing panel with the same id
+ * @param {string} title
+ * @param {string[]} lines
+ */
+function showWarningPanel(id, title, lines) {
+    document.getElementById(id)?.remove();
+    
+    let container = document.getElementById('veeqo-autofill-warnings');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'veeqo-autofill-warnings';
+        container.style.cssText = `
+            position: fixed;
+            top: 70px;
+            right: 20px;
+            max-width: 360px;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            z-index: 10000;
+        `;
+        document.body.appendChild(container);
+    }
+    
+    const warningDiv = document.createElement('div');
+    warningDiv.id = id;
+    warningDiv.style.cssText = `
+        position: relative;
+        background: #ffc107;
+        color: #212529;
+        padding: 10px 30px 10px 15px;
+        border-radius: 5px;
+        font-family: Arial, sans-serif;
+        font-size: 14px;
+        box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+    `;
+    const heading = document.createElement('strong');
+    heading.textContent = `⚠️ ${title}`;
+    warningDiv.appendChild(heading);
+    if (lines.length === 1) {
+        warningDiv.append(` ${lines[0]}`);
+    } else {
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin: 6px 0 0; padding-left: 18px;';
+        lines.forEach((line) => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        warningDiv.appendChild(list);
+    }
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = '×';
+    closeButton.title = 'Dismiss';
+    closeButton.style.cssText = `
+        position: absolute;
+        top: 4px;
+        right: 8px;
+        border: none;
+        background: none;
+        font-size: 18px;
+        cursor: pointer;
+    `;
+    closeButton.addEventListener('click', () => warningDiv.remove());
+    warningDiv.appendChild(closeButton);
+    container.appendChild(warningDiv);
+}
+
+/**
+ * Warn when the weight calculated from the products differs from Veeqo's package weight
+ * @param {{ calculatedOz: number|null, veeqoOz: number|null, mismatch: boolean }|undefined} weightCheck
+ */
+function showWeightMismatchWarning(weightCheck) {
+    document.getElementById('veeqo-weight-warning')?.remove();
+    if (!weightCheck || !weightCheck.mismatch) return;
+    
+    const format = (totalOz) => {
+        const { lbs, oz } = splitWeightOz(totalOz);
+        return `${lbs} lb ${oz} oz`;
+    };
+    showWarningPanel('veeqo-weight-warning', 'Weight check:', [
+        `products + packaging = ${format(weightCheck.calculatedOz)}, but Veeqo's package says ` +
+        `${format(weightCheck.veeqoOz)}. The calculated weight was filled — please verify.`
+    ]);
+}
+
+/**
+ * Normalize the order's shipping address (see address-normalize.js) into
+ * orderData.normalized_address and warn about its problems, before any field is filled
+ * @param {Object} orderData - Mutated in place
+ * @returns {Object} The normalized address
+ */
+function prepareShippingAddress(orderData) {
+    const address = normalizeShippingAddress(getShippingAddressFromOrder(orderData));
+    orderData.normalized_address = address;
+    console.log('🏠 Normalized address:', address);
+    
+    document.getElementById('veeqo-address-warning')?.remove();
+    if (address.issues.length > 0) {
+        showWarningPanel('veeqo-address-warning', 'Check the address:', address.issues);
+    }
+    return address;
+}
+
 /**
  * Fill package information directly (simplified approach)
  * @param {Object} orderData - Order data containing allocation_package
@@ -686,24 +853,8 @@ function fillPackageInformationDirectly(orderData) {
         }
     });
     
-    // Weight: by name
-    const weightName = USPS_FORM_FIELDS.weightLbs;
-    const weightField = getFormInputByName(weightName);
-    if (weightField) {
-        console.log('✅ Found weight field with name:', weightName);
-    }
-
-    if (weightField && allocationPackage.weight) {
-        // Convert weight from oz to lbs (divide by 16)
-        const weightOz = parseFloat(allocationPackage.weight) || 0;
-        const weightLbs = Math.floor(weightOz / 16);
-        weightField.value = weightLbs.toString();
-        triggerInputEvent(weightField);
-        console.log('✅ Filled Weight (lbs):', weightLbs, '(converted from', weightOz, 'oz)');
-    } else {
-        console.log('❌ Weight field not found or no weight data available');
-        console.log('🔍 Expected name:', weightName);
-    }
+    // Weight: lbs + oz by name
+    fillPackageWeight(allocationPackage.weight);
     
     // Length / width / height: by name (USPS_FORM_FIELDS), same as weight — Veeqo "depth" maps to length input
     const lengthName = USPS_FORM_FIELDS.length;
@@ -769,23 +920,8 @@ function fillPackageInformation(orderData) {
     console.log('✅ Package data found:', allocationPackage);
     console.log('🔍 Package data keys:', Object.keys(allocationPackage));
     
-    // Fill Weight (lbs) — by name
-    const weightName = USPS_FORM_FIELDS.weightLbs;
-    const weightField = getFormInputByName(weightName);
-    console.log('🔍 Weight field found:', !!weightField, 'name:', weightName);
-    console.log('🔍 Weight data available:', !!allocationPackage.weight, 'value:', allocationPackage.weight);
-
-    if (weightField && allocationPackage.weight) {
-        const weightOz = parseFloat(allocationPackage.weight) || 0;
-        const weightLbs = Math.floor(weightOz / 16);
-        weightField.value = weightLbs.toString();
-        triggerInputEvent(weightField);
-        console.log('✅ Filled Weight (lbs):', weightLbs, '(converted from', weightOz, 'oz)');
-    } else {
-        console.log('❌ Weight field not found or no weight data');
-        if (!weightField) console.log('❌ Expected name:', weightName);
-        if (!allocationPackage.weight) console.log('❌ No weight in allocation_package');
-    }
+    // Fill Weight (lbs + oz) — by name
+    fillPackageWeight(allocationPackage.weight);
 
     // Fill Length (Veeqo depth or length) — by name
     const lengthName = USPS_FORM_FIELDS.length;
@@ -953,44 +1089,6 @@ function clickGetRatesButton() {
     }
 }
 
-/**
- * Convert state name to 2-letter state code
- * @param {string} stateName - Full state name
- * @returns {string} 2-letter state code
- */
-function convertStateToCode(stateName) {
-    if (!stateName || typeof stateName !== 'string') {
-        return '';
-    }
-    
-    const stateMap = {
-        'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR', 'California': 'CA',
-        'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE', 'Florida': 'FL', 'Georgia': 'GA',
-        'Hawaii': 'HI', 'Idaho': 'ID', 'Illinois': 'IL', 'Indiana': 'IN', 'Iowa': 'IA',
-        'Kansas': 'KS', 'Kentucky': 'KY', 'Louisiana': 'LA', 'Maine': 'ME', 'Maryland': 'MD',
-        'Massachusetts': 'MA', 'Michigan': 'MI', 'Minnesota': 'MN', 'Mississippi': 'MS', 'Missouri': 'MO',
-        'Montana': 'MT', 'Nebraska': 'NE', 'Nevada': 'NV', 'New Hampshire': 'NH', 'New Jersey': 'NJ',
-        'New Mexico': 'NM', 'New York': 'NY', 'North Carolina': 'NC', 'North Dakota': 'ND', 'Ohio': 'OH',
-        'Oklahoma': 'OK', 'Oregon': 'OR', 'Pennsylvania': 'PA', 'Rhode Island': 'RI', 'South Carolina': 'SC',
-        'South Dakota': 'SD', 'Tennessee': 'TN', 'Texas': 'TX', 'Utah': 'UT', 'Vermont': 'VT',
-        'Virginia': 'VA', 'Washington': 'WA', 'West Virginia': 'WV', 'Wisconsin': 'WI', 'Wyoming': 'WY',
-        'District of Columbia': 'DC'
-    };
-    
-    // Check if it's already a 2-letter code
-    if (stateName.length === 2) {
-        const upperState = stateName.toUpperCase();
-        // Check if the 2-letter code exists in the state map values
-        if (Object.values(stateMap).includes(upperState)) {
-            return upperState;
-        }
-    }
-    
-    // Convert full state name to code
-    const normalizedState = stateName.trim();
-    return stateMap[normalizedState] || '';
-}
-
 /**
  * Parse customer name into components
  * @param {string} fullName - Full customer name
@@ -1038,83 +1136,11 @@ function parseCustomerName(fullName) {
 /**
  * Format street address from address components
  * @param {Object} address - Address object
- * @returns {string} Formatted street address
- */
-/**
- * Parse and separate main address from apartment/suite/floor information
- * @param {string} fullAddress - The complete address string
  * @returns {Object} Object with mainAddress and aptSuite properties
  */
-function parseAddressComponents(fullAddress) {
-    if (!fullAddress || typeof fullAddress !== 'string') {
-        return { mainAddress: '', aptSuite: '' };
-    }
-    
-    const address = fullAddress.trim();
-    
-    // Common patterns for apartment/suite/floor indicators
-    const aptSuitePatterns = [
-        // Apartment patterns
-        /\b(apt|apartment|apt\.|apt\s+[a-z0-9]+)\b/i,
-        /\b(unit|unit\s+[a-z0-9]+)\b/i,
-        /\b(suite|ste|ste\.|suite\s+[a-z0-9]+)\b/i,
-        /\b(floor|fl|fl\.|floor\s+[a-z0-9]+)\b/i,
-        /\b(room|rm|rm\.|room\s+[a-z0-9]+)\b/i,
-        /\b(office|ofc|ofc\.|office\s+[a-z0-9]+)\b/i,
-        /\b(building|bldg|bldg\.|building\s+[a-z0-9]+)\b/i,
-        // Number patterns (common for apartments)
-        /\b#\s*[a-z0-9]+\b/i,
-        /\b[a-z0-9]+\s*#\b/i,
-        // Common separators
-        /\s*,\s*(apt|apartment|suite|ste|unit|floor|fl|room|rm|office|ofc|building|bldg|#)\s*[a-z0-9]*/i,
-        /\s*-\s*(apt|apartment|suite|ste|unit|floor|fl|room|rm|office|ofc|building|bldg|#)\s*[a-z0-9]*/i
-    ];
-    
-    // Find the first match
-    let match = null;
-    let matchIndex = -1;
-    
-    for (const pattern of aptSuitePatterns) {
-        const found = address.match(pattern);
-        if (found && (matchIndex === -1 || found.index < matchIndex)) {
-            match = found;
-            matchIndex = found.index;
-        }
-    }
-    
-    if (match && matchIndex >= 0) {
-        const mainAddress = address.substring(0, matchIndex).trim();
-        const aptSuite = address.substring(matchIndex).trim();
-        
-        // Clean up the apt/suite part (remove leading comma, dash, etc.)
-        const cleanedAptSuite = aptSuite.replace(/^[,\-\s]+/, '').trim();
-        
-        return {
-            mainAddress: mainAddress,
-            aptSuite: cleanedAptSuite
-        };
-    }
-    
-    // No apartment/suite found, return the full address as main
-    return {
-        mainAddress: address,
-        aptSuite: ''
-    };
-}
-
 function formatStreetAddress(address) {
-    const parts = [];
-    
-    if (address.address1) parts.push(address.address1);
-    if (address.address2) parts.push(address.address2);
-    if (address.street) parts.push(address.street);
-    if (address.line1) parts.push(address.line1);
-    if (address.line2) parts.push(address.line2);
-    
-    const fullAddress = parts.join(' ').trim();
-    
-    // Parse the address to separate main address from apt/suite
-    return parseAddressComponents(fullAddress);
+    const { street, unit } = normalizeShippingAddress(address);
+    return { mainAddress: street, aptSuite: unit };
 }
 
 /**
@@ -1538,7 +1564,8 @@ function addUpdateUSPSEpriceButton() {
 }
 
 /**
- * Handle click event for Update USPS E-price button
+ * Handle click event for Update USPS E-price button. A split order's E-Price is the
+ * total of the rates for each allocation still to ship.
  */
 async function handleUpdateUSPSEpriceClick() {
     console.log('🔄 Update USPS E-price button clicked - Processing ALL orders');
@@ -1579,21 +1606,20 @@ async function handleUpdateUSPSEpriceClick() {
             throw new Error('No orders found to process');
         }
 
-        // Step 3: Filter orders that have empty/null employee_notes
+        // Step 3: Filter orders that have no E-Price tag yet (see content/shared/note-tags.js)
         const ordersToProcess = [];
         for (const order of allOrders) {
-            const employeeNotes = order.employee_notes || [];
-            const hasNotes = employeeNotes.some(note => note && note.text && note.text.trim() !== '');
+            const { tags } = findNoteTags(order.employee_notes);
             
-            if (!hasNotes) {
+            if (!tags['E-Price']) {
                 ordersToProcess.push(order);
             }
         }
 
-        console.log(`📊 Found ${ordersToProcess.length} orders without employee notes out of ${allOrders.length} total orders`);
+        console.log(`📊 Found ${ordersToProcess.length} orders without an E-Price out of ${allOrders.length} total orders`);
 
         if (ordersToProcess.length === 0) {
-            alert('✅ All orders already have employee notes. No orders to process.');
+            alert('✅ All orders already have an E-Price. No orders to process.');
             button.textContent = originalText;
             button.disabled = false;
             button.style.backgroundColor = '#007bff';
@@ -1604,6 +1630,8 @@ async function handleUpdateUSPSEpriceClick() {
         let successCount = 0;
         let errorCount = 0;
         const errors = [];
+        // One undo batch per run (see the note history on the options page)
+        const batchId = `usps-eprice-${Date.now()}`;
 
         for (let i = 0; i < ordersToProcess.length; i++) {
             const order = ordersToProcess[i];
@@ -1613,65 +1641,36 @@ async function handleUpdateUSPSEpriceClick() {
             button.textContent = `Processing ${i + 1}/${ordersToProcess.length}...`;
 
             try {
-                // Process order data to match the structure expected by form filling functions
-                console.log('🔍 Processing order data to match expected structure...');
-                const processedOrderData = processOrderDataForUSPS(order);
-                console.log('✅ Processed order data:', processedOrderData);
-                
-                // Fill form with processed order data
-                console.log('🔍 Filling form with order data...');
-                await fillFormWithOrderData(processedOrderData);
-
-                // Wait a moment for form to be fully processed
-                console.log('🔍 Waiting for form to be fully processed...');
-                await new Promise(resolve => setTimeout(resolve, 1000));
-
-                // Click Get Rates button
-                console.log('🔍 Attempting to click Get Rates button...');
-                let ratesClicked = false;
-                let attempts = 0;
-                const maxAttempts = 5;
-                
-                while (!ratesClicked && attempts < maxAttempts) {
-                    attempts++;
-                    console.log(`🔍 Get Rates button attempt ${attempts}/${maxAttempts}...`);
-                    ratesClicked = clickGetRatesButton();
-                    
-                    if (!ratesClicked) {
-                        console.log(`⚠️ Get Rates button click failed, waiting 500ms before retry...`);
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                    } else {
-                        console.log('✅ Get Rates button clicked successfully');
+                // A split order gets one label per allocation still to ship: rate each one
+                // and record their total (see content/shared/allocations.js)
+                const allocationIndexes = ePriceAllocationIndexes(order);
+                const prices = [];
+                for (let a = 0; a < allocationIndexes.length; a++) {
+                    if (allocationIndexes.length > 1) {
+                        button.textContent = `Processing ${i + 1}/${ordersToProcess.length} (label ${a + 1}/${allocationIndexes.length})...`;
                     }
+                    const allocationPrice = await getUSPSPriceForOrderData(processOrderDataForUSPS(order, allocationIndexes[a]));
+                    console.log(`✅ Allocation ${allocationIndexes[a] + 1} of order ${orderNumber}: $${allocationPrice}`);
+                    prices.push(allocationPrice);
                 }
-                
-                if (!ratesClicked) {
-                    throw new Error('Failed to click Get Rates button after multiple attempts');
-                }
-
-                // Wait for rates to load (longer wait for rates to appear)
-                console.log('🔍 Waiting for rates to load...');
-                await new Promise(resolve => setTimeout(resolve, 3000));
-
-                // Extract price from first available shipping option
-                console.log('🔍 Waiting for rates to load...');
-                const price = await waitForFirstAvailablePrice();
-
-                if (!price) {
-                    throw new Error('Could not find any shipping option price');
-                }
+                const price = prices.length === 1
+                    ? prices[0]
+                    : prices.reduce((sum, value) => sum + parseFloat(value), 0).toFixed(2);
 
                 console.log(`✅ Extracted price for order ${orderNumber}: $${price}`);
 
-                // Update order with internal note
-                const internalNote = `"E-Price":${price}`;
-                console.log('🔍 Updating order with internal note:', internalNote);
+                // Set the E-Price tag, editing the order's tag note when it has one
+                const tagUpdate = buildNoteTagsUpdate(order.employee_notes, { 'E-Price': price });
+                console.log('🔍 Updating order with internal note:', tagUpdate.text);
 
                 const updateResponse = await chrome.runtime.sendMessage({
                     action: 'updateVeeqoOrder_InternalNote',
                     apiKey: apiKey,
                     orderId: order.id,
-                    internalNote: internalNote
+                    internalNote: tagUpdate.text,
+                    noteId: tagUpdate.noteId,
+                    source: 'usps-eprice',
+                    batchId: batchId
                 });
 
                 if (!updateResponse || !updateResponse.success) {
@@ -1720,26 +1719,78 @@ async function handleUpdateUSPSEpriceClick() {
     }
 }
 
+/**
+ * Fill the form for one allocation, get rates and read the first available price
+ * @param {Object} processedOrderData - From processOrderDataForUSPS
+ * @returns {Promise<string>} The price, e.g. "12.34"
+ */
+async function getUSPSPriceForOrderData(processedOrderData) {
+    // Fill form with processed order data
+    console.log('🔍 Filling form with order data...');
+    await fillFormWithOrderData(processedOrderData);
+
+    // Wait a moment for form to be fully processed
+    console.log('🔍 Waiting for form to be fully processed...');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Click Get Rates button
+    console.log('🔍 Attempting to click Get Rates button...');
+    let ratesClicked = false;
+    let attempts = 0;
+    const maxAttempts = 5;
+    
+    while (!ratesClicked && attempts < maxAttempts) {
+        attempts++;
+        console.log(`🔍 Get Rates button attempt ${attempts}/${maxAttempts}...`);
+        ratesClicked = clickGetRatesButton();
+        
+        if (!ratesClicked) {
+            console.log(`⚠️ Get Rates button click failed, waiting 500ms before retry...`);
+            await new Promise(resolve => setTimeout(resolve, 500));
+        } else {
+            console.log('✅ Get Rates button clicked successfully');
+        }
+    }
+    
+    if (!ratesClicked) {
+        throw new Error('Failed to click Get Rates button after multiple attempts');
+    }
+
+    // Wait for rates to load (longer wait for rates to appear)
+    console.log('🔍 Waiting for rates to load...');
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // Extract price from first available shipping option
+    console.log('🔍 Waiting for rates to load...');
+    const price = await waitForFirstAvailablePrice();
+
+    if (!price) {
+        throw new Error('Could not find any shipping option price');
+    }
+    return price;
+}
+
+/**
+ * Allocations the E-price run rates: every one not yet shipped, else the first
+ * @param {Object} apiOrder - Raw order from the Veeqo API
+ * @returns {number[]}
+ */
+function ePriceAllocationIndexes(apiOrder) {
+    const allocations = summarizeOrderAllocations(apiOrder);
+    const unshipped = allocations.filter((allocation) => !allocation.shipped).map((allocation) => allocation.index);
+    return unshipped.length > 0 ? unshipped : [firstUnshippedAllocationIndex(allocations)];
+}
+
 /**
  * Process order data from API to match the structure expected by form filling functions
  * @param {Object} apiOrder - Raw order data from Veeqo API
+ * @param {number} [allocationIndex] - Allocation to label; default the first one not yet shipped
  * @returns {Object} Processed order data with correct structure
  */
-function processOrderDataForUSPS(apiOrder) {
-    // Extract allocation_package from allocations array
-    let allocationPackage = null;
-    if (apiOrder.allocations && apiOrder.allocations.length > 0) {
-        allocationPackage = apiOrder.allocations[0].allocation_package;
-    }
-    
-    // Get SKU codes for reference_number formatting
-    const skuCodes = apiOrder.line_items?.map(item => item.sellable?.sku_code).filter(Boolean) || [];
-    const quantityToShip = '1'; // Default, can be extracted from HTML if needed
-    
-    // Format reference_number as: {quantity_to_ship} x {sku_codes}
-    const formattedReferenceNumber = skuCodes.length > 0 
-        ? `${quantityToShip} x ${skuCodes.join(', ')}`
-        : quantityToShip;
+function processOrderDataForUSPS(apiOrder, allocationIndex) {
+    // Package, line items, quantity and reference_number come from the allocation (see content/shared/allocations.js)
+    const allocations = summarizeOrderAllocations(apiOrder);
+    const index = allocationIndex ?? firstUnshippedAllocationIndex(allocations);
     
     // Extract customer note if available
     let customerNote = null;
@@ -1748,24 +1799,20 @@ function processOrderDataForUSPS(apiOrder) {
     }
     
     // Create the processed data structure matching what processOrderData creates
-    return {
+    return applyAllocationToOrderData({
         deliver_to: apiOrder.delivery_method?.name || null,
-        sku_codes: skuCodes,
-        allocation_package: allocationPackage,
-        line_items: apiOrder.line_items || [],
+        allocations,
         shipping_addresses: apiOrder.deliver_to || null, // This is the key - deliver_to becomes shipping_addresses
         customer: apiOrder.customer || null,
         customer_note: customerNote,
         sales_record_number: apiOrder.sales_record_number || apiOrder.number,
-        reference_number: formattedReferenceNumber,
         id: apiOrder.id,
         number: apiOrder.number || null,
         status: apiOrder.status || null,
         total_price: apiOrder.total_price || null,
         currency_code: apiOrder.currency_code || null,
-        veeqo_shipping_rate: null,
-        quantity_to_ship: quantityToShip
-    };
+        veeqo_shipping_rate: null
+    }, index);
 }
 
 /**
@@ -1778,6 +1825,9 @@ async function fillFormWithOrderData(orderData) {
     autoFillInProgress = false;
     
     console.log('🔄 Reset auto-fill flags, ready to fill form for new order');
+    
+    // Rates-only fills (E-price run) must not be matched to a later label purchase
+    forgetLabelOrder();
 
     // Clear existing form data first
     const fieldsToClear = [
@@ -1801,8 +1851,14 @@ async function fillFormWithOrderData(orderData) {
         }
     });
 
-    // Also clear package fields (L/W/H/weight by name; dropdown by id)
-    [USPS_FORM_FIELDS.weightLbs, USPS_FORM_FIELDS.length, USPS_FORM_FIELDS.width, USPS_FORM_FIELDS.height].forEach(
+    // Also clear package fields (L/W/H/weight lbs+oz by name; dropdown by id)
+    [
+        USPS_FORM_FIELDS.weightLbs,
+        USPS_FORM_FIELDS.weightOz,
+        USPS_FORM_FIELDS.length,
+        USPS_FORM_FIELDS.width,
+        USPS_FORM_FIELDS.height
+    ].forEach(
         (name) => {
             const field = getFormInputByName(name);
             if (field) {
@@ -1823,31 +1879,28 @@ async function fillFormWithOrderData(orderData) {
     // Fill form fields directly and synchronously
     console.log('🔍 Filling form fields directly...');
     
+    // Normalize the address and show its problems before filling anything
+    prepareShippingAddress(orderData);
+    
     // Fill customer information
     fillCustomerInformation(orderData);
     
     // Fill shipping address
-    const shippingAddress = getShippingAddressFromOrder(orderData);
     await fillShippingAddress(orderData);
-    await waitForAddressFieldsFilled(shippingAddress);
+    await waitForAddressFieldsFilled(orderData.normalized_address);
     
     // Fill reference numbers
     fillReferenceNumbers(orderData);
     
-    // Fill package information directly (synchronously)
+    // Fill package information directly (synchronously), after working out presets and weight
+    await preparePackageData(orderData);
+    showWeightMismatchWarning(orderData.weight_check);
     const allocationPackage = orderData.allocation_package;
     if (allocationPackage) {
         console.log('🔍 Filling package information...');
         
         // Fill weight + L/W/H by name (USPS_FORM_FIELDS)
-        const weightField = getFormInputByName(USPS_FORM_FIELDS.weightLbs);
-        if (weightField && allocationPackage.weight) {
-            const weightOz = parseFloat(allocationPackage.weight) || 0;
-            const wLbs = Math.floor(weightOz / 16);
-            weightField.value = wLbs.toString();
-            triggerInputEvent(weightField);
-            console.log('✅ Filled Weight:', wLbs, 'lbs');
-        }
+        fillPackageWeight(allocationPackage.weight);
         const lengthData = allocationPackage.depth != null && allocationPackage.depth !== ''
             ? allocationPackage.depth
             : allocationPackage.length;
@@ -1878,7 +1931,7 @@ async function fillFormWithOrderData(orderData) {
     
     // Select package type (if needed)
     try {
-        await selectPackageType();
+        await selectPackageType(orderData.package_preset?.packageType);
         await new Promise(resolve => setTimeout(resolve, 300));
     } catch (error) {
         console.log('⚠️ Package type selection failed, continuing anyway:', error);
@@ -0,0 +1,115 @@
+/**
+ * Allocation picker for the USPS button: an order split into several allocations
+ * gets one USPS label per allocation, so the user picks which one to fill.
+ * Allocation data: content/shared/allocations.js. Styles: css/veeqo/usps-button.css
+ */
+
+/**
+ * "2 x MUG-BLU (Blue mug), 1 x LID"
+ * @param {Object} allocation - From summarizeOrderAllocations
+ * @returns {string}
+ */
+function describeAllocationItems(allocation) {
+    return allocation.line_items
+        .map((item) => {
+            const sku = item.sellable.sku_code || item.sellable.product_title || 'Item';
+            const title = item.sellable.sku_code && item.sellable.product_title ? ` (${item.sellable.product_title})` : '';
+            return `${item.quantity} x ${sku}${title}`;
+        })
+        .join(', ') || '—';
+}
+
+/**
+ * "10×8×4 in · 24 oz", from Veeqo's allocation package
+ * @param {Object} allocation - From summarizeOrderAllocations
+ * @returns {string}
+ */
+function describeAllocationPackage(allocation) {
+    const pkg = allocation.allocation_package;
+    if (!pkg) return 'No package';
+    const length = pkg.depth || pkg.length;
+    const parts = [];
+    if (length && pkg.width && pkg.height) {
+        parts.push(`${length}×${pkg.width}×${pkg.height} in`);
+    }
+    if (pkg.weight) {
+        parts.push(`${pkg.weight} oz`);
+    }
+    return parts.join(' · ') || 'No package';
+}
+
+/**
+ * @param {Object} orderData - Stored order data with `allocations`
+ * @returns {Promise<number|null>} Chosen allocation index, or null when cancelled
+ */
+function showAllocationPicker(orderData) {
+    return new Promise((resolve) => {
+        const allocations = orderData.allocations || [];
+        const element = (tag, className, text) => {
+            const el = document.createElement(tag);
+            if (className) el.className = className;
+            if (text != null) el.textContent = text;
+            return el;
+        };
+
+        const overlay = element('div', 'gbv-allocation-overlay');
+        const dialog = element('div', 'gbv-allocation-dialog');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        overlay.appendChild(dialog);
+
+        dialog.appendChild(element('h2', 'gbv-allocation-title', `Order ${orderData.number || orderData.sales_record_number}`));
+        dialog.appendChild(element(
+            'p',
+            'gbv-allocation-help',
+            `This order ships in ${allocations.length} allocations. Pick the one to create a USPS label for.`
+        ));
+
+        const table = element('table', 'gbv-allocation-table');
+        const headerRow = table.createTHead().insertRow();
+        ['#', 'Items', 'Package', 'Warehouse', 'Status', ''].forEach((text) => {
+            headerRow.appendChild(element('th', null, text));
+        });
+        const body = table.createTBody();
+        const close = (result) => {
+            document.removeEventListener('keydown', onKeyDown, true);
+            overlay.remove();
+            resolve(result);
+        };
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape') close(null);
+        };
+
+        const buttons = [];
+        allocations.forEach((allocation, index) => {
+            const row = body.insertRow();
+            row.className = allocation.shipped ? 'gbv-allocation-row--shipped' : '';
+            row.appendChild(element('td', null, `${index + 1}/${allocations.length}`));
+            row.appendChild(element('td', null, describeAllocationItems(allocation)));
+            row.appendChild(element('td', null, describeAllocationPackage(allocation)));
+            row.appendChild(element('td', null, allocation.warehouse || '—'));
+            row.appendChild(element('td', null, allocation.shipped ? 'Shipped' : 'To ship'));
+            const actionCell = row.insertCell();
+            const button = element('button', 'gbv-allocation-choose', 'USPS label');
+            button.type = 'button';
+            button.addEventListener('click', () => close(index));
+            actionCell.appendChild(button);
+            buttons.push(button);
+        });
+        dialog.appendChild(table);
+
+        const footer = element('div', 'gbv-allocation-footer');
+        const cancelButton = element('button', 'gbv-allocation-cancel', 'Cancel');
+        cancelButton.type = 'button';
+        cancelButton.addEventListener('click', () => close(null));
+        footer.appendChild(cancelButton);
+        dialog.appendChild(footer);
+
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) close(null);
+        });
+        document.addEventListener('keydown', onKeyDown, true);
+        document.body.appendChild(overlay);
+        (buttons[firstUnshippedAllocationIndex(allocations)] || cancelButton).focus();
+    });
+}
@@ -394,6 +394,9 @@ async function addUSPSButtonsToTable(table) {
     });
     
     console.log(`USPS buttons: ${buttonsAdded} added, ${buttonsSkipped} already existed`);
+    
+    // Keep the rate column on rows Veeqo re-rendered (no-op before Fill Order Data)
+    renderRateComparisonColumn(table);
 }
 
 /** Amazon merchant order ID format shown in Veeqo allocations table */
@@ -612,14 +615,24 @@ function getStoredOrderData(orderNumber) {
     }
 }
 
-function goToUSPSWithOrderNumber(orderNumber) {
+async function goToUSPSWithOrderNumber(orderNumber) {
     console.log(`🔍 Opening USPS Label Manager for order: ${orderNumber}`);
     
     try {
         // Get cached order data from localStorage (synchronous - faster!)
         const orderData = getStoredOrderData(orderNumber);
         
-        if (orderData) {
+        if (orderData?.allocations?.length > 1) {
+            // One label per allocation: fill the package, quantity and reference of the chosen one
+            const index = await showAllocationPicker(orderData);
+            if (index == null) {
+                console.log(`🔍 Allocation picker cancelled for ${orderNumber}`);
+                return;
+            }
+            const allocationData = applyAllocationToOrderData(orderData, index);
+            console.log(`✅ Using allocation ${index + 1}/${orderData.allocations.length} for USPS auto-fill:`, allocationData);
+            goToUSPS(allocationData);
+        } else if (orderData) {
             console.log(`✅ Using cached order data for USPS auto-fill:`, orderData);
             goToUSPS(orderData);
         } else {
@@ -653,6 +666,11 @@ async function showAllUSPSButtons() {
             button.classList.remove('usps-button-hidden');
             buttonsShown++;
         }
+        const allocationCount = getStoredOrderData(button.id)?.allocations?.length || 0;
+        if (allocationCount > 1) {
+            button.textContent = `USPS ×${allocationCount}`;
+            button.title = `Order: ${button.id} — ${allocationCount} allocations, one label each`;
+        }
     });
     
     console.log(`✅ Made ${buttonsShown} USPS buttons visible`);
@@ -672,8 +690,10 @@ async function showAllUSPSButtons() {
  * Display internal notes (employee_notes) in specified column for orders that have them
  * @param {Object} orderDataMap - Map of order numbers to order data
  * @param {number} columnNumber - Column number to display notes in (1-based)
+ * @returns {Promise<Object<string, Object<string, string>>>} Note tags by order number, for orders whose notes were read
  */
 async function displayInternalNotes(orderDataMap, columnNumber) {
+    const tagsByOrder = {};
     try {
         const columnIndex = columnNumber - 1; // Convert to 0-based index
         console.log(`🔍 Displaying internal notes in column ${columnNumber} (index ${columnIndex})...`);
@@ -743,48 +763,61 @@ async function displayInternalNotes(orderDataMap, columnNumber) {
                 continue;
             }
             
-            if (employeeNotes && employeeNotes.length > 0) {
-                // Get the last employee note
-                const lastNote = employeeNotes[employeeNotes.length - 1];
-                const noteText = lastNote?.text || '';
-                
-                if (noteText.trim()) {
-                    // Get the specified column
-                    const cells = row.querySelectorAll('td');
-                    if (cells.length >= columnNumber) {
-                        const targetCell = cells[columnIndex]; // Column (0-indexed)
-                        
-                        // Check if internal note already displayed
-                        let noteDisplay = targetCell.querySelector('.internal-note-display');
-                        
-                        if (!noteDisplay) {
-                            // Create display element
-                            noteDisplay = document.createElement('div');
-                            noteDisplay.className = 'internal-note-display';
-                            noteDisplay.style.cssText = `
-                                font-size: 12px;
-                                color: #666;
-                                padding: 4px 8px;
-                                background: #f0f0f0;
-                                border-radius: 4px;
-                                margin-top: 4px;
-                                max-width: 200px;
-                                overflow: hidden;
-                                text-overflow: ellipsis;
-                                white-space: nowrap;
-                                cursor: help;
-                            `;
-                            targetCell.appendChild(noteDisplay);
-                        }
-                        
-                        // Update note text
-                        noteDisplay.textContent = noteText;
-                        noteDisplay.title = noteText; // Show full text on hover
-                        notesDisplayed++;
-                        console.log(`✅ Displayed internal note for order ${orderNumber} in column ${columnNumber}: ${noteText.substring(0, 50)}...`);
-                    }
+            // Note tags (E-Price, packed-by, ...) become badges; the latest free-text note is shown as before
+            const { tags, notes } = findNoteTags(employeeNotes);
+            tagsByOrder[orderNumber] = tags;
+            const noteText = notes.length > 0 ? notes[notes.length - 1] : '';
+            if (Object.keys(tags).length === 0 && !noteText) {
+                continue;
+            }
+            
+            // Get the specified column
+            const cells = row.querySelectorAll('td');
+            if (cells.length < columnNumber) {
+                continue;
+            }
+            const targetCell = cells[columnIndex]; // Column (0-indexed)
+            
+            // Replace any earlier display (the data may have changed since)
+            targetCell.querySelectorAll('.internal-note-display, .gbv-note-tags').forEach((el) => el.remove());
+            
+            if (Object.keys(tags).length > 0) {
+                const badges = document.createElement('div');
+                badges.className = 'gbv-note-tags';
+                for (const [key, value] of Object.entries(tags)) {
+                    const { label, text } = describeNoteTag(key, value);
+                    const badge = document.createElement('span');
+                    badge.className = 'gbv-note-tag';
+                    badge.dataset.tag = key;
+                    badge.textContent = `${label}: ${text}`;
+                    badge.title = `${key}: ${value}`;
+                    badges.appendChild(badge);
                 }
+                targetCell.appendChild(badges);
             }
+            
+            if (noteText) {
+                const noteDisplay = document.createElement('div');
+                noteDisplay.className = 'internal-note-display';
+                noteDisplay.style.cssText = `
+                    font-size: 12px;
+                    color: #666;
+                    padding: 4px 8px;
+                    background: #f0f0f0;
+                    border-radius: 4px;
+                    margin-top: 4px;
+                    max-width: 200px;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    cursor: help;
+                `;
+                noteDisplay.textContent = noteText;
+                noteDisplay.title = noteText; // Show full text on hover
+                targetCell.appendChild(noteDisplay);
+            }
+            notesDisplayed++;
+            console.log(`✅ Displayed internal notes for order ${orderNumber} in column ${columnNumber}: ${Object.keys(tags).join(', ')} ${noteText.substring(0, 50)}`);
         }
         
         console.log(`✅ Displayed ${notesDisplayed} internal notes in column ${columnNumber}`);
@@ -792,6 +825,7 @@ async function displayInternalNotes(orderDataMap, columnNumber) {
     } catch (error) {
         console.error('❌ Error displaying internal notes:', error);
     }
+    return tagsByOrder;
 }
 
 /**
@@ -986,6 +1020,7 @@ function addButtonNearElement(targetElement) {
     const loadAmzNoteButton = document.createElement('button');
     loadAmzNoteButton.id = 'load-amz-note-btn';
     loadAmzNoteButton.textContent = 'Load AMZ Note';
+    loadAmzNoteButton.title = 'Import delivery instructions from Amazon order reports (TSV) or CSV exports';
     loadAmzNoteButton.className = 'btn btn-info';
     loadAmzNoteButton.style.cssText = `
         background: #17a2b8;
@@ -998,6 +1033,23 @@ function addButtonNearElement(targetElement) {
         transition: background-color 0.2s;
     `;
     
+    // Create the Print All Notes button (one 4x6 document for every note / checked row)
+    const printAllNotesButton = document.createElement('button');
+    printAllNotesButton.id = 'print-all-notes-btn';
+    printAllNotesButton.textContent = 'Print All Notes';
+    printAllNotesButton.className = 'btn btn-info';
+    printAllNotesButton.title = 'Print delivery instructions for checked rows, or every row with a customer note';
+    printAllNotesButton.style.cssText = `
+        background: #6f42c1;
+        color: white;
+        border: 1px solid #6f42c1;
+        padding: 8px 16px;
+        border-radius: 4px;
+        font-size: 14px;
+        cursor: pointer;
+        transition: background-color 0.2s;
+    `;
+
     // Add hover effects for Fill Order Data button
     fillOrderDataButton.addEventListener('mouseenter', () => {
         fillOrderDataButton.style.backgroundColor = '#218838';
@@ -1015,14 +1067,24 @@ function addButtonNearElement(targetElement) {
     loadAmzNoteButton.addEventListener('mouseleave', () => {
         loadAmzNoteButton.style.backgroundColor = '#17a2b8';
     });
+
+    printAllNotesButton.addEventListener('mouseenter', () => {
+        printAllNotesButton.style.backgroundColor = '#5a32a3';
+    });
+
+    printAllNotesButton.addEventListener('mouseleave', () => {
+        printAllNotesButton.style.backgroundColor = '#6f42c1';
+    });
     
     // Add click event listeners
     fillOrderDataButton.addEventListener('click', handleFillOrderDataClick);
     loadAmzNoteButton.addEventListener('click', handleLoadAmzNoteClick);
+    printAllNotesButton.addEventListener('click', handlePrintAllNotesClick);
     
     // Add buttons to container
     buttonContainer.appendChild(fillOrderDataButton);
     buttonContainer.appendChild(loadAmzNoteButton);
+    buttonContainer.appendChild(printAllNotesButton);
     
     // Insert the button container after the target element
     if (targetElement.parentNode) {
@@ -1084,8 +1146,9 @@ async function handleFillOrderDataClick() {
         // Show all USPS buttons now that data is loaded
         showAllUSPSButtons();
         
-        // Display internal notes in column 5
-        await displayInternalNotes(orderDataMap, 5);
+        // Display internal notes in column 5, then compare Veeqo rates with the E-Price tags
+        const noteTags = await displayInternalNotes(orderDataMap, 5);
+        renderRateComparisonColumn(document.getElementById('allocations-table'), ePricesFromNoteTags(noteTags));
         
         // Restore button state
         button.textContent = originalText;
@@ -1108,6 +1171,88 @@ async function handleFillOrderDataClick() {
     }
 }
 
+/**
+ * Allocation rows to batch-print: the checked rows if any are checked, otherwise every row.
+ * @returns {{ rows: HTMLTableRowElement[], checkedOnly: boolean }}
+ */
+function getRowsForBatchPrint() {
+    const table = document.getElementById('allocations-table');
+    if (!table) {
+        return { rows: [], checkedOnly: false };
+    }
+    const rows = Array.from(table.querySelectorAll('tbody tr')).filter((row) =>
+        row.querySelectorAll('td').length >= 4 && extractOrderNumberFromRow(row)
+    );
+    const checked = rows.filter((row) => row.querySelector('input[type="checkbox"]:checked'));
+    return checked.length > 0
+        ? { rows: checked, checkedOnly: true }
+        : { rows, checkedOnly: false };
+}
+
+/**
+ * Handle click on Print All Notes button: checked rows (with or without a note),
+ * or every row with a customer note, printed as one multi-page 4x6 document.
+ */
+async function handlePrintAllNotesClick() {
+    // Open the window (print-window mode) before any await so the popup blocker treats it as user-initiated
+    const printWindow = openDeliveryInstructionsWindowIfNeeded();
+    if (printNoteOutput === 'window' && !printWindow) {
+        return;
+    }
+
+    const button = document.getElementById('print-all-notes-btn');
+    const originalText = button.textContent;
+    button.textContent = 'Collecting...';
+    button.disabled = true;
+
+    try {
+        const { rows, checkedOnly } = getRowsForBatchPrint();
+        const apiKey = await getApiKey();
+        const orderDataList = [];
+        let missingData = 0;
+        const seen = new Set();
+
+        for (const row of rows) {
+            const orderNumber = extractOrderNumberFromRow(row);
+            if (seen.has(orderNumber)) {
+                continue;
+            }
+            seen.add(orderNumber);
+
+            let orderData = getStoredOrderData(orderNumber);
+            if (!orderData) {
+                missingData++;
+                continue;
+            }
+            const customerNote = await enrichCustomerNoteIfNeeded(orderNumber, orderData, row, apiKey);
+            if (customerNote) {
+                orderData = { ...orderData, customer_note: customerNote };
+            } else if (!checkedOnly) {
+                continue;
+            }
+            orderDataList.push(orderData);
+        }
+
+        if (orderDataList.length === 0) {
+            if (printWindow) printWindow.close();
+            alert(missingData > 0
+                ? 'No order data loaded for these rows. Click "Fill Order Data" first.'
+                : 'No orders with customer notes found on this page.');
+            return;
+        }
+
+        console.log(`🔍 Batch printing ${orderDataList.length} notes (${checkedOnly ? 'checked rows' : 'rows with notes'})`);
+        await printDeliveryInstructionsBatch(orderDataList, printWindow);
+    } catch (error) {
+        console.error('Error batch printing notes:', error);
+        if (printWindow) printWindow.close();
+        alert('Error printing notes: ' + error.message);
+    } finally {
+        button.textContent = originalText;
+        button.disabled = false;
+    }
+}
+
 /**
  * Handle click on Load AMZ Note button
  */
@@ -1143,74 +1288,38 @@ async function handleLoadAmzNoteClick() {
 }
 
 /**
- * Load Amazon order notes from text file and update Veeqo orders
+ * Load delivery instructions from one or more order reports (Amazon TSV, or CSV
+ * from other channels), review each change against the current Veeqo note and
+ * write the selected ones
  */
 async function loadAmazonOrderNote() {
     try {
         console.log('🔄 Starting Amazon order note loading process...');
         
-        // Create file input element
-        const fileInput = document.createElement('input');
-        fileInput.type = 'file';
-        fileInput.accept = '.txt';
-        fileInput.style.display = 'none';
-        
-        // Add to DOM temporarily
-        document.body.appendChild(fileInput);
-        
-        // Create promise to handle file selection
-        const filePromise = new Promise((resolve, reject) => {
-            fileInput.addEventListener('change', (event) => {
-                const file = event.target.files[0];
-                if (file) {
-                    resolve(file);
-                } else {
-                    reject(new Error('No file selected'));
-                }
-            });
-            
-            fileInput.addEventListener('cancel', () => {
-                reject(new Error('File selection cancelled'));
-            });
-        });
-        
-        // Trigger file selection
-        fileInput.click();
-        
-        // Wait for file selection
-        const file = await filePromise;
-        
-        // Remove file input from DOM
-        document.body.removeChild(fileInput);
-        
-        console.log(`📁 Selected file: ${file.name}`);
-        
-        // Read file content
-        const fileContent = await readFileContent(file);
-        console.log('📄 File content loaded, length:', fileContent.length);
-        
-        // Parse Amazon orders
-        const amazonOrders = parseAmazonOrders(fileContent);
-        console.log(`📊 Parsed ${amazonOrders.length} Amazon orders`);
-        
-        // Check if there are any orders with delivery instructions
-        const ordersWithInstructions = amazonOrders.filter(order => 
-            order.deliveryInstructions && order.deliveryInstructions.trim() !== ''
-        );
-        console.log(`📝 Found ${ordersWithInstructions.length} orders with delivery instructions`);
+        const files = await pickOrderReportFiles();
+        console.log(`📁 Selected file(s): ${files.map((file) => file.name).join(', ')}`);
         
-        if (ordersWithInstructions.length === 0) {
-            alert('No orders with delivery instructions found in the file.');
-            return;
+        // Parse every report (delimiter and quoting detected per file)
+        const reports = [];
+        for (const file of files) {
+            const fileContent = await readFileContent(file);
+            reports.push(parseOrderReport(fileContent, file.name));
         }
         
+        const columnAliases = await loadOrderReportColumns();
+        const mapping = {
+            orderId: detectReportColumn(reports, columnAliases.orderId),
+            deliveryInstructions: detectReportColumn(reports, columnAliases.deliveryInstructions),
+        };
+        console.log(`📋 Detected columns: order=${mapping.orderId}, instructions=${mapping.deliveryInstructions}`);
+        
         // Get API key
         const apiKey = await getApiKey();
         if (!apiKey) {
             throw new Error('Veeqo API key not configured. Please set it in extension settings.');
         }
         
-        // Get all Veeqo orders to map Amazon order IDs (with pagination)
+        // Get all Veeqo orders to map report order IDs (with pagination)
         console.log('🔄 Fetching Veeqo orders for mapping...');
         const veeqoOrders = await fetchAllOrdersWithPagination(apiKey, {
             page_size: 100,
@@ -1218,52 +1327,43 @@ async function loadAmazonOrderNote() {
         });
         
         console.log(`📋 Fetched ${veeqoOrders.length} Veeqo orders from all pages`);
-        
-        // Create mapping from Amazon order ID to Veeqo order
-        const orderMapping = createOrderMapping(amazonOrders, veeqoOrders);
-        console.log(`🔗 Created mapping for ${Object.keys(orderMapping).length} orders`);
-        
-        // Update Veeqo orders with customer notes
-        let successCount = 0;
-        let errorCount = 0;
-        
-        for (const amazonOrderId of Object.keys(orderMapping)) {
-            try {
-                const veeqoOrder = orderMapping[amazonOrderId];
-                const amazonOrder = amazonOrders.find(order => order.orderId === amazonOrderId);
-                
-                if (veeqoOrder && amazonOrder && amazonOrder.deliveryInstructions) {
-                    console.log(`🔄 Updating order ${veeqoOrder.id} with delivery instructions: "${amazonOrder.deliveryInstructions}"`);
-                    
-                    const updateResponse = await chrome.runtime.sendMessage({
-                        action: 'updateVeeqoOrder_CustomerNote',
-                        apiKey: apiKey,
-                        orderId: veeqoOrder.id,
-                        customerNote: amazonOrder.deliveryInstructions
-                    });
-                    
-                    if (updateResponse && updateResponse.success) {
-                        console.log(`✅ Successfully updated order ${veeqoOrder.id}`);
-                        successCount++;
-                    } else {
-                        console.error(`❌ Failed to update order ${veeqoOrder.id}:`, updateResponse?.error);
-                        errorCount++;
-                    }
+        const veeqoOrderMap = indexApiOrdersByLookupKeys(veeqoOrders);
+        
+        // Nothing is written until the user reviews the changes and applies them
+        const batchId = `order-report-import-${Date.now()}`;
+        const outcome = await showOrderReportPreview({
+            reports,
+            mapping,
+            aliases: columnAliases,
+            match: (orders) => matchReportOrders(orders, veeqoOrderMap),
+            applyChange: async ({ orderId, deliveryInstructions, veeqoOrder }) => {
+                console.log(`🔄 Updating order ${veeqoOrder.id} (${orderId}) with delivery instructions: "${deliveryInstructions}"`);
+                const updateResponse = await chrome.runtime.sendMessage({
+                    action: 'updateVeeqoOrder_CustomerNote',
+                    apiKey: apiKey,
+                    orderId: veeqoOrder.id,
+                    customerNote: deliveryInstructions,
+                    source: 'order-report-import',
+                    batchId
+                });
+                if (!updateResponse || !updateResponse.success) {
+                    console.error(`❌ Failed to update order ${veeqoOrder.id}:`, updateResponse?.error);
                 }
-            } catch (error) {
-                console.error(`❌ Error updating order ${amazonOrderId}:`, error);
-                errorCount++;
-            }
+                return updateResponse || { success: false, error: 'No response from background' };
+            },
+        });
+        if (!outcome) {
+            console.log('ℹ️ Order report import cancelled');
+            return;
         }
-        
-        console.log(`📊 Update summary: ${successCount} successful, ${errorCount} errors`);
-        
-        // Show completion message
-        alert(`Amazon order notes loaded successfully!\n\nUpdated: ${successCount} orders\nErrors: ${errorCount} orders`);
+        await rememberOrderReportColumns(outcome.mapping);
+        console.log(`📊 Update summary: ${outcome.updated} successful, ${outcome.failed} errors`);
         
         // Reload the page data by calling Fill Order Data
-        console.log('🔄 Reloading page data...');
-        await handleFillOrderDataClick();
+        if (outcome.updated > 0) {
+            console.log('🔄 Reloading page data...');
+            await handleFillOrderDataClick();
+        }
         
     } catch (error) {
         console.error('❌ Error loading Amazon order notes:', error);
@@ -1271,6 +1371,39 @@ async function loadAmazonOrderNote() {
     }
 }
 
+/**
+ * Let the user pick one or more order report files
+ * @returns {Promise<File[]>}
+ */
+function pickOrderReportFiles() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.txt,.tsv,.csv,text/csv,text/tab-separated-values';
+    fileInput.multiple = true;
+    fileInput.style.display = 'none';
+    
+    // Add to DOM temporarily
+    document.body.appendChild(fileInput);
+    
+    const filePromise = new Promise((resolve, reject) => {
+        fileInput.addEventListener('change', (event) => {
+            const files = Array.from(event.target.files || []);
+            if (files.length > 0) {
+                resolve(files);
+            } else {
+                reject(new Error('No file selected'));
+            }
+        });
+        
+        fileInput.addEventListener('cancel', () => {
+            reject(new Error('File selection cancelled'));
+        });
+    }).finally(() => fileInput.remove());
+    
+    fileInput.click();
+    return filePromise;
+}
+
 /**
  * Read file content as text
  * @param {File} file - The file to read
@@ -1286,85 +1419,29 @@ function readFileContent(file) {
 }
 
 /**
- * Parse Amazon orders from file content
- * @param {string} content - File content
- * @returns {Array<Object>} Array of parsed Amazon orders
- */
-function parseAmazonOrders(content) {
-    const lines = content.split('\n');
-    if (lines.length < 2) {
-        throw new Error('Invalid file format: No header or data rows found');
-    }
-    
-    // Parse header to get column indices
-    const header = lines[0].split('\t');
-    const orderIdIndex = header.indexOf('order-id');
-    const deliveryInstructionsIndex = header.indexOf('delivery-Instructions');
-    
-    if (orderIdIndex === -1) {
-        throw new Error('Invalid file format: order-id column not found');
-    }
-    
-    if (deliveryInstructionsIndex === -1) {
-        throw new Error('Invalid file format: delivery-Instructions column not found');
-    }
-    
-    console.log(`📋 Header columns: order-id=${orderIdIndex}, delivery-Instructions=${deliveryInstructionsIndex}`);
-    
-    // Parse data rows
-    const orders = [];
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line === '') continue;
-        
-        const columns = line.split('\t');
-        if (columns.length > orderIdIndex) {
-            const orderId = columns[orderIdIndex]?.trim();
-            const deliveryInstructions = columns[deliveryInstructionsIndex]?.trim();
-            
-            if (orderId) {
-                orders.push({
-                    orderId: orderId,
-                    deliveryInstructions: deliveryInstructions || ''
-                });
-            }
-        }
-    }
-    
-    return orders;
-}
-
-/**
- * Create mapping from Amazon order IDs to Veeqo orders (only for orders with delivery instructions)
- * @param {Array<Object>} amazonOrders - Amazon orders
- * @param {Array<Object>} veeqoOrders - Veeqo orders
- * @returns {Object} Mapping object
+ * Split report orders into those with an awaiting-fulfillment Veeqo order and those without;
+ * matched ones carry the order's current customer note for the review table
+ * @param {Array<{ orderId: string, deliveryInstructions: string }>} reportOrders - Orders with instructions
+ * @param {Object} veeqoOrderMap - From indexApiOrdersByLookupKeys
+ * @returns {{ matched: Array<Object>, unmatched: Array<Object> }}
  */
-function createOrderMapping(amazonOrders, veeqoOrders) {
-    const mapping = {};
-    
-    const veeqoOrderMap = indexApiOrdersByLookupKeys(veeqoOrders);
-    
-    // Only map Amazon orders that have delivery instructions
-    const ordersWithInstructions = amazonOrders.filter(order => 
-        order.deliveryInstructions && order.deliveryInstructions.trim() !== ''
-    );
-    
-    console.log(`📝 Processing ${ordersWithInstructions.length} orders with delivery instructions out of ${amazonOrders.length} total orders`);
-    
-    // Map only orders with delivery instructions to Veeqo orders
-    ordersWithInstructions.forEach(amazonOrder => {
-        const veeqoOrder = veeqoOrderMap[amazonOrder.orderId];
+function matchReportOrders(reportOrders, veeqoOrderMap) {
+    const matched = [];
+    const unmatched = [];
+    for (const reportOrder of reportOrders) {
+        const veeqoOrder = veeqoOrderMap[reportOrder.orderId];
         if (veeqoOrder) {
-            mapping[amazonOrder.orderId] = veeqoOrder;
-            console.log(`🔗 Mapped Amazon order ${amazonOrder.orderId} to Veeqo order ${veeqoOrder.id} (Instructions: "${amazonOrder.deliveryInstructions}")`);
+            matched.push({
+                ...reportOrder,
+                veeqoOrder,
+                currentNote: extractCustomerNoteFromApiOrder(veeqoOrder) || ''
+            });
         } else {
-            console.log(`⚠️ No Veeqo order found for Amazon order ${amazonOrder.orderId} with instructions: "${amazonOrder.deliveryInstructions}"`);
+            unmatched.push(reportOrder);
         }
-    });
-    
-    console.log(`✅ Created mapping for ${Object.keys(mapping).length} orders with delivery instructions`);
-    return mapping;
+    }
+    console.log(`🔗 Matched ${matched.length} of ${reportOrders.length} report orders with delivery instructions`);
+    return { matched, unmatched };
 }
 
 /**
@@ -1508,19 +1585,17 @@ async function fetchApiOrderByQuery(apiKey, orderNumber) {
 function buildOrderDataFromApiOrder(apiOrder, orderNumber, htmlData = {}) {
     const skuCodes = apiOrder.line_items?.map((item) => item.sellable?.sku_code).filter(Boolean) || [];
     const quantityToShip = htmlData.quantity_to_ship || '1';
-    const formattedReferenceNumber = skuCodes.length > 0
-        ? `${quantityToShip} x ${skuCodes.join(', ')}`
-        : quantityToShip;
+    const formattedReferenceNumber = formatAllocationReference(quantityToShip, skuCodes);
 
-    let allocationPackage = null;
-    if (apiOrder.allocations?.length > 0) {
-        allocationPackage = apiOrder.allocations[0].allocation_package;
-    }
+    // Split orders: the USPS button asks which allocation to label (see allocation-picker.js)
+    const allocations = summarizeOrderAllocations(apiOrder);
 
     return {
         deliver_to: apiOrder.delivery_method?.name || null,
         sku_codes: skuCodes,
-        allocation_package: allocationPackage,
+        veeqo_package: allocations[0].allocation_package,
+        allocation_package: allocations[0].allocation_package,
+        allocations,
         line_items: apiOrder.line_items || [],
         shipping_addresses: apiOrder.deliver_to || null,
         customer: apiOrder.customer || null,
@@ -1534,6 +1609,9 @@ function buildOrderDataFromApiOrder(apiOrder, orderNumber, htmlData = {}) {
         currency_code: apiOrder.currency_code || null,
         veeqo_shipping_rate: htmlData.veeqo_shipping_rate || null,
         quantity_to_ship: quantityToShip,
+        created_at: apiOrder.created_at || null,
+        channel_name: apiOrder.channel?.name || null,
+        gift_message: apiOrder.gift_message || null,
     };
 }
 
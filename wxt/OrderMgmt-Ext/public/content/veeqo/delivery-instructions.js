@@ -1,8 +1,38 @@
 /**
- * “Print Note” / delivery instructions: build a 4x6 print view from Veeqo order data.
+ * “Print Note” / delivery instructions: build a 4x6 print view from Veeqo order data
+ * (one order, or a batch as one multi-page document).
  * HTML: content/veeqo/print/delivery-instructions.html · CSS inlined from css/veeqo/delivery-instructions-print.css
+ * (or the template edited on the options page — the background returns whichever applies).
+ * Barcode and QR images come from the background (utils/barcodes.ts), which also draws them on the PDF.
+ * By default the template opens in a print window; the options page can switch to a PDF
+ * rendered by the background (generateDeliverySlipsPdf) and saved to Downloads.
  */
 
+/** 'window' (HTML template + window.print) or 'pdf' (background PDF, saved to Downloads) */
+const DEFAULT_PRINT_NOTE_OUTPUT = 'window';
+let printNoteOutput = DEFAULT_PRINT_NOTE_OUTPUT;
+
+/**
+ * Cache the Print Note output setting so click handlers can decide synchronously
+ * whether to open a window (it must open before any await for popup blockers).
+ */
+async function loadPrintNoteOutput() {
+    try {
+        if (!isExtensionContextValid()) return;
+        const result = await chrome.storage.sync.get(['printNoteOutput']);
+        printNoteOutput = result.printNoteOutput === 'pdf' ? 'pdf' : DEFAULT_PRINT_NOTE_OUTPUT;
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes.printNoteOutput) {
+                printNoteOutput = changes.printNoteOutput.newValue === 'pdf' ? 'pdf' : DEFAULT_PRINT_NOTE_OUTPUT;
+            }
+        });
+    } catch (error) {
+        console.log('Error loading Print Note output setting, using the print window:', error.message);
+    }
+}
+
+loadPrintNoteOutput();
+
 /**
  * @param {string} str
  * @returns {string}
@@ -17,10 +47,29 @@ function escapeHtmlForPrint(str) {
 }
 
 /**
+ * @param {Object|null} address Veeqo deliver_to
+ * @returns {string} one line: street, city, state zip, country
+ */
+function formatDeliveryAddress(address) {
+    if (!address) return 'N/A';
+    const cityLine = [address.city, [address.state, address.zip_code].filter(Boolean).join(' ')]
+        .filter(Boolean)
+        .join(', ');
+    const parts = [address.address1, address.address2, cityLine, address.country].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'N/A';
+}
+
+/**
+ * Placeholder values for the print template ({{key}}); keep in sync with
+ * utils/deliveryTemplate.ts, which documents them for the options-page editor.
  * @param {Object} orderData
- * @returns {{ orderId: string, recipient: string, buyerPhone: string, quantity: string, sku: string, deliveryInstructions: string }}
+ * @returns {Record<string, string>}
  */
 function buildDeliveryInstructionsData(orderData) {
+    const lineItems = Array.isArray(orderData.line_items) ? orderData.line_items : [];
+    const itemTitles = lineItems
+        .map((item) => item.sellable?.product_title || item.sellable?.title)
+        .filter(Boolean);
     return {
         orderId: String(orderData.sales_record_number != null ? orderData.sales_record_number : 'N/A'),
         recipient: `${orderData.shipping_addresses?.first_name || 'N/A'} ${orderData.shipping_addresses?.last_name || ''}`.trim(),
@@ -30,9 +79,47 @@ function buildDeliveryInstructionsData(orderData) {
         deliveryInstructions: orderData.customer_note != null && orderData.customer_note !== ''
             ? String(orderData.customer_note)
             : 'No special instructions',
+        address: formatDeliveryAddress(orderData.shipping_addresses),
+        orderDate: orderData.created_at ? new Date(orderData.created_at).toLocaleDateString() : 'N/A',
+        channel: orderData.channel_name || 'N/A',
+        itemTitles: itemTitles.length > 0 ? itemTitles.join(', ') : 'N/A',
+        giftMessage: orderData.gift_message ? String(orderData.gift_message) : '',
+        veeqoOrderId: orderData.id != null ? String(orderData.id) : 'N/A',
     };
 }
 
+/**
+ * Scannable codes for each slip: Code 128 of the order number, QR of the Veeqo
+ * order page (falls back to the order number when the Veeqo id is unknown).
+ * Rendered by the background as SVG data URIs for <img src>; empty when there is
+ * nothing to encode or the background cannot be reached (the slip prints without them).
+ * @param {Array<Record<string, string>>} dataList - From buildDeliveryInstructionsData
+ * @returns {Promise<Array<{ orderBarcode: string, orderQrCode: string }>>}
+ */
+async function loadDeliveryInstructionsCodes(dataList) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getDeliverySlipCodes', slips: dataList });
+        if (!response || !response.success || !Array.isArray(response.codes)) {
+            throw new Error((response && response.error) || 'No response from background');
+        }
+        return response.codes;
+    } catch (e) {
+        console.error('[GBV Extension] Failed to generate slip barcodes:', e);
+        return dataList.map(() => ({ orderBarcode: '', orderQrCode: '' }));
+    }
+}
+
+/**
+ * Template data plus barcode images, for the HTML print window.
+ * @param {Array<Object>} orderDataList
+ * @returns {Promise<Array<Record<string, string>>>}
+ */
+async function buildDeliveryInstructionsTemplateData(orderDataList) {
+    const dataList = orderDataList.map(buildDeliveryInstructionsData);
+    const codes = await loadDeliveryInstructionsCodes(dataList);
+    return dataList.map((data, index) => ({ ...data, ...codes[index] }));
+}
+
 /**
  * @param {string} template
  * @param {Record<string, string>} data
@@ -43,8 +130,7 @@ function fillDeliveryInstructionsTemplate(template, data, printCssText) {
     let html = template;
     const css = printCssText == null ? '' : String(printCssText);
     html = html.replace(/\{\{PRINT_CSS\}\}/g, css);
-    const keys = ['orderId', 'recipient', 'buyerPhone', 'quantity', 'sku', 'deliveryInstructions'];
-    for (const key of keys) {
+    for (const key of Object.keys(data)) {
         const val = data[key] != null ? escapeHtmlForPrint(data[key]) : '';
         const re = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
         html = html.replace(re, val);
@@ -53,40 +139,125 @@ function fillDeliveryInstructionsTemplate(template, data, printCssText) {
 }
 
 /**
- * Print delivery instructions in 4x6 format (async: loads template from extension package)
+ * Load template + print CSS via background: page CSP on app.veeqo.com often blocks
+ * fetch() to chrome-extension:// from the content script.
+ * @returns {Promise<{ html: string, css: string }|null>} null after notifying the user
+ */
+async function loadDeliveryInstructionsTemplate() {
+    try {
+        const msg = await chrome.runtime.sendMessage({ action: 'getDeliveryInstructionsTemplate' });
+        if (!msg || !msg.success || typeof msg.html !== 'string' || typeof msg.css !== 'string') {
+            throw new Error((msg && msg.error) || 'No template');
+        }
+        return { html: msg.html, css: msg.css };
+    } catch (e) {
+        console.error('Failed to load delivery-instructions.html:', e);
+        showSimpleNotification('❌ Could not load print template.');
+        return null;
+    }
+}
+
+/**
+ * Render the slips as a 4x6 PDF in the background and save it to Downloads.
+ * @param {Array<Object>} orderDataList
+ * @param {string} filename
+ * @returns {Promise<boolean>}
+ */
+async function saveDeliveryInstructionsPdf(orderDataList, filename) {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'generateDeliverySlipsPdf',
+            slips: orderDataList.map(buildDeliveryInstructionsData),
+            filename,
+            download: true,
+        });
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'No response from background');
+        }
+        showSimpleNotification(`📄 Saved ${response.filename} to Downloads — open it to print.`);
+        return true;
+    } catch (e) {
+        console.error('Failed to generate delivery-instructions PDF:', e);
+        showSimpleNotification(`❌ Could not create delivery note PDF: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * Open the print window when Print Note output is 'window'; null in PDF mode.
+ * Call directly from the click handler, before any await.
+ * @returns {Window|null}
+ */
+function openDeliveryInstructionsWindowIfNeeded() {
+    return printNoteOutput === 'window' ? openDeliveryInstructionsWindow() : null;
+}
+
+/**
+ * @returns {Window|null}
+ */
+function openDeliveryInstructionsWindow() {
+    const printWindow = window.open('', '_blank', 'width=600,height=400');
+    if (!printWindow) {
+        console.error('Failed to open print window');
+        showSimpleNotification('❌ Failed to open print window. Please check popup blocker settings.');
+    }
+    return printWindow;
+}
+
+/**
+ * Fill the template once per order and combine the bodies into one document,
+ * one 4x6 page per order (page rules: .delivery-instructions__page in the print CSS).
+ * @param {string} template
+ * @param {Array<Record<string, string>>} dataList
+ * @param {string} printCssText
+ * @returns {string}
+ */
+function buildBatchDeliveryInstructionsHtml(template, dataList, printCssText) {
+    const parser = new DOMParser();
+    let head = '';
+    const pages = dataList.map((data) => {
+        const doc = parser.parseFromString(
+            fillDeliveryInstructionsTemplate(template, data, printCssText),
+            'text/html'
+        );
+        doc.querySelectorAll('.no-print').forEach((el) => el.remove());
+        if (!head) {
+            doc.title = `Delivery Instructions - ${dataList.length} orders`;
+            head = doc.head.innerHTML;
+        }
+        return `<section class="delivery-instructions__page">${doc.body.innerHTML}</section>`;
+    });
+    return `<!DOCTYPE html><html lang="en"><head>${head}</head>` +
+        `<body class="delivery-instructions--batch">${pages.join('\n')}</body></html>`;
+}
+
+/**
+ * Print delivery instructions in 4x6 format: a PDF saved to Downloads, or the
+ * HTML template in a print window (async: loads template from extension package)
  * @param {Object} orderData
  * @returns {Promise<void>}
  */
 async function printDeliveryInstructions(orderData) {
     console.log('[GBV Extension] Printing delivery instructions for order:', orderData.sales_record_number);
 
-    const printWindow = window.open('', '_blank', 'width=600,height=400');
+    if (printNoteOutput !== 'window') {
+        await saveDeliveryInstructionsPdf([orderData], `Delivery_Note_${orderData.sales_record_number}.pdf`);
+        return;
+    }
+
+    const printWindow = openDeliveryInstructionsWindow();
     if (!printWindow) {
-        console.error('Failed to open print window');
-        showSimpleNotification('❌ Failed to open print window. Please check popup blocker settings.');
         return;
     }
 
-    // Load template via background: page CSP on app.veeqo.com often blocks
-    // fetch() to chrome-extension:// from the content script.
-    let html;
-    let printCss;
-    try {
-        const msg = await chrome.runtime.sendMessage({ action: 'getDeliveryInstructionsTemplate' });
-        if (!msg || !msg.success || typeof msg.html !== 'string' || typeof msg.css !== 'string') {
-            throw new Error((msg && msg.error) || 'No template');
-        }
-        html = msg.html;
-        printCss = msg.css;
-    } catch (e) {
-        console.error('Failed to load delivery-instructions.html:', e);
-        showSimpleNotification('❌ Could not load print template.');
+    const template = await loadDeliveryInstructionsTemplate();
+    if (!template) {
         printWindow.close();
         return;
     }
 
-    const data = buildDeliveryInstructionsData(orderData);
-    html = fillDeliveryInstructionsTemplate(html, data, printCss);
+    const [data] = await buildDeliveryInstructionsTemplateData([orderData]);
+    const html = fillDeliveryInstructionsTemplate(template.html, data, template.css);
 
     printWindow.document.open();
     printWindow.document.write(html);
@@ -98,3 +269,51 @@ async function printDeliveryInstructions(orderData) {
 
     showSimpleNotification(`✅ Delivery instructions for order ${orderData.sales_record_number} opened for printing`);
 }
+
+/**
+ * Print delivery instructions for several orders as one multi-page 4x6 document
+ * (one PDF, or one window and one print dialog).
+ * @param {Array<Object>} orderDataList
+ * @param {Window|null} [printWindow] opened by the caller during the click, before any await,
+ *   so popup blockers allow it (see openDeliveryInstructionsWindowIfNeeded)
+ * @returns {Promise<void>}
+ */
+async function printDeliveryInstructionsBatch(orderDataList, printWindow = null) {
+    console.log(`[GBV Extension] Printing delivery instructions for ${orderDataList.length} orders`);
+
+    if (printNoteOutput !== 'window') {
+        if (printWindow) printWindow.close();
+        if (orderDataList.length === 0) return;
+        const date = new Date().toISOString().slice(0, 10);
+        await saveDeliveryInstructionsPdf(orderDataList, `Delivery_Notes_${orderDataList.length}_${date}.pdf`);
+        return;
+    }
+
+    const targetWindow = printWindow || openDeliveryInstructionsWindow();
+    if (!targetWindow) {
+        return;
+    }
+    if (orderDataList.length === 0) {
+        targetWindow.close();
+        return;
+    }
+
+    const template = await loadDeliveryInstructionsTemplate();
+    if (!template) {
+        targetWindow.close();
+        return;
+    }
+
+    const dataList = await buildDeliveryInstructionsTemplateData(orderDataList);
+    const html = buildBatchDeliveryInstructionsHtml(template.html, dataList, template.css);
+
+    targetWindow.document.open();
+    targetWindow.document.write(html);
+    targetWindow.document.close();
+
+    setTimeout(() => {
+        targetWindow.print();
+    }, 500);
+
+    showSimpleNotification(`✅ Delivery instructions for ${orderDataList.length} orders opened for printing`);
+}
@@ -0,0 +1,549 @@
+/**
+ * Order report import for "Load AMZ Note": CSV/TSV parsing (quoted fields,
+ * auto-detected delimiter), case-insensitive header matching with remembered
+ * column mappings, and the preview dialog shown before any note is written.
+ * Styles: css/veeqo/order-report-import.css
+ */
+
+/** Header aliases per field, tried in order; user choices are saved in front (chrome.storage.sync). */
+const ORDER_REPORT_COLUMNS_KEY = 'orderReportColumns';
+const DEFAULT_ORDER_REPORT_COLUMNS = {
+    orderId: ['order-id', 'amazon-order-id', 'order id', 'order number', 'sales record number', 'order'],
+    deliveryInstructions: [
+        'delivery-instructions',
+        'delivery instructions',
+        'customer note',
+        'buyer note',
+        'delivery notes',
+        'notes',
+        'note',
+    ],
+};
+const MAX_REMEMBERED_COLUMNS = 10;
+
+/**
+ * "Delivery-Instructions", "delivery_instructions" and "Delivery Instructions" all match.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeReportHeader(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Tab, comma or semicolon — whichever occurs most in the header line.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectReportDelimiter(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = ['\t', ',', ';'].map((d) => ({ d, n: headerLine.split(d).length - 1 }));
+    counts.sort((a, b) => b.n - a.n);
+    return counts[0].n > 0 ? counts[0].d : '\t';
+}
+
+/**
+ * RFC 4180-style parsing: quoted fields may contain the delimiter, newlines and "" escapes.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * @param {string} text file content
+ * @param {string} fileName
+ * @returns {{ fileName: string, headers: string[], rows: string[][] }}
+ */
+function parseOrderReport(text, fileName) {
+    const content = String(text).replace(/^\uFEFF/, '');
+    const rows = parseDelimitedText(content, detectReportDelimiter(content))
+        .filter((row) => row.some((cell) => cell.trim() !== ''));
+    if (rows.length < 2) {
+        throw new Error(`${fileName}: no header or data rows found`);
+    }
+    return { fileName, headers: rows[0].map((h) => h.trim()), rows: rows.slice(1) };
+}
+
+/**
+ * @returns {Promise<{ orderId: string[], deliveryInstructions: string[] }>}
+ */
+async function loadOrderReportColumns() {
+    let stored = {};
+    try {
+        const result = await chrome.storage.sync.get([ORDER_REPORT_COLUMNS_KEY]);
+        stored = result[ORDER_REPORT_COLUMNS_KEY] || {};
+    } catch (error) {
+        console.log('Error loading report column mappings, using defaults:', error.message);
+    }
+    const merge = (key) => [...new Set([...(stored[key] || []), ...DEFAULT_ORDER_REPORT_COLUMNS[key]])];
+    return { orderId: merge('orderId'), deliveryInstructions: merge('deliveryInstructions') };
+}
+
+/**
+ * Put the confirmed columns first so the next import of the same report detects them.
+ * @param {{ orderId: string, deliveryInstructions: string }} mapping
+ * @returns {Promise<void>}
+ */
+async function rememberOrderReportColumns(mapping) {
+    try {
+        const result = await chrome.storage.sync.get([ORDER_REPORT_COLUMNS_KEY]);
+        const stored = result[ORDER_REPORT_COLUMNS_KEY] || {};
+        const next = {};
+        for (const key of ['orderId', 'deliveryInstructions']) {
+            next[key] = [mapping[key], ...(stored[key] || []).filter((h) => h !== mapping[key])]
+                .slice(0, MAX_REMEMBERED_COLUMNS);
+        }
+        await chrome.storage.sync.set({ [ORDER_REPORT_COLUMNS_KEY]: next });
+    } catch (error) {
+        console.log('Error saving report column mapping:', error.message);
+    }
+}
+
+/**
+ * First header (in alias order) present in any of the reports.
+ * @param {Array<{ headers: string[] }>} reports
+ * @param {string[]} aliases
+ * @returns {string|null}
+ */
+function detectReportColumn(reports, aliases) {
+    for (const alias of aliases) {
+        const wanted = normalizeReportHeader(alias);
+        for (const report of reports) {
+            const header = report.headers.find((h) => normalizeReportHeader(h) === wanted);
+            if (header) return header;
+        }
+    }
+    return null;
+}
+
+/**
+ * Column index of `field` in one report: the mapped header when the report has it,
+ * else the first alias it has (files from different channels use different headers).
+ * @param {{ headers: string[] }} report
+ * @param {string|null} header
+ * @param {string[]} aliases
+ * @returns {number} -1 when not found
+ */
+function findReportColumnIndex(report, header, aliases) {
+    const normalized = report.headers.map(normalizeReportHeader);
+    const mapped = header ? normalized.indexOf(normalizeReportHeader(header)) : -1;
+    if (mapped !== -1) return mapped;
+    const detected = detectReportColumn([report], aliases);
+    return detected ? report.headers.indexOf(detected) : -1;
+}
+
+/**
+ * Orders from every report, one entry per order id (reports list a row per item).
+ * A later non-empty note for the same order replaces an earlier one.
+ * @param {Array<{ fileName: string, headers: string[], rows: string[][] }>} reports
+ * @param {{ orderId: string|null, deliveryInstructions: string|null }} mapping
+ * @param {{ orderId: string[], deliveryInstructions: string[] }} [aliases] fallback per file
+ * @returns {{ orders: Array<{ orderId: string, deliveryInstructions: string }>, filesMissingColumns: string[] }}
+ */
+function extractReportOrders(reports, mapping, aliases = DEFAULT_ORDER_REPORT_COLUMNS) {
+    const byId = new Map();
+    const filesMissingColumns = [];
+    for (const report of reports) {
+        const idIndex = findReportColumnIndex(report, mapping.orderId, aliases.orderId);
+        const noteIndex = findReportColumnIndex(report, mapping.deliveryInstructions, aliases.deliveryInstructions);
+        if (idIndex === -1 || noteIndex === -1) {
+            filesMissingColumns.push(report.fileName);
+            continue;
+        }
+        for (const row of report.rows) {
+            const orderId = (row[idIndex] || '').trim();
+            const note = (row[noteIndex] || '').trim();
+            if (!orderId) continue;
+            if (note || !byId.has(orderId)) {
+                byId.set(orderId, { orderId, deliveryInstructions: note });
+            }
+        }
+    }
+    return { orders: [...byId.values()], filesMissingColumns };
+}
+
+/**
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function createImportElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text != null) el.textContent = text;
+    return el;
+}
+
+/**
+ * add when the Veeqo order has no note, skip when it already has this exact note, else overwrite.
+ * @param {string} currentNote
+ * @param {string} incomingNote
+ * @returns {'add'|'overwrite'|'skip'}
+ */
+function noteImportAction(currentNote, incomingNote) {
+    const current = (currentNote || '').trim();
+    if (!current) return 'add';
+    return current === incomingNote.trim() ? 'skip' : 'overwrite';
+}
+
+const NOTE_IMPORT_ACTION_LABELS = { add: 'Add', overwrite: 'Overwrite', skip: 'Skip (same note)' };
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Save the import result log as CSV (one line per report order, including skipped ones).
+ * @param {Array<{ orderId: string, veeqoOrderId: string, action: string, currentNote: string, incomingNote: string, result: string, error: string }>} entries
+ */
+function downloadNoteImportLog(entries) {
+    const header = ['Order', 'Veeqo order id', 'Action', 'Current note', 'Incoming note', 'Result', 'Error'];
+    const lines = [header, ...entries.map((e) => [
+        e.orderId,
+        e.veeqoOrderId,
+        e.action,
+        e.currentNote,
+        e.incomingNote,
+        e.result,
+        e.error,
+    ])].map((row) => row.map(csvCell).join(','));
+    const blob = new Blob([`${lines.join('\r\n')}\r\n`], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    link.href = url;
+    link.download = `order-notes-import-${stamp}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Modal review of an import: pick columns, see each order's current and incoming
+ * note with the action (add / overwrite / skip), deselect rows, then apply with a
+ * progress bar. Nothing is written before "Apply"; the result log can be
+ * downloaded once the writes finish.
+ * @param {Object} options
+ * @param {Array<{ fileName: string, headers: string[], rows: string[][] }>} options.reports
+ * @param {{ orderId: string|null, deliveryInstructions: string|null }} options.mapping auto-detected columns
+ * @param {{ orderId: string[], deliveryInstructions: string[] }} options.aliases for files without the chosen column
+ * @param {(orders: Array<Object>) => { matched: Array<{ orderId: string, deliveryInstructions: string, veeqoOrder: Object, currentNote: string }>, unmatched: Array<{ orderId: string, deliveryInstructions: string }> }} options.match
+ * @param {(row: { orderId: string, deliveryInstructions: string, veeqoOrder: Object }) => Promise<{ success: boolean, error?: string }>} options.applyChange
+ *   writes one note; called in order for each selected row
+ * @returns {Promise<{ mapping: { orderId: string, deliveryInstructions: string }, updated: number, failed: number }|null>}
+ *   null when cancelled before applying
+ */
+function showOrderReportPreview({ reports, mapping, aliases, match, applyChange }) {
+    return new Promise((resolve) => {
+        const current = { ...mapping };
+        let rows = [];
+        let unmatched = [];
+        let applying = false;
+        /** Set once the changes are written; Escape then closes like the Close button */
+        let applied = null;
+
+        const overlay = createImportElement('div', 'gbv-import-overlay');
+        const dialog = createImportElement('div', 'gbv-import-dialog');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        overlay.appendChild(dialog);
+
+        dialog.appendChild(createImportElement('h2', 'gbv-import-title', 'Import order notes'));
+        dialog.appendChild(createImportElement(
+            'div',
+            'gbv-import-files',
+            reports.map((r) => `${r.fileName} (${r.rows.length} rows)`).join(' · ')
+        ));
+
+        // Column pickers: union of all files' headers, deduplicated by normalized name
+        const headerOptions = [];
+        const seenHeaders = new Set();
+        reports.forEach((r) => r.headers.forEach((h) => {
+            const key = normalizeReportHeader(h);
+            if (key && !seenHeaders.has(key)) {
+                seenHeaders.add(key);
+                headerOptions.push(h);
+            }
+        }));
+
+        const columns = createImportElement('div', 'gbv-import-columns');
+        const columnSelects = [];
+        const addColumnSelect = (key, labelText) => {
+            const label = createImportElement('label', null, labelText);
+            const select = document.createElement('select');
+            select.appendChild(createImportElement('option', null, '— choose column —'));
+            select.options[0].value = '';
+            headerOptions.forEach((h) => {
+                const option = createImportElement('option', null, h);
+                option.value = h;
+                select.appendChild(option);
+            });
+            select.value = current[key] || '';
+            select.addEventListener('change', () => {
+                current[key] = select.value || null;
+                render();
+            });
+            label.appendChild(select);
+            columns.appendChild(label);
+            columnSelects.push(select);
+        };
+        addColumnSelect('orderId', 'Order number column');
+        addColumnSelect('deliveryInstructions', 'Delivery instructions column');
+        dialog.appendChild(columns);
+
+        const progressRow = createImportElement('div', 'gbv-import-progress');
+        const progressBar = document.createElement('progress');
+        const progressText = createImportElement('span');
+        progressRow.append(progressBar, progressText);
+        progressRow.hidden = true;
+        dialog.appendChild(progressRow);
+
+        const body = createImportElement('div', 'gbv-import-body');
+        dialog.appendChild(body);
+
+        const footer = createImportElement('div', 'gbv-import-footer');
+        const cancelButton = createImportElement('button', 'gbv-import-cancel', 'Cancel');
+        const logButton = createImportElement('button', 'gbv-import-cancel', 'Download log');
+        const confirmButton = createImportElement('button', 'gbv-import-confirm');
+        [cancelButton, logButton, confirmButton].forEach((b) => { b.type = 'button'; });
+        logButton.hidden = true;
+        footer.append(cancelButton, logButton, confirmButton);
+        dialog.appendChild(footer);
+
+        const close = (result) => {
+            document.removeEventListener('keydown', onKeyDown, true);
+            overlay.remove();
+            resolve(result);
+        };
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape' && !applying) close(applied);
+        };
+
+        const selectedRows = () => rows.filter((r) => r.selected);
+        const updateConfirm = () => {
+            const count = selectedRows().length;
+            confirmButton.textContent = `Apply ${count} change${count === 1 ? '' : 's'}`;
+            confirmButton.disabled = count === 0;
+        };
+
+        function renderReviewTable() {
+            body.appendChild(createImportElement('h3', null, `Review (${rows.length})`));
+            if (rows.length === 0) return;
+            const table = createImportElement('table', 'gbv-import-table');
+            const head = table.createTHead().insertRow();
+            const selectAll = document.createElement('input');
+            selectAll.type = 'checkbox';
+            selectAll.title = 'Select all adds and overwrites';
+            const selectable = rows.filter((r) => r.action !== 'skip');
+            selectAll.checked = selectable.length > 0 && selectable.every((r) => r.selected);
+            selectAll.disabled = selectable.length === 0;
+            const selectAllCell = createImportElement('th');
+            selectAllCell.appendChild(selectAll);
+            head.appendChild(selectAllCell);
+            ['Order', 'Veeqo order', 'Current note', 'Incoming note', 'Action', 'Result']
+                .forEach((title) => head.appendChild(createImportElement('th', null, title)));
+
+            const tbody = table.createTBody();
+            const rowCheckboxes = [];
+            rows.forEach((row) => {
+                const tr = tbody.insertRow();
+                tr.className = `gbv-import-row--${row.action}`;
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = row.selected;
+                checkbox.disabled = row.action === 'skip';
+                checkbox.addEventListener('change', () => {
+                    row.selected = checkbox.checked;
+                    selectAll.checked = selectable.every((r) => r.selected);
+                    updateConfirm();
+                });
+                rowCheckboxes.push(checkbox);
+                const checkCell = tr.insertCell();
+                checkCell.appendChild(checkbox);
+                tr.appendChild(createImportElement('td', null, row.orderId));
+                tr.appendChild(createImportElement('td', null, String(row.veeqoOrder.number || row.veeqoOrder.id)));
+                tr.appendChild(createImportElement('td', 'gbv-import-current', row.currentNote || '—'));
+                tr.appendChild(createImportElement('td', null, row.deliveryInstructions));
+                tr.appendChild(createImportElement('td', 'gbv-import-action', NOTE_IMPORT_ACTION_LABELS[row.action]));
+                row.resultCell = createImportElement('td', 'gbv-import-result');
+                tr.appendChild(row.resultCell);
+                row.checkbox = checkbox;
+            });
+            selectAll.addEventListener('change', () => {
+                selectable.forEach((r) => {
+                    r.selected = selectAll.checked;
+                    r.checkbox.checked = selectAll.checked;
+                });
+                updateConfirm();
+            });
+            body.appendChild(table);
+        }
+
+        function render() {
+            body.replaceChildren();
+            const { orders, filesMissingColumns } = extractReportOrders(reports, current, aliases);
+            const withNotes = orders.filter((o) => o.deliveryInstructions);
+            const result = match(withNotes);
+            unmatched = result.unmatched;
+            rows = result.matched.map((m) => {
+                const action = noteImportAction(m.currentNote, m.deliveryInstructions);
+                return { ...m, action, selected: action !== 'skip', result: '', error: '' };
+            });
+            const count = (action) => rows.filter((r) => r.action === action).length;
+
+            if (filesMissingColumns.length > 0) {
+                body.appendChild(createImportElement(
+                    'div',
+                    'gbv-import-warning',
+                    `Columns not found in: ${filesMissingColumns.join(', ')}`
+                ));
+            }
+            body.appendChild(createImportElement(
+                'div',
+                'gbv-import-summary',
+                `${orders.length} orders · ${count('add')} add · ${count('overwrite')} overwrite · ` +
+                `${count('skip')} unchanged · ${unmatched.length} not in Veeqo · ` +
+                `${orders.length - withNotes.length} without instructions`
+            ));
+            renderReviewTable();
+
+            body.appendChild(createImportElement('h3', null, `No awaiting-fulfillment Veeqo order (${unmatched.length})`));
+            if (unmatched.length > 0) {
+                const table = createImportElement('table', 'gbv-import-table');
+                const head = table.createTHead().insertRow();
+                ['Order', 'Delivery instructions'].forEach((title) => head.appendChild(createImportElement('th', null, title)));
+                const tbody = table.createTBody();
+                unmatched.forEach((u) => {
+                    const tr = tbody.insertRow();
+                    tr.appendChild(createImportElement('td', null, u.orderId));
+                    tr.appendChild(createImportElement('td', null, u.deliveryInstructions));
+                });
+                body.appendChild(table);
+            }
+            updateConfirm();
+        }
+
+        /** One log line per report order: written, failed, deselected, unchanged or unmatched. */
+        const logEntries = () => [
+            ...rows.map((r) => ({
+                orderId: r.orderId,
+                veeqoOrderId: String(r.veeqoOrder.id),
+                action: r.action,
+                currentNote: r.currentNote,
+                incomingNote: r.deliveryInstructions,
+                result: r.result || (r.action === 'skip' ? 'unchanged' : 'not selected'),
+                error: r.error,
+            })),
+            ...unmatched.map((u) => ({
+                orderId: u.orderId,
+                veeqoOrderId: '',
+                action: 'none',
+                currentNote: '',
+                incomingNote: u.deliveryInstructions,
+                result: 'no Veeqo order',
+                error: '',
+            })),
+        ];
+
+        async function applySelected() {
+            const toApply = selectedRows();
+            applying = true;
+            columnSelects.forEach((select) => { select.disabled = true; });
+            rows.forEach((r) => { r.checkbox.disabled = true; });
+            body.querySelectorAll('thead input').forEach((input) => { input.disabled = true; });
+            cancelButton.hidden = true;
+            confirmButton.disabled = true;
+            progressRow.hidden = false;
+            progressBar.max = toApply.length;
+
+            let updated = 0;
+            let failed = 0;
+            for (let i = 0; i < toApply.length; i++) {
+                const row = toApply[i];
+                progressBar.value = i;
+                progressText.textContent = `Writing ${i + 1} of ${toApply.length} (order ${row.orderId})…`;
+                row.resultCell.textContent = '…';
+                try {
+                    const outcome = await applyChange(row);
+                    if (outcome && outcome.success) {
+                        row.result = 'updated';
+                        updated++;
+                    } else {
+                        row.result = 'failed';
+                        row.error = (outcome && outcome.error) || 'Unknown error';
+                        failed++;
+                    }
+                } catch (error) {
+                    row.result = 'failed';
+                    row.error = error.message;
+                    failed++;
+                }
+                row.resultCell.textContent = row.result === 'updated' ? '✅' : `❌ ${row.error}`;
+            }
+
+            progressBar.value = toApply.length;
+            progressText.textContent = `Done: ${updated} updated, ${failed} failed.`;
+            applying = false;
+            logButton.hidden = false;
+            confirmButton.textContent = 'Close';
+            confirmButton.disabled = false;
+            applied = { mapping: { ...current }, updated, failed };
+            confirmButton.onclick = () => close(applied);
+            confirmButton.focus();
+        }
+
+        cancelButton.addEventListener('click', () => close(null));
+        logButton.addEventListener('click', () => downloadNoteImportLog(logEntries()));
+        confirmButton.onclick = () => applySelected();
+        document.addEventListener('keydown', onKeyDown, true);
+
+        render();
+        document.body.appendChild(overlay);
+        confirmButton.focus();
+    });
+}
@@ -0,0 +1,267 @@
+/**
+ * "Rates" column on the allocations table: Veeqo's quoted rate next to the USPS
+ * E-price (the E-Price note tag written by the USPS page, see content/shared/note-tags.js)
+ * and the savings of buying on USPS. Filled by "Fill Order Data"; the header sorts by savings.
+ * Split orders are compared as a whole: every allocation row shows the sum of Veeqo's
+ * rates against the E-Price total.
+ * Styles: css/veeqo/usps-button.css
+ */
+
+/** Savings within a cent count as the same price. */
+const RATE_SAME_THRESHOLD = 0.01;
+const RATE_SORT_ORDERS = ['none', 'desc', 'asc'];
+/** <style> holding the sort's row offsets; the rows React renders are never moved */
+const RATE_SORT_STYLE_ID = 'gbv-rate-sort-style';
+
+/** E-prices by order number from the last "Fill Order Data"; re-applied when Veeqo re-renders rows. */
+let rateComparisonEPrices = null;
+let rateComparisonSort = 'none';
+
+/**
+ * "$12.34", "USD 12.34" or "12,34" → 12.34; "$1,234.50" → 1234.5
+ * @param {string|number|null|undefined} text
+ * @returns {number|null}
+ */
+function parseRateAmount(text) {
+    if (typeof text === 'number') {
+        return isFinite(text) ? text : null;
+    }
+    const normalized = String(text || '').replace(/,(?=\d{3}\b)/g, '').replace(',', '.');
+    const match = normalized.match(/\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * @param {number|null} veeqoRate
+ * @param {number|null} ePrice
+ * @returns {{ savings: number|null, cheaper: 'usps'|'veeqo'|'same'|null }}
+ *   savings > 0 when USPS is cheaper
+ */
+function compareRates(veeqoRate, ePrice) {
+    if (veeqoRate == null || ePrice == null) {
+        return { savings: null, cheaper: null };
+    }
+    const savings = Math.round((veeqoRate - ePrice) * 100) / 100;
+    if (Math.abs(savings) < RATE_SAME_THRESHOLD) {
+        return { savings: 0, cheaper: 'same' };
+    }
+    return { savings, cheaper: savings > 0 ? 'usps' : 'veeqo' };
+}
+
+/**
+ * @param {number|null} amount
+ * @returns {string}
+ */
+function formatRateAmount(amount) {
+    return amount == null ? '—' : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * @param {HTMLTableElement} table
+ * @returns {HTMLTableRowElement|null}
+ */
+function findAllocationsHeaderRow(table) {
+    return table.querySelector('thead tr') ||
+        Array.from(table.querySelectorAll('tr')).find((row) => row.querySelector('th[role="columnheader"]')) ||
+        null;
+}
+
+/**
+ * Veeqo's rate for the whole order: split orders have one row (and one quoted rate)
+ * per allocation while their E-Price tag is the total of all their USPS labels.
+ * @param {HTMLTableRowElement[]} rows - The order's rows
+ * @returns {number|null} Null when any row has no rate yet
+ */
+function veeqoRateForOrder(rows) {
+    let total = 0;
+    for (const row of rows) {
+        const rate = parseRateAmount(extractVeeqoShippingRateFromRow(row));
+        if (rate == null) return null;
+        total += rate;
+    }
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * @param {number|null} veeqoRate - Order total, see veeqoRateForOrder
+ * @param {number|null} ePrice
+ * @param {number} allocationCount - The order's rows on the table
+ * @returns {HTMLTableCellElement}
+ */
+function createRateComparisonCell(veeqoRate, ePrice, allocationCount) {
+    const { savings, cheaper } = compareRates(veeqoRate, ePrice);
+
+    const cell = document.createElement('td');
+    cell.className = `gbv-rate-cell gbv-rate-cell--${cheaper || 'unknown'}`;
+    cell.dataset.savings = savings == null ? '' : String(savings);
+
+    if (allocationCount > 1) {
+        cell.classList.add('gbv-rate-cell--split');
+        cell.title = `Split order: Veeqo's rates for all ${allocationCount} allocations vs the E-price total of their USPS labels`;
+        const scope = document.createElement('div');
+        scope.className = 'gbv-rate-scope';
+        scope.textContent = `Order total · ${allocationCount} allocations`;
+        cell.appendChild(scope);
+    }
+
+    const rates = document.createElement('div');
+    rates.textContent = `Veeqo ${formatRateAmount(veeqoRate)} · USPS ${formatRateAmount(ePrice)}`;
+    const verdict = document.createElement('div');
+    verdict.className = 'gbv-rate-savings';
+    if (cheaper === 'usps') {
+        verdict.textContent = `USPS saves ${formatRateAmount(savings)}`;
+    } else if (cheaper === 'veeqo') {
+        verdict.textContent = `Veeqo saves ${formatRateAmount(-savings)}`;
+    } else if (cheaper === 'same') {
+        verdict.textContent = 'Same price';
+    } else {
+        verdict.textContent = ePrice == null ? 'No E-price yet' : 'No Veeqo rate';
+    }
+    cell.append(rates, verdict);
+    return cell;
+}
+
+/**
+ * Sort key: rows without both rates always go last.
+ * @param {HTMLTableRowElement} row
+ * @returns {number|null}
+ */
+function rowRateSavings(row) {
+    const value = row.querySelector('.gbv-rate-cell')?.dataset.savings;
+    return value ? parseFloat(value) : null;
+}
+
+/**
+ * CSS that shifts each row (translateY) to its place in the savings order. Rows are
+ * matched with :nth-child, so nothing is written to the React-owned rows themselves.
+ * @param {HTMLTableElement} table
+ * @returns {string}
+ */
+function rateComparisonSortCss(table) {
+    const tbody = table.querySelector('tbody');
+    if (!tbody || !table.id || rateComparisonSort === 'none') return '';
+    const children = Array.from(tbody.children);
+    const rows = children.filter((row) => row.querySelector('.gbv-rate-cell'));
+    if (rows.length < 2) return '';
+
+    // Array sort is stable, so equal savings keep Veeqo's order
+    const sorted = rows.slice().sort((a, b) => {
+        const sa = rowRateSavings(a);
+        const sb = rowRateSavings(b);
+        if (sa == null || sb == null) return (sa == null) - (sb == null);
+        return rateComparisonSort === 'desc' ? sb - sa : sa - sb;
+    });
+    // offsetTop/offsetHeight are layout positions, unaffected by the transforms applied here
+    let top = rows[0].offsetTop;
+    const rules = [];
+    sorted.forEach((row) => {
+        const shift = top - row.offsetTop;
+        if (shift !== 0) {
+            rules.push(`#${CSS.escape(table.id)} > tbody > tr:nth-child(${children.indexOf(row) + 1}) ` +
+                `{ transform: translateY(${shift}px); }`);
+        }
+        top += row.offsetHeight;
+    });
+    return rules.join('\n');
+}
+
+/**
+ * Show the body rows in savings order; 'none' shows Veeqo's order. The order is
+ * visual only (keyboard order stays Veeqo's), so Veeqo's React table keeps its
+ * own DOM; re-applied whenever the column is refreshed, as row heights can change.
+ * @param {HTMLTableElement} table
+ */
+function applyRateComparisonSort(table) {
+    let style = document.getElementById(RATE_SORT_STYLE_ID);
+    if (!style) {
+        style = document.createElement('style');
+        style.id = RATE_SORT_STYLE_ID;
+        document.head.appendChild(style);
+    }
+    const css = rateComparisonSortCss(table);
+    if (style.textContent !== css) {
+        style.textContent = css;
+    }
+
+    const header = table.querySelector('.gbv-rate-header');
+    if (header) {
+        header.dataset.sort = rateComparisonSort;
+        header.setAttribute('aria-sort', { none: 'none', desc: 'descending', asc: 'ascending' }[rateComparisonSort]);
+    }
+}
+
+/**
+ * Add (or refresh) the column. Cells go last in each row so the fixed column
+ * positions read elsewhere (rate, quantity, note columns) do not shift.
+ * @param {HTMLTableElement} table
+ * @param {Object<string, number|null>} [ePrices] - By order number; omitted = last known
+ */
+function renderRateComparisonColumn(table, ePrices) {
+    if (ePrices) {
+        rateComparisonEPrices = ePrices;
+    }
+    if (!table || !rateComparisonEPrices) return;
+
+    const headerRow = findAllocationsHeaderRow(table);
+    if (headerRow && !headerRow.querySelector('.gbv-rate-header')) {
+        const header = document.createElement('th');
+        header.className = 'gbv-rate-header';
+        header.textContent = 'Rates';
+        header.title = 'Veeqo rate vs USPS E-price. Click to sort by savings.';
+        header.addEventListener('click', () => {
+            const next = RATE_SORT_ORDERS.indexOf(rateComparisonSort) + 1;
+            rateComparisonSort = RATE_SORT_ORDERS[next % RATE_SORT_ORDERS.length];
+            applyRateComparisonSort(table);
+        });
+        headerRow.appendChild(header);
+    }
+
+    // Split orders have a row per allocation; their rates are compared as a whole order
+    const rowsByOrder = new Map();
+    table.querySelectorAll('tbody tr').forEach((row) => {
+        if (row === headerRow || row.querySelector('th[role="columnheader"]')) return;
+        const orderNumber = extractOrderNumberFromRow(row);
+        if (!orderNumber) return;
+        if (!rowsByOrder.has(orderNumber)) {
+            rowsByOrder.set(orderNumber, []);
+        }
+        rowsByOrder.get(orderNumber).push(row);
+    });
+
+    rowsByOrder.forEach((rows, orderNumber) => {
+        const ePrice = rateComparisonEPrices[orderNumber] ?? null;
+        const veeqoRate = veeqoRateForOrder(rows);
+        const rateKey = `${veeqoRate}|${ePrice}|${rows.length}`;
+        rows.forEach((row) => {
+            const existing = row.querySelector('.gbv-rate-cell');
+            if (existing && existing.dataset.orderNumber === orderNumber && existing.dataset.rateKey === rateKey) {
+                return;
+            }
+            const cell = createRateComparisonCell(veeqoRate, ePrice, rows.length);
+            cell.dataset.orderNumber = orderNumber;
+            cell.dataset.rateKey = rateKey;
+            if (existing) {
+                existing.replaceWith(cell);
+            } else {
+                row.appendChild(cell);
+            }
+        });
+    });
+
+    if (rateComparisonSort !== 'none') {
+        applyRateComparisonSort(table);
+    }
+}
+
+/**
+ * E-prices from the note tags read by displayInternalNotes
+ * @param {Object<string, Object<string, string>>} tagsByOrder
+ * @returns {Object<string, number|null>}
+ */
+function ePricesFromNoteTags(tagsByOrder) {
+    const ePrices = {};
+    for (const [orderNumber, tags] of Object.entries(tagsByOrder)) {
+        ePrices[orderNumber] = parseRateAmount(tags['E-Price']);
+    }
+    return ePrices;
+}
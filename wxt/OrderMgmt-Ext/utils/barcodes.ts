@@ -0,0 +1,373 @@
+/**
+ * Code 128 and QR encoders for delivery slips (no external service). The PDF slips
+ * draw the geometry directly; the Print Note window gets SVG data URIs from the
+ * background (getDeliverySlipCodes), so the content scripts carry no encoder.
+ */
+
+/** Bar/space widths for Code 128 values 0–105. */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232',
+];
+const CODE128_STOP = '2331112';
+const START_B = 104;
+const START_C = 105;
+const SWITCH_B = 100;
+const SWITCH_C = 99;
+
+/**
+ * Module widths, alternating bar and space and starting with a bar (no quiet
+ * zone). Set B, switching to C for runs of 4+ digits; non-ASCII becomes "?".
+ */
+export function code128Widths(text: string): number[] {
+  const chars = text.replace(/[^\x20-\x7e]/g, '?');
+  const digitRunAt = (i: number) => {
+    let n = 0;
+    while (i + n < chars.length && chars[i + n] >= '0' && chars[i + n] <= '9') n++;
+    return n;
+  };
+
+  const values: number[] = [];
+  let set: 'B' | 'C' | null = null;
+  let i = 0;
+  while (i < chars.length) {
+    const run = digitRunAt(i);
+    if (run >= 4 || (set === 'C' && run >= 2)) {
+      if (set !== 'C') {
+        values.push(set === null ? START_C : SWITCH_C);
+        set = 'C';
+      }
+      for (let p = Math.floor(run / 2); p > 0; p--, i += 2) {
+        values.push(Number(chars.slice(i, i + 2)));
+      }
+      continue;
+    }
+    if (set !== 'B') {
+      values.push(set === null ? START_B : SWITCH_B);
+      set = 'B';
+    }
+    values.push(chars.charCodeAt(i) - 32);
+    i++;
+  }
+  if (set === null) values.push(START_B);
+  values.push(values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103);
+
+  return [...values.map((v) => CODE128_PATTERNS[v]).join(''), ...CODE128_STOP].map(Number);
+}
+
+type QrVersion = { ec: number; groups: Array<[count: number, dataCodewords: number]>; align: number[] };
+
+/** Versions 1–10 at error-correction level M. */
+const QR_VERSIONS_M: Array<QrVersion | null> = [
+  null,
+  { ec: 10, groups: [[1, 16]], align: [] },
+  { ec: 16, groups: [[1, 28]], align: [6, 18] },
+  { ec: 26, groups: [[1, 44]], align: [6, 22] },
+  { ec: 18, groups: [[2, 32]], align: [6, 26] },
+  { ec: 24, groups: [[2, 43]], align: [6, 30] },
+  { ec: 16, groups: [[4, 27]], align: [6, 34] },
+  { ec: 18, groups: [[4, 31]], align: [6, 22, 38] },
+  { ec: 22, groups: [[2, 38], [2, 39]], align: [6, 24, 42] },
+  { ec: 22, groups: [[3, 36], [2, 37]], align: [6, 26, 46] },
+  { ec: 26, groups: [[4, 43], [1, 44]], align: [6, 28, 50] },
+];
+const QR_ECL_M_BITS = 0;
+
+function gfMultiply(x: number, y: number): number {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomon(data: number[], degree: number): number[] {
+  const divisor = new Array<number>(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  const result = new Array<number>(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ (result.shift() as number);
+    result.push(0);
+    for (let i = 0; i < degree; i++) result[i] ^= gfMultiply(divisor[i], factor);
+  }
+  return result;
+}
+
+/** Byte-mode (UTF-8) data codewords for the smallest version that fits. */
+function encodeQrData(text: string): { version: number; codewords: number[] } {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  for (let version = 1; version < QR_VERSIONS_M.length; version++) {
+    const info = QR_VERSIONS_M[version] as QrVersion;
+    const capacityBits = info.groups.reduce((n, [count, size]) => n + count * size, 0) * 8;
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 > capacityBits) continue;
+
+    const bits: number[] = [];
+    const append = (value: number, length: number) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4);
+    append(bytes.length, countBits);
+    bytes.forEach((b) => append(b, 8));
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords: number[] = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((v, bit) => (v << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+      codewords.push(pad);
+    }
+    return { version, codewords };
+  }
+  throw new Error('Text too long for QR code');
+}
+
+function interleaveBlocks(info: QrVersion, data: number[]): number[] {
+  const blocks: Array<{ data: number[]; ec: number[] }> = [];
+  let offset = 0;
+  for (const [count, size] of info.groups) {
+    for (let b = 0; b < count; b++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: reedSolomon(block, info.ec) });
+    }
+  }
+
+  const result: number[] = [];
+  const maxData = Math.max(...blocks.map((block) => block.data.length));
+  for (let i = 0; i < maxData; i++) {
+    for (const block of blocks) if (i < block.data.length) result.push(block.data[i]);
+  }
+  for (let i = 0; i < info.ec; i++) {
+    for (const block of blocks) result.push(block.ec[i]);
+  }
+  return result;
+}
+
+function maskBit(mask: number, x: number, y: number): boolean {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+/** ISO/IEC 18004 mask penalty (rules 1–4). */
+function penaltyScore(modules: boolean[][]): number {
+  const size = modules.length;
+  let penalty = 0;
+  const finderLike = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true],
+  ];
+  const at = (x: number, y: number, vertical: boolean) => (vertical ? modules[x][y] : modules[y][x]);
+
+  for (const vertical of [false, true]) {
+    for (let y = 0; y < size; y++) {
+      let runLength = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && at(x, y, vertical) === at(x - 1, y, vertical)) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) penalty += runLength - 2;
+        runLength = 1;
+      }
+      for (let x = 0; x + 11 <= size; x++) {
+        for (const pattern of finderLike) {
+          if (pattern.every((dark, k) => at(x + k, y, vertical) === dark)) penalty += 40;
+        }
+      }
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  return penalty + Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+}
+
+/** QR module matrix, modules[row][column] (true = dark), level M, best mask; no quiet zone. */
+export function qrMatrix(text: string): boolean[][] {
+  const { version, codewords } = encodeQrData(text);
+  const info = QR_VERSIONS_M[version] as QrVersion;
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const setFunction = (x: number, y: number, dark: boolean) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const last = info.align.length - 1;
+  info.align.forEach((cx, i) => {
+    info.align.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormatBits = (mask: number) => {
+    const data = (QR_ECL_M_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i: number) => ((bits >>> i) & 1) !== 0;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  const data = interleaveBlocks(info, codewords);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (isFunction[y][x] || bitIndex >= data.length * 8) continue;
+        modules[y][x] = ((data[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+        bitIndex++;
+      }
+    }
+  }
+
+  const applyMask = (mask: number) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && maskBit(mask, x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = penaltyScore(modules);
+    if (penalty < bestPenalty) {
+      bestPenalty = penalty;
+      bestMask = mask;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+  return modules;
+}
+
+function svgDataUri(svg: string): string {
+  return `data:image/svg+xml;base64,${btoa(svg)}`;
+}
+
+/** Code 128 as an SVG data URI (10-module quiet zone), stretched to the <img> box. */
+export function code128DataUri(text: string, height = 40): string {
+  const quiet = 10;
+  let x = quiet;
+  const bars: string[] = [];
+  code128Widths(text).forEach((w, i) => {
+    if (i % 2 === 0) bars.push(`M${x} 0h${w}v${height}h-${w}z`);
+    x += w;
+  });
+  const width = x + quiet;
+  return svgDataUri(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" ` +
+      `preserveAspectRatio="none" shape-rendering="crispEdges">` +
+      `<rect width="${width}" height="${height}" fill="#fff"/><path d="${bars.join('')}" fill="#000"/></svg>`
+  );
+}
+
+/** QR code as an SVG data URI (level M, 4-module quiet zone). */
+export function qrCodeDataUri(text: string): string {
+  const modules = qrMatrix(text);
+  const quiet = 4;
+  const size = modules.length + quiet * 2;
+  const cells: string[] = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) cells.push(`M${x + quiet} ${y + quiet}h1v1h-1z`);
+    });
+  });
+  return svgDataUri(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+      `<rect width="${size}" height="${size}" fill="#fff"/><path d="${cells.join('')}" fill="#000"/></svg>`
+  );
+}
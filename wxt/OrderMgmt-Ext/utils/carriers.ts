@@ -0,0 +1,143 @@
+/**
+ * Carrier detection for Veeqo shipments (used by the daily labels PDF).
+ * A Veeqo carrier id decides first; otherwise rules are checked in order and
+ * the first match wins, so each shipment belongs to exactly one carrier.
+ */
+
+export type Shipment = Record<string, unknown>;
+
+export type CarrierId = 'amazon' | 'usps' | 'ups' | 'fedex';
+
+export type CarrierRule = {
+  id: CarrierId;
+  label: string;
+  /** Veeqo carrier ids that identify the carrier outright, ahead of every rule's name match */
+  carrierIds?: number[];
+  matches: (shipment: Shipment) => boolean;
+};
+
+/** Veeqo's own carrier id for UPS (see Samples/retrieve_label.py). */
+const UPS_CARRIER_ID = 5;
+
+export function trackingNumberText(shipment: Shipment): string {
+  const tracking = shipment.tracking_number;
+  if (tracking && typeof tracking === 'object') {
+    const tn = (tracking as { tracking_number?: string }).tracking_number;
+    return (tn || '').toUpperCase();
+  }
+  if (typeof tracking === 'string') return tracking.toUpperCase();
+  return '';
+}
+
+/** Carrier/service names Veeqo puts on a shipment, in the order they are most reliable. */
+function carrierNameFields(shipment: Shipment): string[] {
+  const names = [
+    String(shipment.sub_carrier_id || ''),
+    String(shipment.service_carrier_name || ''),
+  ];
+  const carrier = shipment.carrier;
+  if (carrier && typeof carrier === 'object') {
+    const c = carrier as { name?: string; slug?: string };
+    names.push(c.name || '', c.slug || '');
+  } else if (typeof carrier === 'string') {
+    names.push(carrier);
+  }
+  names.push(String(shipment.service_name || ''), String(shipment.short_service_name || ''));
+  return names.filter(Boolean);
+}
+
+/**
+ * Build a rule from Veeqo carrier ids, a name pattern (tested against carrier and
+ * service names) and an optional tracking-number pattern as last resort.
+ */
+export function defineCarrierRule(def: {
+  id: CarrierId;
+  label: string;
+  carrierIds?: number[];
+  namePattern: RegExp;
+  trackingPattern?: RegExp;
+}): CarrierRule {
+  return {
+    id: def.id,
+    label: def.label,
+    carrierIds: def.carrierIds,
+    matches: (shipment) => {
+      if (def.carrierIds?.includes(Number(shipment.carrier_id))) return true;
+      if (carrierNameFields(shipment).some((name) => def.namePattern.test(name))) return true;
+      return !!def.trackingPattern?.test(trackingNumberText(shipment));
+    },
+  };
+}
+
+/**
+ * Amazon goes first among the name rules: Buy Shipping labels carry Amazon as the
+ * carrier even when the service is UPS/USPS. A label with Veeqo's UPS carrier id is
+ * still UPS (see detectShipmentCarrier), as it was before carrier selection existed.
+ * USPS goes before UPS because "usps" contains "ups".
+ */
+export const DEFAULT_CARRIER_RULES: CarrierRule[] = [
+  defineCarrierRule({
+    id: 'amazon',
+    label: 'Amazon Buy Shipping',
+    namePattern: /amazon|buy[\s_-]?shipping/i,
+    trackingPattern: /^TBA\d+/,
+  }),
+  defineCarrierRule({
+    id: 'usps',
+    label: 'USPS',
+    namePattern: /\busps\b|postal service/i,
+    trackingPattern: /^(9[2-5]\d{18,24}|[A-Z]{2}\d{9}US)$/,
+  }),
+  defineCarrierRule({
+    id: 'ups',
+    label: 'UPS',
+    carrierIds: [UPS_CARRIER_ID],
+    namePattern: /\bups\b/i,
+    trackingPattern: /^1Z/,
+  }),
+  defineCarrierRule({
+    id: 'fedex',
+    label: 'FedEx',
+    namePattern: /fed\s?ex/i,
+    trackingPattern: /^(\d{12}|\d{15})$/,
+  }),
+];
+
+export const ALL_CARRIER_IDS: CarrierId[] = DEFAULT_CARRIER_RULES.map((r) => r.id);
+
+/** Carriers used when a caller does not pick any (the original UPS-only behaviour). */
+export const DEFAULT_LABEL_CARRIERS: CarrierId[] = ['ups'];
+
+/** Selector options for the popup (id + display label). */
+export const CARRIER_OPTIONS: Array<{ id: CarrierId; label: string }> =
+  DEFAULT_CARRIER_RULES.map(({ id, label }) => ({ id, label }));
+
+export function detectShipmentCarrier(
+  shipment: Shipment,
+  rules: CarrierRule[] = DEFAULT_CARRIER_RULES
+): CarrierId | null {
+  const carrierId = Number(shipment.carrier_id);
+  const byCarrierId = rules.find((rule) => rule.carrierIds?.includes(carrierId));
+  if (byCarrierId) return byCarrierId.id;
+  for (const rule of rules) {
+    if (rule.matches(shipment)) return rule.id;
+  }
+  return null;
+}
+
+export function carrierLabel(id: CarrierId, rules: CarrierRule[] = DEFAULT_CARRIER_RULES): string {
+  return rules.find((r) => r.id === id)?.label || id.toUpperCase();
+}
+
+/**
+ * "UPS", "UPS + USPS", or "All carriers" — used in messages and file names.
+ * "Shipping" when none is known (reprints of unrecognised carriers).
+ */
+export function describeCarriers(
+  ids: CarrierId[],
+  rules: CarrierRule[] = DEFAULT_CARRIER_RULES
+): string {
+  if (!ids.length) return 'Shipping';
+  if (rules.every((r) => ids.includes(r.id))) return 'All carriers';
+  return ids.map((id) => carrierLabel(id, rules)).join(' + ');
+}
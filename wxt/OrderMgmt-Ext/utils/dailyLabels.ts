@@ -1,12 +1,46 @@
 /**
- * Daily UPS shipping-label retrieval — port of Samples/retrieve_label.py
- * Labels are sorted by buy time (shipment.created_at) and each page is stamped.
+ * Daily shipping-label retrieval — port of Samples/retrieve_label.py
+ * Labels are sorted by buy time (shipment.created_at) and each page is stamped
+ * from the configurable template in utils/labelStamp.ts.
+ * Carrier selection is rule-based (see utils/carriers.ts); UPS is the default.
+ * Optional channel (store) and warehouse filters narrow the stack further.
+ * generateReprintPdf builds the same PDF for a hand-picked list of orders.
+ * A start/end date range yields one PDF with a divider page between days, and an
+ * optional manifest cover page lists every shipment in the batch.
+ * Stamped labels are cached per shipment (utils/labelCache.ts) so re-runs resume.
+ * Downloads run through a bounded-concurrency queue that backs off on 429/5xx.
+ * With includeDeliverySlips, a 4x6 delivery-instructions slip (utils/deliverySlipPdf.ts)
+ * follows each label whose order has a customer note.
  */
-import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { PDFDocument, StandardFonts, degrees, rgb, type PDFFont, type PDFPage } from 'pdf-lib';
+import { fitText, pdfSafeText } from './pdfText';
+import { drawDeliverySlip, embedSlipFonts, type DeliverySlip } from './deliverySlipPdf';
+import type { DeliverySlipPdfLayout } from './deliveryTemplate';
+import {
+  DEFAULT_CARRIER_RULES,
+  DEFAULT_LABEL_CARRIERS,
+  describeCarriers,
+  detectShipmentCarrier,
+  trackingNumberText,
+  type CarrierId,
+  type CarrierRule,
+  type Shipment,
+} from './carriers';
+import { createHttpError, fetchWithRetryInfo, runQueue, type QueueOptions } from './downloadQueue';
+import { getCachedLabel, pruneLabelCache, putCachedLabel } from './labelCache';
+import {
+  DEFAULT_LABEL_STAMP,
+  renderStampText,
+  stampCacheVariant,
+  type LabelStampSettings,
+} from './labelStamp';
 
 const BASE_URL = 'https://api.veeqo.com';
-const UPS_CARRIER_ID = 5;
 const BATCH_SIZE = 50;
+/** Parallel label requests; the queue backs off on 429/5xx so this can stay modest. */
+const DOWNLOAD_CONCURRENCY = 4;
+/** Longest range accepted in one run (keeps the orders scan bounded). */
+const MAX_RANGE_DAYS = 31;
 
 export type DailyLabelsProgress = {
   phase: 'fetching_orders' | 'downloading_labels' | 'merging' | 'done';
@@ -18,28 +52,105 @@ export type DailyLabelsProgress = {
 };
 
 export type DailyLabelsResult = {
+  /** "YYYY-MM-DD", or "YYYY-MM-DD to YYYY-MM-DD" for a range */
   dateStr: string;
+  days: Array<{ dateStr: string; count: number }>;
+  carriers: CarrierId[];
   shipmentIds: number[];
   filename: string;
   /** PDF bytes as base64 (no data: prefix) */
   pdfBase64: string;
+  /** Reprints only: order / tracking numbers that matched no shipment */
+  notFound?: string[];
+  /** Delivery-instruction slips added (includeDeliverySlips) */
+  deliverySlipCount?: number;
 };
 
 export type ShipmentLabelInfo = {
   id: number;
   createdAtMs: number;
+  /** null when no rule matches (possible for hand-picked reprints) */
+  carrier: CarrierId | null;
+  /** Local calendar day the label was bought (YYYY-MM-DD) */
+  dateStr: string;
+  orderNumber: string;
+  trackingNumber: string;
+  serviceName: string;
+  /** Line items on the shipment's allocation (for the stamp's SKU summary / quantity) */
+  items: Array<{ sku: string; quantity: number }>;
+  /** Set when the order has a customer note; printed after the label on request */
+  deliverySlip?: DeliverySlip;
+};
+
+/** Merged label PDF plus how many pages each shipment took (null when a batch could not be split). */
+export type MergedLabels = {
+  pdfBytes: Uint8Array;
+  pageCounts: Array<number | null>;
+};
+
+export type CarrierSelection = {
+  /** Carriers to include; defaults to UPS only. */
+  carriers?: CarrierId[];
+  /** Detection rules; defaults to DEFAULT_CARRIER_RULES. */
+  rules?: CarrierRule[];
+};
+
+export type LabelFilters = {
+  /** Veeqo channel (store) ids to include; empty = every channel. */
+  channelIds?: number[];
+  /** Veeqo warehouse ids to include; empty = every warehouse. */
+  warehouseIds?: number[];
+};
+
+export type LabelFilterOption = { id: number; name: string };
+
+type LineItem = {
+  quantity?: number | null;
+  sellable?: {
+    sku_code?: string | null;
+    product_title?: string | null;
+    title?: string | null;
+  } | null;
+};
+
+type Allocation = {
+  shipment?: Shipment | null;
+  warehouse?: { id?: number | null } | null;
+  line_items?: LineItem[];
 };
 
-type Shipment = Record<string, unknown>;
 type Order = {
-  allocations?: Array<{ shipment?: Shipment | null }>;
+  id?: number | null;
+  number?: string | null;
+  sales_record_number?: string | null;
+  reference?: string | null;
+  created_at?: string | null;
+  channel?: { id?: number | null; name?: string | null } | null;
+  line_items?: LineItem[];
+  allocations?: Allocation[];
+  /** A string, or { text } depending on the channel */
+  customer_note?: string | { text?: string | null } | null;
+  gift_message?: string | null;
+  deliver_to?: {
+    first_name?: string | null;
+    last_name?: string | null;
+    phone?: string | null;
+    address1?: string | null;
+    address2?: string | null;
+    city?: string | null;
+    state?: string | null;
+    zip_code?: string | null;
+    country?: string | null;
+  } | null;
 };
 
-function parseTargetDay(targetDateStr?: string | null): {
+type TargetDay = {
   dateStr: string;
   dayStartMs: number;
   dayEndMs: number;
-} {
+};
+
+function parseTargetDay(targetDateStr?: string | null): TargetDay {
   const now = new Date();
   let year: number;
   let month: number;
@@ -63,6 +174,42 @@ function parseTargetDay(targetDateStr?: string | null): {
   return { dateStr, dayStartMs: dayStart.getTime(), dayEndMs: dayEnd.getTime() };
 }
 
+function localYmd(ms: number): string {
+  const d = new Date(ms);
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  return `${d.getFullYear()}-${m}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** Local calendar days from start to end inclusive (end defaults to start). */
+function parseTargetRange(
+  startDateStr?: string | null,
+  endDateStr?: string | null
+): TargetDay[] {
+  const first = parseTargetDay(startDateStr);
+  const last = endDateStr ? parseTargetDay(endDateStr) : first;
+  if (last.dayStartMs < first.dayStartMs) {
+    throw new Error('End date must be on or after the start date');
+  }
+
+  const days: TargetDay[] = [first];
+  while (days[days.length - 1].dateStr !== last.dateStr) {
+    if (days.length >= MAX_RANGE_DAYS) {
+      throw new Error(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+    }
+    // Next local midnight (Date handles month ends and DST shifts)
+    const d = new Date(days[days.length - 1].dayEndMs);
+    const ymd = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    days.push(parseTargetDay(ymd));
+  }
+  return days;
+}
+
+function describeRange(days: TargetDay[]): string {
+  const first = days[0].dateStr;
+  const last = days[days.length - 1].dateStr;
+  return first === last ? first : `${first} to ${last}`;
+}
+
 function parseApiDatetime(value: unknown): number | null {
   if (!value || typeof value !== 'string') return null;
   const normalized = value.replace('Z', '+00:00');
@@ -70,67 +217,60 @@ function parseApiDatetime(value: unknown): number | null {
   return Number.isNaN(ms) ? null : ms;
 }
 
-/** Local buy-time label stamped onto each PDF page. */
-export function formatBuyTimeLocal(ms: number): string {
-  const d = new Date(ms);
-  const date = d.toLocaleDateString(undefined, {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  });
-  const time = d.toLocaleTimeString(undefined, {
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-  });
-  return `Bought: ${date} ${time}`;
+/** Allocation line items, falling back to the order's when the allocation has none. */
+function shipmentItems(lineItems: LineItem[] | undefined): ShipmentLabelInfo['items'] {
+  return (lineItems || []).map((item) => ({
+    sku: String(item.sellable?.sku_code || ''),
+    quantity: Number(item.quantity) || 0,
+  }));
 }
 
-function trackingNumberText(shipment: Shipment): string {
-  const tracking = shipment.tracking_number;
-  if (tracking && typeof tracking === 'object') {
-    const tn = (tracking as { tracking_number?: string }).tracking_number;
-    return (tn || '').toUpperCase();
-  }
-  if (typeof tracking === 'string') return tracking.toUpperCase();
-  return '';
+function customerNoteOf(order: Order): string {
+  const note = order.customer_note;
+  const text = typeof note === 'string' ? note : note?.text;
+  return typeof text === 'string' ? text.trim() : '';
 }
 
-export function isUpsShipment(shipment: Shipment): boolean {
-  if (shipment.carrier_id === UPS_CARRIER_ID) return true;
-
-  const sub = String(shipment.sub_carrier_id || '').toUpperCase();
-  if (sub === 'UPS') return true;
-
-  const serviceCarrier = String(shipment.service_carrier_name || '').toLowerCase();
-  if (serviceCarrier === 'ups') return true;
-
-  const serviceName = String(shipment.service_name || '').toLowerCase();
-  const shortName = String(shipment.short_service_name || '').toLowerCase();
-  if (serviceName.includes('ups') || shortName.includes('ups')) return true;
-
-  const carrier = shipment.carrier;
-  if (carrier && typeof carrier === 'object') {
-    const c = carrier as { name?: string; slug?: string };
-    const name = (c.name || '').toLowerCase();
-    const slug = (c.slug || '').toLowerCase();
-    if (name.includes('ups') || slug.includes('ups')) return true;
-  } else if (typeof carrier === 'string' && carrier.toLowerCase().includes('ups')) {
-    return true;
-  }
+/** One line like the content script's formatDeliveryAddress: street, city, state zip, country. */
+function deliveryAddressOf(order: Order): string {
+  const to = order.deliver_to;
+  if (!to) return 'N/A';
+  const cityLine = [to.city, [to.state, to.zip_code].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  const parts = [to.address1, to.address2, cityLine, to.country].filter(Boolean);
+  return parts.length ? parts.join(', ') : 'N/A';
+}
 
-  if (trackingNumberText(shipment).startsWith('1Z')) return true;
-  return false;
+/** Same fields as the content script's Print Note (buildDeliveryInstructionsData). */
+function deliverySlipOf(
+  order: Order,
+  lineItems: LineItem[] | undefined,
+  items: ShipmentLabelInfo['items']
+): DeliverySlip | undefined {
+  const note = customerNoteOf(order);
+  if (!note) return undefined;
+  const skus = items.map((item) => item.sku).filter(Boolean);
+  const titles = (lineItems || [])
+    .map((item) => item.sellable?.product_title || item.sellable?.title)
+    .filter(Boolean);
+  return {
+    orderId: String(order.sales_record_number || order.number || 'N/A'),
+    veeqoOrderId: order.id != null ? String(order.id) : undefined,
+    recipient:
+      `${order.deliver_to?.first_name || 'N/A'} ${order.deliver_to?.last_name || ''}`.trim(),
+    buyerPhone: order.deliver_to?.phone ? String(order.deliver_to.phone) : 'N/A',
+    quantity: String(items.reduce((n, item) => n + item.quantity, 0)),
+    sku: skus.length ? skus.join(', ') : 'N/A',
+    orderDate: order.created_at ? new Date(order.created_at).toLocaleDateString() : 'N/A',
+    channel: order.channel?.name ? String(order.channel.name) : 'N/A',
+    address: deliveryAddressOf(order),
+    itemTitles: titles.length ? titles.join(', ') : 'N/A',
+    deliveryInstructions: note,
+    giftMessage: order.gift_message ? String(order.gift_message) : '',
+  };
 }
 
-function shipmentCreatedOnDay(
-  shipment: Shipment,
-  dayStartMs: number,
-  dayEndMs: number
-): boolean {
-  const created = parseApiDatetime(shipment.created_at);
-  if (created == null) return false;
-  return created >= dayStartMs && created < dayEndMs;
+function dayOfTimestamp(ms: number, days: TargetDay[]): TargetDay | null {
+  return days.find((d) => ms >= d.dayStartMs && ms < d.dayEndMs) || null;
 }
 
 function formatUpdatedAtMin(dayStartMs: number): string {
@@ -155,7 +295,7 @@ async function fetchOrdersPage(
     page_size: '100',
     page: String(page),
   });
-  const response = await fetch(`${BASE_URL}/orders?${params}`, {
+  const response = await fetchWithRetryInfo(`${BASE_URL}/orders?${params}`, {
     method: 'GET',
     headers: {
       'x-api-key': apiKey,
@@ -170,13 +310,116 @@ async function fetchOrdersPage(
   return (await response.json()) as Order[];
 }
 
-/** UPS shipments for the local day, sorted by buy time (created_at) ascending. */
-export async function getUpsShipmentsForDay(
+const NAMED_LIST_PAGE_SIZE = 100;
+
+/** Every page of a Veeqo list endpoint (channels, warehouses), sorted by name. */
+async function fetchNamedList(apiKey: string, path: string): Promise<LabelFilterOption[]> {
+  const options: LabelFilterOption[] = [];
+  for (let page = 1; ; page += 1) {
+    const params = new URLSearchParams({
+      page_size: String(NAMED_LIST_PAGE_SIZE),
+      page: String(page),
+    });
+    const response = await fetchWithRetryInfo(`${BASE_URL}${path}?${params}`, {
+      method: 'GET',
+      headers: {
+        'x-api-key': apiKey,
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`${path} fetch failed (${response.status}): ${text.slice(0, 200)}`);
+    }
+    const items = (await response.json()) as Array<{ id?: number; name?: string | null }>;
+    for (const item of items) {
+      if (typeof item.id === 'number') {
+        options.push({ id: item.id, name: item.name || `#${item.id}` });
+      }
+    }
+    if (items.length < NAMED_LIST_PAGE_SIZE) break;
+  }
+  return options.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function fetchOrdersByQuery(apiKey: string, query: string): Promise<Order[]> {
+  const params = new URLSearchParams({ query, page_size: '25' });
+  const response = await fetchWithRetryInfo(`${BASE_URL}/orders?${params}`, {
+    method: 'GET',
+    headers: {
+      'x-api-key': apiKey,
+      Accept: 'application/json',
+    },
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw createHttpError(
+      `Order search failed (${response.status}): ${text.slice(0, 200)}`,
+      response.status,
+      response.headers.get('Retry-After')
+    );
+  }
+  return (await response.json()) as Order[];
+}
+
+function shipmentIdOf(shipment: Shipment): number {
+  const rawId = shipment.id;
+  return typeof rawId === 'number' ? rawId : Number(rawId);
+}
+
+function toShipmentLabelInfo(
+  order: Order,
+  allocation: Allocation,
+  shipment: Shipment,
+  carrier: CarrierId | null,
+  createdAtMs: number,
+  dateStr: string
+): ShipmentLabelInfo {
+  const lineItems = allocation.line_items?.length ? allocation.line_items : order.line_items;
+  const items = shipmentItems(lineItems);
+  return {
+    id: shipmentIdOf(shipment),
+    createdAtMs,
+    carrier,
+    dateStr,
+    orderNumber: String(order.number || order.sales_record_number || ''),
+    trackingNumber: trackingNumberText(shipment),
+    serviceName: String(shipment.service_name || shipment.short_service_name || ''),
+    items,
+    deliverySlip: deliverySlipOf(order, lineItems, items),
+  };
+}
+
+/** Channels (stores) and warehouses for the popup's filter selects. */
+export async function fetchLabelFilterOptions(
+  apiKey: string
+): Promise<{ channels: LabelFilterOption[]; warehouses: LabelFilterOption[] }> {
+  const [channels, warehouses] = await Promise.all([
+    fetchNamedList(apiKey, '/channels'),
+    fetchNamedList(apiKey, '/warehouses'),
+  ]);
+  return { channels, warehouses };
+}
+
+/**
+ * Shipments of the selected carriers bought between the start and end local days
+ * (inclusive), sorted by buy time (created_at) ascending. Channel and warehouse
+ * filters apply to the order's channel and the allocation's warehouse.
+ */
+export async function getShipmentsForDateRange(
   apiKey: string,
-  targetDateStr?: string | null,
-  onProgress?: (p: DailyLabelsProgress) => void
-): Promise<{ shipments: ShipmentLabelInfo[]; dateStr: string }> {
-  const { dateStr, dayStartMs, dayEndMs } = parseTargetDay(targetDateStr);
+  range: { startDate?: string | null; endDate?: string | null },
+  onProgress?: (p: DailyLabelsProgress) => void,
+  selection?: CarrierSelection & LabelFilters
+): Promise<{ shipments: ShipmentLabelInfo[]; dateStr: string; days: string[] }> {
+  const days = parseTargetRange(range.startDate, range.endDate);
+  const dateStr = describeRange(days);
+  const dayStartMs = days[0].dayStartMs;
+  const rules = selection?.rules || DEFAULT_CARRIER_RULES;
+  const carriers = selection?.carriers?.length ? selection.carriers : DEFAULT_LABEL_CARRIERS;
+  const carrierText = describeCarriers(carriers, rules);
+  const channelIds = selection?.channelIds || [];
+  const warehouseIds = selection?.warehouseIds || [];
   const updatedAtMin = formatUpdatedAtMin(dayStartMs);
   const shipments: ShipmentLabelInfo[] = [];
   const seen = new Set<number>();
@@ -194,24 +437,31 @@ export async function getUpsShipmentsForDay(
     if (!orders.length) break;
 
     for (const order of orders) {
+      if (channelIds.length && !channelIds.includes(Number(order.channel?.id))) continue;
       for (const allocation of order.allocations || []) {
         const shipment = allocation.shipment;
         if (!shipment) continue;
-        const rawId = shipment.id;
-        const shipmentId = typeof rawId === 'number' ? rawId : Number(rawId);
+        if (warehouseIds.length && !warehouseIds.includes(Number(allocation.warehouse?.id))) {
+          continue;
+        }
+        const shipmentId = shipmentIdOf(shipment);
         if (!shipmentId || seen.has(shipmentId)) continue;
-        if (!isUpsShipment(shipment)) continue;
-        if (!shipmentCreatedOnDay(shipment, dayStartMs, dayEndMs)) continue;
+        const carrier = detectShipmentCarrier(shipment, rules);
+        if (!carrier || !carriers.includes(carrier)) continue;
         const createdAtMs = parseApiDatetime(shipment.created_at);
         if (createdAtMs == null) continue;
+        const day = dayOfTimestamp(createdAtMs, days);
+        if (!day) continue;
         seen.add(shipmentId);
-        shipments.push({ id: shipmentId, createdAtMs });
+        shipments.push(
+          toShipmentLabelInfo(order, allocation, shipment, carrier, createdAtMs, day.dateStr)
+        );
       }
     }
 
     onProgress?.({
       phase: 'fetching_orders',
-      message: `Processed page ${page} — found ${shipments.length} UPS label(s)`,
+      message: `Processed page ${page} — found ${shipments.length} ${carrierText} label(s)`,
       page,
       found: shipments.length,
     });
@@ -226,7 +476,92 @@ export async function getUpsShipmentsForDay(
     found: shipments.length,
   });
 
-  return { shipments, dateStr };
+  return { shipments, dateStr, days: days.map((d) => d.dateStr) };
+}
+
+/** Split pasted or scanned text into unique order / tracking numbers, in input order. */
+export function parseReprintList(text: string): string[] {
+  const seen = new Set<string>();
+  return text.split(/[\s,;]+/).filter((key) => {
+    const normalized = key.toUpperCase();
+    if (!key || seen.has(normalized)) return false;
+    seen.add(normalized);
+    return true;
+  });
+}
+
+/**
+ * Shipments for one reprint key: every shipment on the order whose number
+ * matches, otherwise the shipment whose tracking number matches.
+ */
+function matchReprintKey(orders: Order[], key: string, rules: CarrierRule[]): ShipmentLabelInfo[] {
+  const wanted = key.toUpperCase();
+  const byOrder = orders.find((order) =>
+    [order.number, order.sales_record_number, order.reference].some(
+      (k) => k != null && String(k).trim().toUpperCase() === wanted
+    )
+  );
+  const picked: ShipmentLabelInfo[] = [];
+  for (const order of byOrder ? [byOrder] : orders) {
+    for (const allocation of order.allocations || []) {
+      const shipment = allocation.shipment;
+      if (!shipment || !shipmentIdOf(shipment)) continue;
+      if (!byOrder && trackingNumberText(shipment) !== wanted) continue;
+      const createdAtMs = parseApiDatetime(shipment.created_at);
+      if (createdAtMs == null) continue;
+      const carrier = detectShipmentCarrier(shipment, rules);
+      picked.push(
+        toShipmentLabelInfo(order, allocation, shipment, carrier, createdAtMs, localYmd(createdAtMs))
+      );
+    }
+  }
+  return picked;
+}
+
+/**
+ * Resolve order or tracking numbers to label shipments through the orders
+ * search, sorted by buy time. Keys that match nothing are returned in notFound.
+ */
+export async function getShipmentsForReprint(
+  apiKey: string,
+  keys: string[],
+  onProgress?: (p: DailyLabelsProgress) => void,
+  rules: CarrierRule[] = DEFAULT_CARRIER_RULES
+): Promise<{ shipments: ShipmentLabelInfo[]; notFound: string[] }> {
+  onProgress?.({
+    phase: 'fetching_orders',
+    message: `Looking up ${keys.length} order/tracking number(s)…`,
+    found: 0,
+  });
+
+  let searched = 0;
+  const matches = await runQueue(
+    keys.map((key) => async () => {
+      const found = matchReprintKey(await fetchOrdersByQuery(apiKey, key), key, rules);
+      searched += 1;
+      onProgress?.({
+        phase: 'fetching_orders',
+        message: `Looked up ${searched}/${keys.length}…`,
+        found: searched,
+      });
+      return found;
+    }),
+    downloadQueueOptions(onProgress, keys.length, 'fetching_orders')
+  );
+
+  const seen = new Set<number>();
+  const shipments: ShipmentLabelInfo[] = [];
+  const notFound: string[] = [];
+  matches.forEach((found, i) => {
+    if (!found.length) notFound.push(keys[i]);
+    for (const shipment of found) {
+      if (seen.has(shipment.id)) continue;
+      seen.add(shipment.id);
+      shipments.push(shipment);
+    }
+  });
+  shipments.sort((a, b) => a.createdAtMs - b.createdAtMs || a.id - b.id);
+  return { shipments, notFound };
 }
 
 async function downloadLabelsBatch(
@@ -237,7 +572,7 @@ async function downloadLabelsBatch(
   for (const sid of shipmentIds) {
     params.append('shipment_ids[]', String(sid));
   }
-  const response = await fetch(`${BASE_URL}/shipping/labels.pdf?${params}`, {
+  const response = await fetchWithRetryInfo(`${BASE_URL}/shipping/labels.pdf?${params}`, {
     method: 'GET',
     headers: {
       'x-api-key': apiKey,
@@ -246,60 +581,376 @@ async function downloadLabelsBatch(
   });
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Label download failed (${response.status}): ${text.slice(0, 200)}`);
+    throw createHttpError(
+      `Label download failed (${response.status}): ${text.slice(0, 200)}`,
+      response.status,
+      response.headers.get('Retry-After')
+    );
   }
   return new Uint8Array(await response.arrayBuffer());
 }
 
-/** Draw buy-time text on every page (top-left, with a light background). */
-async function stampBuyTimeOnPdf(
+/** Queue options shared by the download paths and reprint lookups: report retries as progress. */
+function downloadQueueOptions(
+  onProgress: ((p: DailyLabelsProgress) => void) | undefined,
+  total: number,
+  phase: DailyLabelsProgress['phase'] = 'downloading_labels'
+): QueueOptions {
+  return {
+    concurrency: DOWNLOAD_CONCURRENCY,
+    onRetry: ({ attempt, delayMs, error }) => {
+      const reason = (error as Error).message.slice(0, 80);
+      onProgress?.({
+        phase,
+        message: `${reason} — retry ${attempt} in ${Math.ceil(delayMs / 1000)}s…`,
+        found: total,
+      });
+    },
+  };
+}
+
+/**
+ * Draw the stamp lines on every page in the configured corner, rotated
+ * counter-clockwise by settings.rotation, on a light background box.
+ */
+async function stampLabelPdf(
   pdfBytes: Uint8Array,
-  buyTimeLabel: string
+  lines: string[],
+  settings: LabelStampSettings
 ): Promise<Uint8Array> {
+  if (!lines.length) return pdfBytes;
   const doc = await PDFDocument.load(pdfBytes);
   const font = await doc.embedFont(StandardFonts.HelveticaBold);
-  const fontSize = 8;
-  const textWidth = font.widthOfTextAtSize(buyTimeLabel, fontSize);
+  const { fontSize, rotation, corner } = settings;
+  const safeLines = lines.map(pdfSafeText);
   const padX = 4;
   const padY = 3;
-  const boxH = fontSize + padY * 2;
+  const lineH = fontSize * 1.2;
+  const margin = 4;
+  const boxW = Math.max(...safeLines.map((l) => font.widthOfTextAtSize(l, fontSize))) + padX * 2;
+  const boxH = lineH * (safeLines.length - 1) + fontSize + padY * 2;
+  const sideways = rotation === 90 || rotation === 270;
+  const footW = sideways ? boxH : boxW;
+  const footH = sideways ? boxW : boxH;
+  const rotate = degrees(rotation);
 
   for (const page of doc.getPages()) {
-    const { height } = page.getSize();
-    const boxY = height - boxH - 4;
+    const { width, height } = page.getSize();
+    const left = corner.endsWith('left') ? margin : width - footW - margin;
+    const bottom = corner.startsWith('bottom') ? margin : height - footH - margin;
+    // Map box-local (u, v) to page coordinates so the rotated box fills its footprint.
+    const toPage = (u: number, v: number) => {
+      switch (rotation) {
+        case 90:
+          return { x: left + boxH - v, y: bottom + u };
+        case 180:
+          return { x: left + boxW - u, y: bottom + boxH - v };
+        case 270:
+          return { x: left + v, y: bottom + boxW - u };
+        default:
+          return { x: left + u, y: bottom + v };
+      }
+    };
+
     page.drawRectangle({
-      x: 4,
-      y: boxY,
-      width: textWidth + padX * 2,
+      ...toPage(0, 0),
+      width: boxW,
       height: boxH,
+      rotate,
       color: rgb(1, 1, 1),
       opacity: 0.9,
       borderColor: rgb(0.2, 0.2, 0.2),
       borderWidth: 0.4,
     });
-    page.drawText(buyTimeLabel, {
-      x: 4 + padX,
-      y: boxY + padY,
-      size: fontSize,
-      font,
-      color: rgb(0, 0, 0),
+    safeLines.forEach((line, i) => {
+      const baseline = padY + (safeLines.length - 1 - i) * lineH;
+      page.drawText(line, {
+        ...toPage(padX, baseline),
+        size: fontSize,
+        font,
+        rotate,
+        color: rgb(0, 0, 0),
+      });
     });
   }
 
   return doc.save();
 }
 
-async function mergePdfs(pdfBytesList: Uint8Array[]): Promise<Uint8Array> {
+async function mergePdfs(
+  pdfBytesList: Uint8Array[]
+): Promise<{ bytes: Uint8Array; pageCounts: number[] }> {
   const merged = await PDFDocument.create();
+  const pageCounts: number[] = [];
   for (const bytes of pdfBytesList) {
     const doc = await PDFDocument.load(bytes);
     const pages = await merged.copyPages(doc, doc.getPageIndices());
     for (const page of pages) merged.addPage(page);
+    pageCounts.push(pages.length);
+  }
+  return { bytes: await merged.save(), pageCounts };
+}
+
+/** Spread a batch's page count over its shipments (one page each, or unknown). */
+function batchPageCounts(batchPages: number, shipmentCount: number): Array<number | null> {
+  if (shipmentCount === 1) return [batchPages];
+  const perShipment = batchPages === shipmentCount ? 1 : null;
+  return new Array<number | null>(shipmentCount).fill(perShipment);
+}
+
+async function countPages(bytes: Uint8Array): Promise<number> {
+  return (await PDFDocument.load(bytes)).getPageCount();
+}
+
+function drawDayDivider(
+  page: PDFPage,
+  font: PDFFont,
+  day: { dateStr: string; count: number }
+): void {
+  const { width, height } = page.getSize();
+  // en-US keeps the weekday within the standard font's character set
+  const weekday = new Date(`${day.dateStr}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'long',
+  });
+  const lines = [
+    { text: day.dateStr, size: 28 },
+    { text: weekday, size: 18 },
+    { text: `${day.count} label(s)`, size: 14 },
+  ];
+  let y = height / 2 + 30;
+  for (const line of lines) {
+    const w = font.widthOfTextAtSize(line.text, line.size);
+    page.drawText(line.text, {
+      x: (width - w) / 2,
+      y,
+      size: line.size,
+      font,
+      color: rgb(0, 0, 0),
+    });
+    y -= line.size + 14;
+  }
+  page.drawRectangle({
+    x: 12,
+    y: 12,
+    width: width - 24,
+    height: height - 24,
+    borderColor: rgb(0, 0, 0),
+    borderWidth: 2,
+  });
+}
+
+type ManifestRow = {
+  orderNumber: string;
+  trackingNumber: string;
+  serviceName: string;
+  createdAtMs: number;
+  /** 1-based page of the label in the final PDF */
+  page: number | null;
+};
+
+const MANIFEST_MARGIN = 12;
+const MANIFEST_HEADER_H = 48;
+const MANIFEST_FOOTER_H = 40;
+const MANIFEST_ROW_H = 10;
+const MANIFEST_FONT_SIZE = 6.5;
+const MANIFEST_COLUMNS: Array<{ title: string; share: number }> = [
+  { title: '#', share: 0.06 },
+  { title: 'Order', share: 0.24 },
+  { title: 'Tracking', share: 0.3 },
+  { title: 'Service', share: 0.18 },
+  { title: 'Bought', share: 0.14 },
+  { title: 'Page', share: 0.08 },
+];
+
+function manifestRowsPerPage(pageHeight: number): number {
+  const usable = pageHeight - MANIFEST_MARGIN * 2 - MANIFEST_HEADER_H - MANIFEST_FOOTER_H;
+  return Math.max(1, Math.floor(usable / MANIFEST_ROW_H) - 1); // minus column header row
+}
+
+function formatManifestTime(ms: number): string {
+  const d = new Date(ms);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${pad(d.getMonth() + 1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** Draw the pickup manifest (one or more pages) listing every shipment and its label page. */
+function drawManifestPages(
+  pages: PDFPage[],
+  fonts: { regular: PDFFont; bold: PDFFont },
+  rows: ManifestRow[],
+  heading: { title: string; subtitle: string }
+): void {
+  const { width, height } = pages[0].getSize();
+  const perPage = manifestRowsPerPage(height);
+  const tableWidth = width - MANIFEST_MARGIN * 2;
+  const colX: number[] = [];
+  let x = MANIFEST_MARGIN;
+  for (const col of MANIFEST_COLUMNS) {
+    colX.push(x);
+    x += col.share * tableWidth;
+  }
+  const black = rgb(0, 0, 0);
+
+  pages.forEach((page, pageIdx) => {
+    let y = height - MANIFEST_MARGIN - 14;
+    page.drawText(pdfSafeText(heading.title), {
+      x: MANIFEST_MARGIN,
+      y,
+      size: 13,
+      font: fonts.bold,
+      color: black,
+    });
+    const pageLabel = `Page ${pageIdx + 1}/${pages.length}`;
+    page.drawText(pageLabel, {
+      x: width - MANIFEST_MARGIN - fonts.regular.widthOfTextAtSize(pageLabel, 7),
+      y: y + 3,
+      size: 7,
+      font: fonts.regular,
+      color: black,
+    });
+    y -= 13;
+    page.drawText(fitText(fonts.regular, heading.subtitle, 8, tableWidth), {
+      x: MANIFEST_MARGIN,
+      y,
+      size: 8,
+      font: fonts.regular,
+      color: black,
+    });
+    y = height - MANIFEST_MARGIN - MANIFEST_HEADER_H;
+
+    MANIFEST_COLUMNS.forEach((col, c) => {
+      page.drawText(col.title, {
+        x: colX[c],
+        y,
+        size: MANIFEST_FONT_SIZE,
+        font: fonts.bold,
+        color: black,
+      });
+    });
+    page.drawLine({
+      start: { x: MANIFEST_MARGIN, y: y - 3 },
+      end: { x: width - MANIFEST_MARGIN, y: y - 3 },
+      thickness: 0.6,
+      color: black,
+    });
+
+    const slice = rows.slice(pageIdx * perPage, (pageIdx + 1) * perPage);
+    slice.forEach((row, r) => {
+      y -= MANIFEST_ROW_H;
+      const cells = [
+        String(pageIdx * perPage + r + 1),
+        row.orderNumber || '-',
+        row.trackingNumber || '-',
+        row.serviceName || '-',
+        formatManifestTime(row.createdAtMs),
+        row.page != null ? String(row.page) : '?',
+      ];
+      cells.forEach((text, c) => {
+        const maxWidth = MANIFEST_COLUMNS[c].share * tableWidth - 3;
+        page.drawText(fitText(fonts.regular, text, MANIFEST_FONT_SIZE, maxWidth), {
+          x: colX[c],
+          y,
+          size: MANIFEST_FONT_SIZE,
+          font: fonts.regular,
+          color: black,
+        });
+      });
+    });
+
+    if (pageIdx === pages.length - 1) {
+      const footY = MANIFEST_MARGIN + 8;
+      page.drawText(`Total: ${rows.length} label(s)`, {
+        x: MANIFEST_MARGIN,
+        y: footY + 18,
+        size: 8,
+        font: fonts.bold,
+        color: black,
+      });
+      page.drawText('Driver signature: ____________________   Date/time: ____________', {
+        x: MANIFEST_MARGIN,
+        y: footY,
+        size: 7,
+        font: fonts.regular,
+        color: black,
+      });
+    }
+  });
+}
+
+type LabelsPdfPart = {
+  dateStr: string;
+  shipments: ShipmentLabelInfo[];
+  pdfBytes: Uint8Array;
+  pageCounts: Array<number | null>;
+};
+
+/**
+ * Combine per-day label PDFs into the final document: optional manifest cover
+ * pages first, then each day's labels with a divider page between days. Pages
+ * take the size of the first label so everything prints on the same stock.
+ */
+async function assembleLabelsPdf(
+  parts: LabelsPdfPart[],
+  manifest: { title: string; subtitle: string } | null
+): Promise<Uint8Array> {
+  if (parts.length === 1 && !manifest) return parts[0].pdfBytes;
+
+  const merged = await PDFDocument.create();
+  const fonts = {
+    regular: await merged.embedFont(StandardFonts.Helvetica),
+    bold: await merged.embedFont(StandardFonts.HelveticaBold),
+  };
+  const docs = await Promise.all(parts.map((p) => PDFDocument.load(p.pdfBytes)));
+  const firstPage = docs.find((d) => d.getPageCount() > 0)?.getPage(0);
+  const { width, height } = firstPage?.getSize() || { width: 288, height: 432 };
+
+  const rows: ManifestRow[] = [];
+  const totalShipments = parts.reduce((n, p) => n + p.shipments.length, 0);
+  const coverPageCount = manifest
+    ? Math.max(1, Math.ceil(totalShipments / manifestRowsPerPage(height)))
+    : 0;
+
+  // Work out where each label starts once covers and dividers are in place.
+  // Unknown page counts (unsplittable batch) blank out the rest of that day only.
+  let dayStart = coverPageCount + 1;
+  parts.forEach((part, i) => {
+    if (i > 0) dayStart += 1; // divider
+    let next: number | null = dayStart;
+    part.shipments.forEach((shipment, s) => {
+      rows.push({
+        orderNumber: shipment.orderNumber,
+        trackingNumber: shipment.trackingNumber,
+        serviceName: shipment.serviceName,
+        createdAtMs: shipment.createdAtMs,
+        page: next,
+      });
+      const count = part.pageCounts[s];
+      next = next != null && count != null ? next + count : null;
+    });
+    dayStart += docs[i].getPageCount();
+  });
+
+  if (manifest) {
+    const coverPages = Array.from({ length: coverPageCount }, () => merged.addPage([width, height]));
+    drawManifestPages(coverPages, fonts, rows, manifest);
+  }
+
+  for (let i = 0; i < parts.length; i++) {
+    const pages = await merged.copyPages(docs[i], docs[i].getPageIndices());
+    if (i > 0) {
+      const size = pages[0]?.getSize() || { width, height };
+      const divider = merged.addPage([size.width, size.height]);
+      drawDayDivider(divider, fonts.bold, {
+        dateStr: parts[i].dateStr,
+        count: parts[i].shipments.length,
+      });
+    }
+    for (const page of pages) merged.addPage(page);
   }
   return merged.save();
 }
 
-function uint8ToBase64(bytes: Uint8Array): string {
+export function uint8ToBase64(bytes: Uint8Array): string {
   let binary = '';
   const chunk = 0x8000;
   for (let i = 0; i < bytes.length; i += chunk) {
@@ -310,21 +961,28 @@ function uint8ToBase64(bytes: Uint8Array): string {
 
 /**
  * Download labels ordered by buy time.
- * When addTimestamp is true, downloads one-by-one and stamps each page.
- * Otherwise downloads in batches (faster) while keeping buy-time order.
+ * When addTimestamp is true, downloads one label per request and stamps each page
+ * using the stamp settings; with useCache, stamped labels are reused from / saved
+ * to the label cache.
+ * Otherwise downloads in batches (faster). Either way requests run concurrently
+ * and the merge keeps buy-time order.
+ * Also reports pages per shipment so a manifest can point at each label.
  */
 export async function fetchAndMergeLabels(
   apiKey: string,
   shipments: ShipmentLabelInfo[],
   onProgress?: (p: DailyLabelsProgress) => void,
-  addTimestamp = true
-): Promise<Uint8Array> {
+  addTimestamp = true,
+  useCache = true,
+  stamp: LabelStampSettings = DEFAULT_LABEL_STAMP
+): Promise<MergedLabels> {
   if (!shipments.length) {
-    throw new Error('No UPS shipping labels to download for this day.');
+    throw new Error('No shipping labels to download for this day.');
   }
 
   const total = shipments.length;
   const shipmentIds = shipments.map((s) => s.id);
+  const queueOptions = downloadQueueOptions(onProgress, total);
 
   if (!addTimestamp) {
     const totalBatches = Math.ceil(total / BATCH_SIZE);
@@ -344,38 +1002,51 @@ export async function fetchAndMergeLabels(
           message: `Downloaded ${total} label(s)`,
           found: total,
         });
-        return bytes;
+        return { pdfBytes: bytes, pageCounts: batchPageCounts(await countPages(bytes), total) };
       } catch {
         // fall through to chunked merge
       }
     }
 
-    const batches: Uint8Array[] = [];
+    const chunks: number[][] = [];
     for (let i = 0; i < shipmentIds.length; i += BATCH_SIZE) {
-      const chunk = shipmentIds.slice(i, i + BATCH_SIZE);
-      const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-      onProgress?.({
-        phase: 'downloading_labels',
-        message: `Downloading batch ${batchNum}/${totalBatches} (${chunk.length} label(s))…`,
-        found: total,
-        batch: batchNum,
-        totalBatches,
-      });
-      batches.push(await downloadLabelsBatch(apiKey, chunk));
+      chunks.push(shipmentIds.slice(i, i + BATCH_SIZE));
     }
+    let finished = 0;
+    const batches = await runQueue(
+      chunks.map((chunk) => async () => {
+        const bytes = await downloadLabelsBatch(apiKey, chunk);
+        finished += 1;
+        onProgress?.({
+          phase: 'downloading_labels',
+          message: `Downloaded batch ${finished}/${totalBatches} (${chunk.length} label(s))…`,
+          found: total,
+          batch: finished,
+          totalBatches,
+        });
+        return bytes;
+      }),
+      queueOptions
+    );
 
     onProgress?.({
       phase: 'merging',
       message: `Merging ${batches.length} PDF batch(es)…`,
       found: total,
     });
-    const merged = batches.length === 1 ? batches[0] : await mergePdfs(batches);
+    const merged =
+      batches.length === 1
+        ? { bytes: batches[0], pageCounts: [await countPages(batches[0])] }
+        : await mergePdfs(batches);
     onProgress?.({
       phase: 'done',
       message: `Merged ${total} label(s) ordered by buy time`,
       found: total,
     });
-    return merged;
+    return {
+      pdfBytes: merged.bytes,
+      pageCounts: chunks.flatMap((chunk, b) => batchPageCounts(merged.pageCounts[b], chunk.length)),
+    };
   }
 
   onProgress?.({
@@ -386,36 +1057,55 @@ export async function fetchAndMergeLabels(
     totalBatches: total,
   });
 
-  const stampedParts: Uint8Array[] = [];
+  let finished = 0;
+  let cachedCount = 0;
 
   // One shipment per request so each PDF maps cleanly to its buy time.
-  for (let i = 0; i < shipments.length; i++) {
-    const shipment = shipments[i];
-    const n = i + 1;
-    onProgress?.({
-      phase: 'downloading_labels',
-      message: `Downloading label ${n}/${total}…`,
-      found: total,
-      batch: n,
-      totalBatches: total,
-    });
+  const stampedParts = await runQueue(
+    shipments.map((shipment) => async () => {
+      const lines = renderStampText(stamp.template, {
+        boughtAtMs: shipment.createdAtMs,
+        orderNumber: shipment.orderNumber,
+        items: shipment.items,
+        pickerInitial: stamp.pickerInitial,
+      });
 
-    let bytes = await downloadLabelsBatch(apiKey, [shipment.id]);
-    bytes = await stampBuyTimeOnPdf(bytes, formatBuyTimeLocal(shipment.createdAtMs));
-    stampedParts.push(bytes);
+      // The rendered stamp is part of the key so a changed stamp is re-rendered.
+      const variant = stampCacheVariant(lines, stamp);
+      let bytes = useCache ? await getCachedLabel(shipment.id, variant) : null;
+      if (bytes) {
+        cachedCount += 1;
+      } else {
+        bytes = await downloadLabelsBatch(apiKey, [shipment.id]);
+        bytes = await stampLabelPdf(bytes, lines, stamp);
+        if (useCache) await putCachedLabel(shipment.id, variant, bytes);
+      }
 
-    // Yield to the event loop so progress messages can flush.
-    await new Promise((r) => setTimeout(r, 0));
-  }
+      finished += 1;
+      onProgress?.({
+        phase: 'downloading_labels',
+        message: `Downloaded label ${finished}/${total}…`,
+        found: total,
+        batch: finished,
+        totalBatches: total,
+      });
+      return bytes;
+    }),
+    queueOptions
+  );
 
   onProgress?.({
     phase: 'merging',
-    message: `Merging ${stampedParts.length} label PDF(s)…`,
+    message:
+      `Merging ${stampedParts.length} label PDF(s)` +
+      (cachedCount ? ` (${cachedCount} from cache)…` : '…'),
     found: total,
   });
 
   const merged =
-    stampedParts.length === 1 ? stampedParts[0] : await mergePdfs(stampedParts);
+    stampedParts.length === 1
+      ? { bytes: stampedParts[0], pageCounts: [await countPages(stampedParts[0])] }
+      : await mergePdfs(stampedParts);
 
   onProgress?.({
     phase: 'done',
@@ -423,36 +1113,263 @@ export async function fetchAndMergeLabels(
     found: total,
   });
 
-  return merged;
+  return { pdfBytes: merged.bytes, pageCounts: merged.pageCounts };
+}
+
+/**
+ * Insert a delivery-instructions slip right after each label whose shipment
+ * has one, sized like that label. Page counts grow by one for those shipments
+ * so manifest page numbers stay right. When a batch could not be split into
+ * labels (unknown page counts) the slips go after the last label instead.
+ */
+async function interleaveDeliverySlips(
+  shipments: ShipmentLabelInfo[],
+  merged: MergedLabels,
+  layout: DeliverySlipPdfLayout | undefined,
+  onProgress?: (p: DailyLabelsProgress) => void
+): Promise<MergedLabels & { slipCount: number }> {
+  const slipCount = shipments.filter((s) => s.deliverySlip).length;
+  if (!slipCount) return { ...merged, slipCount };
+  onProgress?.({
+    phase: 'merging',
+    message: `Adding ${slipCount} delivery-instruction slip(s)…`,
+    found: shipments.length,
+  });
+
+  const source = await PDFDocument.load(merged.pdfBytes);
+  const out = await PDFDocument.create();
+  const fonts = await embedSlipFonts(out);
+  const pages = await out.copyPages(source, source.getPageIndices());
+  const addSlip = (slip: DeliverySlip, like: PDFPage | undefined) => {
+    const { width, height } = like?.getSize() || { width: 288, height: 432 };
+    drawDeliverySlip(out.addPage([width, height]), fonts, slip, layout);
+  };
+
+  if (merged.pageCounts.some((count) => count == null)) {
+    pages.forEach((page) => out.addPage(page));
+    for (const s of shipments) if (s.deliverySlip) addSlip(s.deliverySlip, pages[pages.length - 1]);
+    return { pdfBytes: await out.save(), pageCounts: merged.pageCounts, slipCount };
+  }
+
+  let next = 0;
+  const pageCounts = shipments.map((s, i) => {
+    const count = merged.pageCounts[i] as number;
+    const own = pages.slice(next, next + count);
+    next += count;
+    own.forEach((page) => out.addPage(page));
+    if (!s.deliverySlip) return count;
+    addSlip(s.deliverySlip, own[own.length - 1] || pages[0]);
+    return count + 1;
+  });
+  pages.slice(next).forEach((page) => out.addPage(page));
+  return { pdfBytes: await out.save(), pageCounts, slipCount };
 }
 
+/**
+ * Build the merged labels PDF for one day, or for a start/end range when
+ * options.endDate is set (one section per day, divider page in between).
+ * With options.includeManifest, a pickup manifest cover page comes first.
+ */
 export async function generateDailyLabelsPdf(
   apiKey: string,
   targetDateStr?: string | null,
   onProgress?: (p: DailyLabelsProgress) => void,
-  options?: { addTimestamp?: boolean }
+  options?: {
+    addTimestamp?: boolean;
+    endDate?: string | null;
+    includeManifest?: boolean;
+    /** Reuse stamped labels from earlier runs (default true). */
+    useCache?: boolean;
+    /** Stamp template and placement; defaults to the buy time, top-left. */
+    stamp?: LabelStampSettings;
+    /** Follow each label whose order has a customer note with its delivery slip. */
+    includeDeliverySlips?: boolean;
+    /** Fields and footer of those slips; defaults to the packaged template's. */
+    slipLayout?: DeliverySlipPdfLayout;
+  } & CarrierSelection &
+    LabelFilters
 ): Promise<DailyLabelsResult> {
   const addTimestamp = options?.addTimestamp !== false;
-  const { shipments, dateStr } = await getUpsShipmentsForDay(
+  const useCache = options?.useCache !== false;
+  if (useCache) void pruneLabelCache();
+  const rules = options?.rules || DEFAULT_CARRIER_RULES;
+  const carriers = options?.carriers?.length ? options.carriers : DEFAULT_LABEL_CARRIERS;
+  const carrierText = describeCarriers(carriers, rules);
+  const { shipments, dateStr, days } = await getShipmentsForDateRange(
     apiKey,
-    targetDateStr,
-    onProgress
+    { startDate: targetDateStr, endDate: options?.endDate },
+    onProgress,
+    {
+      carriers,
+      rules,
+      channelIds: options?.channelIds,
+      warehouseIds: options?.warehouseIds,
+    }
   );
   if (!shipments.length) {
-    throw new Error(`No UPS shipping labels found for ${dateStr}.`);
+    const filtered = options?.channelIds?.length || options?.warehouseIds?.length;
+    throw new Error(
+      `No ${carrierText} shipping labels found for ${dateStr}` +
+        (filtered ? ' in the selected stores/warehouses.' : '.')
+    );
+  }
+
+  const dayGroups = days
+    .map((day) => ({ dateStr: day, shipments: shipments.filter((s) => s.dateStr === day) }))
+    .filter((g) => g.shipments.length > 0);
+  const multiDay = dayGroups.length > 1;
+
+  const parts: LabelsPdfPart[] = [];
+  let deliverySlipCount = 0;
+  for (const group of dayGroups) {
+    // Prefix messages with the day; "done" is reported once, after the final merge.
+    const dayProgress = multiDay
+      ? (p: DailyLabelsProgress) =>
+          onProgress?.({
+            ...p,
+            phase: p.phase === 'done' ? 'downloading_labels' : p.phase,
+            message: `[${group.dateStr}] ${p.message}`,
+          })
+      : onProgress;
+    const merged = await fetchAndMergeLabels(
+      apiKey,
+      group.shipments,
+      dayProgress,
+      addTimestamp,
+      useCache,
+      options?.stamp
+    );
+    if (options?.includeDeliverySlips) {
+      const { slipCount, ...withSlips } = await interleaveDeliverySlips(
+        group.shipments,
+        merged,
+        options.slipLayout,
+        dayProgress
+      );
+      deliverySlipCount += slipCount;
+      parts.push({ ...group, ...withSlips });
+    } else {
+      parts.push({ ...group, ...merged });
+    }
   }
-  const pdfBytes = await fetchAndMergeLabels(
+
+  let pdfBytes = parts[0].pdfBytes;
+  if (multiDay || options?.includeManifest) {
+    onProgress?.({
+      phase: 'merging',
+      message: options?.includeManifest
+        ? 'Building manifest cover page…'
+        : `Merging ${parts.length} day(s) with divider pages…`,
+      found: shipments.length,
+    });
+    pdfBytes = await assembleLabelsPdf(
+      parts,
+      options?.includeManifest
+        ? {
+            title: 'PICKUP MANIFEST',
+            subtitle: `${carrierText} · ${dateStr} · ${shipments.length} label(s)`,
+          }
+        : null
+    );
+    onProgress?.({
+      phase: 'done',
+      message: multiDay
+        ? `Merged ${shipments.length} label(s) across ${parts.length} day(s)`
+        : `Merged ${shipments.length} label(s) with manifest`,
+      found: shipments.length,
+    });
+  }
+
+  const filename = `${carrierText.replace(/\W+/g, '_')}_Labels_${dateStr.replace(/ to /, '_to_')}.pdf`;
+  const ids = shipments.map((s) => s.id);
+  return {
+    dateStr,
+    days: dayGroups.map((g) => ({ dateStr: g.dateStr, count: g.shipments.length })),
+    carriers,
+    shipmentIds: ids,
+    filename,
+    pdfBase64: uint8ToBase64(pdfBytes),
+    deliverySlipCount: options?.includeDeliverySlips ? deliverySlipCount : undefined,
+  };
+}
+
+/**
+ * Build a labels PDF for a hand-picked list of order or tracking numbers (e.g.
+ * labels damaged in the printer), through the same download / stamp / cache
+ * path as the daily PDF.
+ */
+export async function generateReprintPdf(
+  apiKey: string,
+  keys: string[],
+  onProgress?: (p: DailyLabelsProgress) => void,
+  options?: {
+    addTimestamp?: boolean;
+    includeManifest?: boolean;
+    useCache?: boolean;
+    stamp?: LabelStampSettings;
+    rules?: CarrierRule[];
+    includeDeliverySlips?: boolean;
+    slipLayout?: DeliverySlipPdfLayout;
+  }
+): Promise<DailyLabelsResult> {
+  if (!keys.length) throw new Error('Enter at least one order or tracking number.');
+  const useCache = options?.useCache !== false;
+  if (useCache) void pruneLabelCache();
+  const rules = options?.rules || DEFAULT_CARRIER_RULES;
+
+  const { shipments, notFound } = await getShipmentsForReprint(apiKey, keys, onProgress, rules);
+  if (!shipments.length) {
+    throw new Error(`No shipping labels found for: ${notFound.join(', ')}`);
+  }
+
+  let merged: MergedLabels = await fetchAndMergeLabels(
     apiKey,
     shipments,
     onProgress,
-    addTimestamp
+    options?.addTimestamp !== false,
+    useCache,
+    options?.stamp
   );
-  const filename = `UPS_Labels_${dateStr}.pdf`;
-  const ids = shipments.map((s) => s.id);
+  let deliverySlipCount: number | undefined;
+  if (options?.includeDeliverySlips) {
+    const { slipCount, ...withSlips } = await interleaveDeliverySlips(
+      shipments,
+      merged,
+      options.slipLayout,
+      onProgress
+    );
+    merged = withSlips;
+    deliverySlipCount = slipCount;
+  }
+
+  const today = localYmd(Date.now());
+  const dateStr = `Reprint ${today}`;
+  let pdfBytes = merged.pdfBytes;
+  if (options?.includeManifest) {
+    onProgress?.({
+      phase: 'merging',
+      message: 'Building manifest cover page…',
+      found: shipments.length,
+    });
+    pdfBytes = await assembleLabelsPdf([{ dateStr, shipments, ...merged }], {
+      title: 'REPRINT MANIFEST',
+      subtitle: `${dateStr} · ${shipments.length} label(s)`,
+    });
+    onProgress?.({
+      phase: 'done',
+      message: `Merged ${shipments.length} label(s) with manifest`,
+      found: shipments.length,
+    });
+  }
+
   return {
     dateStr,
-    shipmentIds: ids,
-    filename,
+    days: [],
+    carriers: rules.map((r) => r.id).filter((id) => shipments.some((s) => s.carrier === id)),
+    shipmentIds: shipments.map((s) => s.id),
+    filename: `Reprint_Labels_${today}.pdf`,
     pdfBase64: uint8ToBase64(pdfBytes),
+    notFound,
+    deliverySlipCount,
   };
 }
@@ -0,0 +1,292 @@
+/**
+ * 4x6 delivery-instructions slips drawn with pdf-lib: the PDF counterpart of the
+ * Print Note template (content/veeqo/print/delivery-instructions.html). The page
+ * size is exact, so output no longer depends on the browser's print margins.
+ * The custom HTML can't be drawn here; the fields and footer come from the
+ * template's PDF layout (utils/deliveryTemplate.ts) instead.
+ */
+import { PDFDocument, StandardFonts, rgb, type PDFFont, type PDFPage } from 'pdf-lib';
+import { code128DataUri, code128Widths, qrCodeDataUri, qrMatrix } from './barcodes';
+import {
+  DEFAULT_SLIP_PDF_LAYOUT,
+  SLIP_PDF_FIELDS,
+  type DeliverySlipPdfLayout,
+  type SlipPdfField,
+} from './deliveryTemplate';
+import { fitText, wrapText } from './pdfText';
+
+/**
+ * Slip text; field names match the Print Note template placeholders, so the
+ * content script can send buildDeliveryInstructionsData() output as-is.
+ */
+export type DeliverySlip = {
+  orderId: string;
+  veeqoOrderId?: string;
+  recipient: string;
+  buyerPhone?: string;
+  quantity?: string;
+  sku?: string;
+  orderDate?: string;
+  channel?: string;
+  address?: string;
+  itemTitles?: string;
+  deliveryInstructions: string;
+  giftMessage?: string;
+};
+
+export type SlipFonts = { regular: PDFFont; bold: PDFFont };
+
+/** 4x6in in points */
+export const SLIP_PAGE_SIZE: [number, number] = [288, 432];
+
+const MARGIN = 18;
+const BLACK = rgb(0, 0, 0);
+const BOX_FILL = rgb(0.976, 0.976, 0.976);
+const CODE_ROW_HEIGHT = 64.8; // 0.9in QR
+const FIELD_LABEL_WIDTH = 90;
+const FIELD_SIZE = 10;
+const FIELD_LINE_HEIGHT = 13;
+const BOX_PADDING = 8;
+const MAX_NOTE_SIZE = 14;
+const MIN_NOTE_SIZE = 7;
+const FOOTER_LINE_HEIGHT = 14;
+/** Room always left for the note box, however many fields the layout lists */
+const MIN_BOX_HEIGHT = 48;
+
+export async function embedSlipFonts(doc: PDFDocument): Promise<SlipFonts> {
+  return {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold),
+  };
+}
+
+function isKnown(value: string | undefined): value is string {
+  return !!value && value !== 'N/A';
+}
+
+/** What the QR code encodes: the Veeqo order page, else the order number. */
+export function slipQrText(slip: DeliverySlip): string {
+  return isKnown(slip.veeqoOrderId)
+    ? `https://app.veeqo.com/orders/${slip.veeqoOrderId}`
+    : slip.orderId;
+}
+
+/**
+ * The slip's codes as SVG data URIs for the Print Note template ({{orderBarcode}},
+ * {{orderQrCode}}); empty when there is nothing to encode.
+ */
+export function slipCodeImages(slip: DeliverySlip): { orderBarcode: string; orderQrCode: string } {
+  const qrText = slipQrText(slip);
+  return {
+    orderBarcode: isKnown(slip.orderId) ? code128DataUri(slip.orderId) : '',
+    orderQrCode: isKnown(qrText) ? qrCodeDataUri(qrText) : '',
+  };
+}
+
+/** Code 128 with a 10-module quiet zone on each side, stretched to the box width. */
+function drawCode128(
+  page: PDFPage,
+  text: string,
+  box: { x: number; y: number; width: number; height: number }
+): void {
+  const widths = code128Widths(text);
+  const quiet = 10;
+  const module = box.width / (widths.reduce((n, w) => n + w, 0) + quiet * 2);
+  let x = box.x + quiet * module;
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) {
+      page.drawRectangle({ x, y: box.y, width: w * module, height: box.height, color: BLACK });
+    }
+    x += w * module;
+  });
+}
+
+/** QR with a 4-module quiet zone; dark runs per row are drawn as one rectangle. */
+function drawQrCode(page: PDFPage, text: string, box: { x: number; y: number; size: number }): void {
+  const modules = qrMatrix(text);
+  const quiet = 4;
+  const m = box.size / (modules.length + quiet * 2);
+  modules.forEach((row, r) => {
+    const y = box.y + box.size - (r + quiet + 1) * m;
+    let c = 0;
+    while (c < row.length) {
+      if (!row[c]) {
+        c++;
+        continue;
+      }
+      const start = c;
+      while (c < row.length && row[c]) c++;
+      page.drawRectangle({ x: box.x + (start + quiet) * m, y, width: (c - start) * m, height: m, color: BLACK });
+    }
+  });
+}
+
+function slipFieldValue(slip: DeliverySlip, field: SlipPdfField): string {
+  if (field === 'itemInfo') return [slip.quantity || 'N/A', slip.sku || 'N/A'].join(' x ');
+  return slip[field] || 'N/A';
+}
+
+type NoteBlock = { label: string; text: string };
+
+/**
+ * Largest font size at which every block fits the height; at the minimum size
+ * the text is cut with "..." instead.
+ */
+function layoutNoteBlocks(
+  fonts: SlipFonts,
+  blocks: NoteBlock[],
+  maxWidth: number,
+  maxHeight: number
+): { size: number; blocks: Array<{ label: string; lines: string[] }> } {
+  for (let size = MAX_NOTE_SIZE; size >= MIN_NOTE_SIZE; size--) {
+    const laid = blocks.map((b) => ({ label: b.label, lines: wrapText(fonts.bold, b.text, size, maxWidth) }));
+    const height = laid.reduce((h, b) => h + FIELD_LINE_HEIGHT + b.lines.length * size * 1.25 + 6, 0);
+    if (height <= maxHeight || size === MIN_NOTE_SIZE) {
+      if (height > maxHeight) {
+        let room = maxHeight;
+        for (const b of laid) {
+          room -= FIELD_LINE_HEIGHT + 6;
+          const fit = Math.max(0, Math.floor(room / (size * 1.25)));
+          if (b.lines.length > fit) {
+            b.lines = b.lines.slice(0, fit);
+            if (fit > 0) b.lines[fit - 1] = fitText(fonts.bold, `${b.lines[fit - 1]}...`, size, maxWidth);
+          }
+          room -= b.lines.length * size * 1.25;
+        }
+      }
+      return { size, blocks: laid };
+    }
+  }
+  return { size: MIN_NOTE_SIZE, blocks: [] };
+}
+
+/** Draw one slip on a blank page (any size close to 4x6; the layout follows the page width). */
+export function drawDeliverySlip(
+  page: PDFPage,
+  fonts: SlipFonts,
+  slip: DeliverySlip,
+  layout: DeliverySlipPdfLayout = DEFAULT_SLIP_PDF_LAYOUT
+): void {
+  const { width, height } = page.getSize();
+  const inner = width - MARGIN * 2;
+  let y = height - MARGIN - 14;
+
+  const footer = layout.footer.map((text) => fitText(fonts.regular, text, FIELD_SIZE, inner));
+  const footerTop = MARGIN + (footer.length ? 8 + footer.length * FOOTER_LINE_HEIGHT : 0);
+  const boxBottom = footerTop + (footer.length ? 8 : 0);
+
+  page.drawText('DELIVERY INSTRUCTIONS', { x: MARGIN, y, size: 14, font: fonts.bold, color: BLACK });
+  y -= 6;
+  page.drawLine({ start: { x: MARGIN, y }, end: { x: width - MARGIN, y }, thickness: 2, color: BLACK });
+  y -= 8 + CODE_ROW_HEIGHT;
+
+  if (isKnown(slip.orderId)) {
+    const barcodeWidth = inner - CODE_ROW_HEIGHT - 12;
+    drawCode128(page, slip.orderId, { x: MARGIN, y: y + 16, width: barcodeWidth, height: 40 });
+    const caption = fitText(fonts.regular, slip.orderId, 8, barcodeWidth);
+    page.drawText(caption, {
+      x: MARGIN + (barcodeWidth - fonts.regular.widthOfTextAtSize(caption, 8)) / 2,
+      y: y + 5,
+      size: 8,
+      font: fonts.regular,
+      color: BLACK,
+    });
+  }
+  const qrText = slipQrText(slip);
+  if (isKnown(qrText)) {
+    drawQrCode(page, qrText, { x: width - MARGIN - CODE_ROW_HEIGHT, y, size: CODE_ROW_HEIGHT });
+  }
+  y -= 8;
+
+  // Long layouts get one line per field; fields that would squeeze the note box are left out
+  const maxFieldLines = layout.fields.length > 5 ? 1 : 2;
+  const fields = SLIP_PDF_FIELDS.filter((f) => layout.fields.includes(f.key));
+  for (const { key, label } of fields) {
+    if (y - (FIELD_LINE_HEIGHT + 3) - 8 < boxBottom + MIN_BOX_HEIGHT) break;
+    y -= FIELD_LINE_HEIGHT;
+    page.drawText(`${label}:`, { x: MARGIN, y, size: FIELD_SIZE, font: fonts.bold, color: BLACK });
+    const lines = wrapText(fonts.regular, slipFieldValue(slip, key), FIELD_SIZE, inner - FIELD_LABEL_WIDTH)
+      .slice(0, maxFieldLines);
+    lines.forEach((line, i) => {
+      page.drawText(line, {
+        x: MARGIN + FIELD_LABEL_WIDTH,
+        y: y - i * FIELD_LINE_HEIGHT,
+        size: FIELD_SIZE,
+        font: fonts.regular,
+        color: BLACK,
+      });
+    });
+    y -= (lines.length - 1) * FIELD_LINE_HEIGHT + 3;
+  }
+
+  if (footer.length) {
+    page.drawLine({
+      start: { x: MARGIN, y: footerTop },
+      end: { x: width - MARGIN, y: footerTop },
+      thickness: 2,
+      color: BLACK,
+    });
+  }
+  footer.forEach((text, i) => {
+    page.drawText(text, {
+      x: (width - fonts.regular.widthOfTextAtSize(text, FIELD_SIZE)) / 2,
+      y: footerTop - 16 - i * FOOTER_LINE_HEIGHT,
+      size: FIELD_SIZE,
+      font: fonts.regular,
+      color: BLACK,
+    });
+  });
+
+  const boxTop = y - 8;
+  page.drawRectangle({
+    x: MARGIN,
+    y: boxBottom,
+    width: inner,
+    height: boxTop - boxBottom,
+    color: BOX_FILL,
+    borderColor: BLACK,
+    borderWidth: 1,
+  });
+
+  const blocks: NoteBlock[] = [
+    { label: 'Delivery Instructions:', text: slip.deliveryInstructions || 'No special instructions' },
+  ];
+  if (slip.giftMessage) blocks.push({ label: 'Gift Message:', text: slip.giftMessage });
+  const notes = layoutNoteBlocks(
+    fonts,
+    blocks,
+    inner - BOX_PADDING * 2,
+    boxTop - boxBottom - BOX_PADDING * 2
+  );
+
+  let textY = boxTop - BOX_PADDING;
+  for (const block of notes.blocks) {
+    textY -= FIELD_LINE_HEIGHT - 3;
+    page.drawText(block.label, { x: MARGIN + BOX_PADDING, y: textY, size: FIELD_SIZE, font: fonts.bold, color: BLACK });
+    textY -= 3;
+    for (const line of block.lines) {
+      textY -= notes.size * 1.25;
+      page.drawText(line, {
+        x: MARGIN + BOX_PADDING,
+        y: textY + notes.size * 0.25,
+        size: notes.size,
+        font: fonts.bold,
+        color: BLACK,
+      });
+    }
+    textY -= 6;
+  }
+}
+
+/** One 4x6 page per slip, in the given order. */
+export async function generateDeliverySlipsPdf(
+  slips: DeliverySlip[],
+  layout?: DeliverySlipPdfLayout
+): Promise<Uint8Array> {
+  const doc = await PDFDocument.create();
+  const fonts = await embedSlipFonts(doc);
+  for (const slip of slips) {
+    drawDeliverySlip(doc.addPage(SLIP_PAGE_SIZE), fonts, slip, layout);
+  }
+  return doc.save();
+}
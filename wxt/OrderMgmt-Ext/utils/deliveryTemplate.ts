@@ -0,0 +1,143 @@
+/**
+ * Delivery-instructions ("Print Note") template editing: storage key, the
+ * placeholders the content script fills (see buildDeliveryInstructionsData in
+ * public/content/veeqo/delivery-instructions.js), a preview renderer and the
+ * PDF slip layout (utils/deliverySlipPdf.ts) saved with the template.
+ */
+
+/** Custom template in chrome.storage.local (too large for sync); absent = packaged default. */
+export const DELIVERY_TEMPLATE_STORAGE_KEY = 'deliveryInstructionsTemplate';
+
+/** Fields the PDF slip can list above the note box. */
+export type SlipPdfField =
+  | 'orderId'
+  | 'orderDate'
+  | 'channel'
+  | 'recipient'
+  | 'buyerPhone'
+  | 'address'
+  | 'itemInfo'
+  | 'itemTitles';
+
+/**
+ * The PDF can't render the HTML template, so it has its own layout: which
+ * fields it lists (always in SLIP_PDF_FIELDS order) and the footer lines.
+ * The delivery instructions and gift message always go in the note box.
+ */
+export type DeliverySlipPdfLayout = {
+  fields: SlipPdfField[];
+  footer: string[];
+};
+
+export type DeliveryTemplate = {
+  html: string;
+  css: string;
+  /** Absent in templates saved before the PDF layout existed = DEFAULT_SLIP_PDF_LAYOUT */
+  pdf?: DeliverySlipPdfLayout;
+};
+
+export const SLIP_PDF_FIELDS: Array<{ key: SlipPdfField; label: string }> = [
+  { key: 'orderId', label: 'Order Number' },
+  { key: 'orderDate', label: 'Order Date' },
+  { key: 'channel', label: 'Store' },
+  { key: 'recipient', label: 'Customer Name' },
+  { key: 'buyerPhone', label: 'Customer Phone' },
+  { key: 'address', label: 'Address' },
+  { key: 'itemInfo', label: 'Item Info' },
+  { key: 'itemTitles', label: 'Items' },
+];
+
+export const MAX_SLIP_FOOTER_LINES = 3;
+
+/** Matches the packaged HTML template. */
+export const DEFAULT_SLIP_PDF_LAYOUT: DeliverySlipPdfLayout = {
+  fields: ['orderId', 'recipient', 'buyerPhone', 'itemInfo'],
+  footer: ['Thanks for shopping with GocBepViet', 'https://gocbepviet.com/'],
+};
+
+/** Fill in missing or invalid fields from the defaults (storage may hold older shapes). */
+export function normalizeSlipPdfLayout(raw: unknown): DeliverySlipPdfLayout {
+  const r = (raw && typeof raw === 'object' ? raw : {}) as Partial<DeliverySlipPdfLayout>;
+  const fields = Array.isArray(r.fields)
+    ? SLIP_PDF_FIELDS.map((f) => f.key).filter((key) => r.fields!.includes(key))
+    : DEFAULT_SLIP_PDF_LAYOUT.fields;
+  const footer = Array.isArray(r.footer)
+    ? r.footer
+        .filter((line): line is string => typeof line === 'string')
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .slice(0, MAX_SLIP_FOOTER_LINES)
+    : DEFAULT_SLIP_PDF_LAYOUT.footer;
+  return { fields, footer };
+}
+
+/** The PDF layout of the saved template, else the default. */
+export async function loadSlipPdfLayout(): Promise<DeliverySlipPdfLayout> {
+  const stored = await chrome.storage.local.get([DELIVERY_TEMPLATE_STORAGE_KEY]);
+  const custom = stored[DELIVERY_TEMPLATE_STORAGE_KEY] as DeliveryTemplate | undefined;
+  return normalizeSlipPdfLayout(custom?.pdf);
+}
+
+export const DELIVERY_TEMPLATE_PLACEHOLDERS: Array<{ key: string; description: string }> = [
+  { key: 'orderId', description: 'Order number (sales record number)' },
+  { key: 'orderDate', description: 'Order date (local)' },
+  { key: 'channel', description: 'Store / channel name' },
+  { key: 'recipient', description: 'Recipient name' },
+  { key: 'buyerPhone', description: 'Recipient phone' },
+  { key: 'address', description: 'Delivery address, one line' },
+  { key: 'quantity', description: 'Quantity to ship' },
+  { key: 'sku', description: 'SKU codes' },
+  { key: 'itemTitles', description: 'Line-item product titles' },
+  { key: 'deliveryInstructions', description: 'Customer note' },
+  { key: 'giftMessage', description: 'Gift message (blank when none)' },
+  { key: 'veeqoOrderId', description: 'Veeqo order id' },
+  { key: 'orderBarcode', description: 'Code 128 image of the order number (use as <img src>)' },
+  { key: 'orderQrCode', description: 'QR image linking to the Veeqo order (use as <img src>)' },
+];
+
+/** Stand-in images for the preview; the real codes are generated by the content script. */
+function sampleImage(width: number, height: number, label: string): string {
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="${width}" height="${height}" fill="#ddd" stroke="#000"/>` +
+    `<text x="50%" y="55%" font-family="Arial" font-size="10" text-anchor="middle">${label}</text></svg>`;
+  return `data:image/svg+xml;base64,${btoa(svg)}`;
+}
+
+/** Sample order used for the live preview. */
+export const SAMPLE_DELIVERY_DATA: Record<string, string> = {
+  orderId: '112-4567890-1234567',
+  orderDate: new Date().toLocaleDateString(),
+  channel: 'Amazon US',
+  recipient: 'Jane Doe',
+  buyerPhone: '+1 555-010-0199',
+  address: '123 Main St, Apt 4, Springfield, IL 62704, US',
+  quantity: '2',
+  sku: 'MUG-BLU-12, COASTER-4PK',
+  itemTitles: 'Blue Ceramic Mug 12oz, Cork Coasters (4 pack)',
+  deliveryInstructions: 'Please leave the package at the back door, behind the planter.',
+  giftMessage: 'Happy birthday, Mom!',
+  veeqoOrderId: '123456789',
+  orderBarcode: sampleImage(160, 40, 'Code 128'),
+  orderQrCode: sampleImage(60, 60, 'QR'),
+};
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Same substitution as fillDeliveryInstructionsTemplate in the content script. */
+export function fillDeliveryTemplate(
+  template: DeliveryTemplate,
+  data: Record<string, string>
+): string {
+  let html = template.html.replace(/\{\{PRINT_CSS\}\}/g, template.css);
+  for (const [key, value] of Object.entries(data)) {
+    html = html.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), escapeHtml(value));
+  }
+  return html;
+}
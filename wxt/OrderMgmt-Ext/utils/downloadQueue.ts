@@ -0,0 +1,99 @@
+/**
+ * Bounded-concurrency task runner with retry and backoff for rate-limited APIs.
+ * Results keep the input order regardless of completion order. A retryable
+ * failure pauses every worker (not just the failing one), so a 429 slows the
+ * whole queue down instead of letting other requests hammer the API.
+ */
+
+/**
+ * Error shape thrown by HTTP helpers: status and optional Retry-After hint, or
+ * `network` when fetch itself failed (see fetchWithRetryInfo).
+ */
+export type HttpError = Error & { status?: number; retryAfterMs?: number; network?: boolean };
+
+export function createHttpError(
+  message: string,
+  status: number,
+  retryAfterHeader?: string | null
+): HttpError {
+  let retryAfterMs: number | undefined;
+  if (retryAfterHeader) {
+    const seconds = Number(retryAfterHeader);
+    const dateMs = Date.parse(retryAfterHeader);
+    if (!Number.isNaN(seconds)) retryAfterMs = seconds * 1000;
+    else if (!Number.isNaN(dateMs)) retryAfterMs = Math.max(0, dateMs - Date.now());
+  }
+  return Object.assign(new Error(message), { status, retryAfterMs });
+}
+
+/**
+ * fetch, with its own rejections (network failures) tagged so the queue retries
+ * them and not a TypeError thrown by code that handles the response.
+ */
+export async function fetchWithRetryInfo(input: string, init?: RequestInit): Promise<Response> {
+  try {
+    return await fetch(input, init);
+  } catch (error) {
+    throw Object.assign(error instanceof Error ? error : new Error(String(error)), { network: true });
+  }
+}
+
+/** 429, 5xx and network failures from fetchWithRetryInfo are worth retrying. */
+export function isRetryableHttpError(error: unknown): boolean {
+  const err = error as HttpError;
+  if (err?.status != null) return err.status === 429 || err.status >= 500;
+  return err?.network === true;
+}
+
+export type QueueOptions = {
+  concurrency: number;
+  maxRetries?: number;
+  /** First backoff delay; doubles on each retry of the same task. */
+  baseDelayMs?: number;
+  isRetryable?: (error: unknown) => boolean;
+  onRetry?: (info: { index: number; attempt: number; delayMs: number; error: unknown }) => void;
+};
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export async function runQueue<T>(
+  tasks: Array<() => Promise<T>>,
+  options: QueueOptions
+): Promise<T[]> {
+  const maxRetries = options.maxRetries ?? 4;
+  const baseDelayMs = options.baseDelayMs ?? 1000;
+  const isRetryable = options.isRetryable || isRetryableHttpError;
+  const results = new Array<T>(tasks.length);
+  let next = 0;
+  let pausedUntil = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < tasks.length) {
+      const index = next++;
+      for (let attempt = 0; ; attempt++) {
+        const wait = pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+        try {
+          results[index] = await tasks[index]();
+          break;
+        } catch (error) {
+          if (attempt >= maxRetries || !isRetryable(error)) {
+            failed = true;
+            throw error;
+          }
+          const hinted = (error as HttpError).retryAfterMs;
+          const delayMs = hinted ?? baseDelayMs * 2 ** attempt + Math.random() * 250;
+          pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+          options.onRetry?.({ index, attempt: attempt + 1, delayMs, error });
+        }
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(options.concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
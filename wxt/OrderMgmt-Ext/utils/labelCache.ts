@@ -0,0 +1,140 @@
+/**
+ * IndexedDB cache of downloaded label PDFs, keyed by shipment id plus a variant
+ * (the stamp text for stamped labels), so a re-run only fetches missing labels.
+ * Cache errors are logged and treated as misses — they never fail a run.
+ */
+
+const DB_NAME = 'veeqo-label-cache';
+/** v2 adds the `size` index; v1 entries (no size) are dropped on upgrade — it is only a cache. */
+const DB_VERSION = 2;
+const STORE = 'labels';
+/** Entries older than this are pruned (labels for a shipment never change). */
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+type CachedLabel = {
+  key: string;
+  shipmentId: number;
+  bytes: Uint8Array;
+  /** bytes.byteLength, indexed so stats never load the PDFs */
+  size: number;
+  savedAt: number;
+};
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb(): Promise<IDBDatabase> {
+  if (!dbPromise) {
+    dbPromise = new Promise<IDBDatabase>((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains(STORE)) db.deleteObjectStore(STORE);
+        const store = db.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('savedAt', 'savedAt');
+        store.createIndex('size', 'size');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore<T>(
+  mode: IDBTransactionMode,
+  fn: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+  const db = await openDb();
+  return requestToPromise(fn(db.transaction(STORE, mode).objectStore(STORE)));
+}
+
+function cacheKey(shipmentId: number, variant: string): string {
+  return `${shipmentId}|${variant}`;
+}
+
+export async function getCachedLabel(
+  shipmentId: number,
+  variant: string
+): Promise<Uint8Array | null> {
+  try {
+    const entry = await withStore<CachedLabel | undefined>('readonly', (store) =>
+      store.get(cacheKey(shipmentId, variant))
+    );
+    return entry ? new Uint8Array(entry.bytes) : null;
+  } catch (error) {
+    console.warn('Label cache read failed:', error);
+    return null;
+  }
+}
+
+export async function putCachedLabel(
+  shipmentId: number,
+  variant: string,
+  bytes: Uint8Array
+): Promise<void> {
+  try {
+    const entry: CachedLabel = {
+      key: cacheKey(shipmentId, variant),
+      shipmentId,
+      bytes,
+      size: bytes.byteLength,
+      savedAt: Date.now(),
+    };
+    await withStore('readwrite', (store) => store.put(entry));
+  } catch (error) {
+    console.warn('Label cache write failed:', error);
+  }
+}
+
+/** Delete entries saved before maxAgeMs ago; returns how many were removed. */
+export async function pruneLabelCache(maxAgeMs = MAX_AGE_MS): Promise<number> {
+  try {
+    const cutoff = IDBKeyRange.upperBound(Date.now() - maxAgeMs);
+    const keys = await withStore('readonly', (store) =>
+      store.index('savedAt').getAllKeys(cutoff)
+    );
+    for (const key of keys) {
+      await withStore('readwrite', (store) => store.delete(key));
+    }
+    return keys.length;
+  } catch (error) {
+    console.warn('Label cache prune failed:', error);
+    return 0;
+  }
+}
+
+export async function clearLabelCache(): Promise<void> {
+  await withStore('readwrite', (store) => store.clear());
+}
+
+/** Sums the `size` index with a key cursor, so no cached PDF is read into memory. */
+export async function getLabelCacheStats(): Promise<{ count: number; bytes: number }> {
+  const db = await openDb();
+  const index = db.transaction(STORE, 'readonly').objectStore(STORE).index('size');
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    let bytes = 0;
+    const request = index.openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ count, bytes });
+        return;
+      }
+      count++;
+      bytes += Number(cursor.key) || 0;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
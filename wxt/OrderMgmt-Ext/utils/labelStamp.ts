@@ -0,0 +1,135 @@
+/**
+ * Label stamp settings (template, corner, font size, rotation) shared by the
+ * options page and the daily labels PDF. Kept free of pdf-lib so the options
+ * page can render previews without bundling it.
+ */
+
+export type StampCorner = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+export type StampRotation = 0 | 90 | 180 | 270;
+
+export type LabelStampSettings = {
+  /** Text with {placeholders}; each line of the template is one stamp line. */
+  template: string;
+  corner: StampCorner;
+  fontSize: number;
+  /** Counter-clockwise, in degrees. */
+  rotation: StampRotation;
+  /** Filled into {picker}; set per packing station. */
+  pickerInitial: string;
+};
+
+/** Values available to the template for one shipment. */
+export type StampFields = {
+  boughtAtMs: number;
+  orderNumber: string;
+  items: Array<{ sku: string; quantity: number }>;
+  pickerInitial: string;
+};
+
+export const LABEL_STAMP_STORAGE_KEY = 'labelsStamp';
+
+export const MIN_STAMP_FONT_SIZE = 5;
+export const MAX_STAMP_FONT_SIZE = 16;
+
+/** The original fixed stamp: buy time, top-left, 8pt. */
+export const DEFAULT_LABEL_STAMP: LabelStampSettings = {
+  template: 'Bought: {bought}',
+  corner: 'top-left',
+  fontSize: 8,
+  rotation: 0,
+  pickerInitial: '',
+};
+
+export const STAMP_CORNERS: Array<{ id: StampCorner; label: string }> = [
+  { id: 'top-left', label: 'Top left' },
+  { id: 'top-right', label: 'Top right' },
+  { id: 'bottom-left', label: 'Bottom left' },
+  { id: 'bottom-right', label: 'Bottom right' },
+];
+
+export const STAMP_ROTATIONS: StampRotation[] = [0, 90, 180, 270];
+
+export const STAMP_PLACEHOLDERS: Array<{ key: string; description: string }> = [
+  { key: 'bought', description: 'Buy date and time (local)' },
+  { key: 'time', description: 'Buy time only' },
+  { key: 'order', description: 'Order number' },
+  { key: 'skus', description: 'SKU summary, e.g. 2x ABC-1, DEF-2' },
+  { key: 'qty', description: 'Total quantity on the shipment' },
+  { key: 'picker', description: 'Picker initial' },
+];
+
+/** Fill in missing or invalid fields from the defaults (storage may hold older shapes). */
+export function normalizeLabelStamp(raw: unknown): LabelStampSettings {
+  const value = (raw && typeof raw === 'object' ? raw : {}) as Partial<LabelStampSettings>;
+  const fontSize = Number(value.fontSize);
+  return {
+    template:
+      typeof value.template === 'string' && value.template.trim()
+        ? value.template
+        : DEFAULT_LABEL_STAMP.template,
+    corner: STAMP_CORNERS.some((c) => c.id === value.corner)
+      ? (value.corner as StampCorner)
+      : DEFAULT_LABEL_STAMP.corner,
+    fontSize:
+      fontSize >= MIN_STAMP_FONT_SIZE && fontSize <= MAX_STAMP_FONT_SIZE
+        ? fontSize
+        : DEFAULT_LABEL_STAMP.fontSize,
+    rotation: STAMP_ROTATIONS.includes(Number(value.rotation) as StampRotation)
+      ? (Number(value.rotation) as StampRotation)
+      : DEFAULT_LABEL_STAMP.rotation,
+    pickerInitial: typeof value.pickerInitial === 'string' ? value.pickerInitial.trim() : '',
+  };
+}
+
+export async function loadLabelStampSettings(): Promise<LabelStampSettings> {
+  const stored = await chrome.storage.sync.get([LABEL_STAMP_STORAGE_KEY]);
+  return normalizeLabelStamp(stored[LABEL_STAMP_STORAGE_KEY]);
+}
+
+function formatBoughtDate(ms: number): string {
+  return new Date(ms).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  });
+}
+
+function formatBoughtTime(ms: number): string {
+  return new Date(ms).toLocaleTimeString(undefined, {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+/** "2x ABC-1, DEF-2" — quantities of 1 are left bare to keep the stamp short. */
+export function summarizeSkus(items: StampFields['items']): string {
+  return items
+    .filter((item) => item.sku)
+    .map((item) => (item.quantity > 1 ? `${item.quantity}x ${item.sku}` : item.sku))
+    .join(', ');
+}
+
+/**
+ * Render the template for one shipment. Unknown placeholders are left as-is so
+ * typos are visible on the label; blank lines are dropped.
+ */
+export function renderStampText(template: string, fields: StampFields): string[] {
+  const values: Record<string, string> = {
+    bought: `${formatBoughtDate(fields.boughtAtMs)} ${formatBoughtTime(fields.boughtAtMs)}`,
+    time: formatBoughtTime(fields.boughtAtMs),
+    order: fields.orderNumber,
+    skus: summarizeSkus(fields.items),
+    qty: String(fields.items.reduce((n, item) => n + item.quantity, 0)),
+    picker: fields.pickerInitial,
+  };
+  return template
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\{(\w+)\}/g, (m, key: string) => values[key] ?? m).trim())
+    .filter(Boolean);
+}
+
+/** Cache variant for a stamped label: the rendered text plus its placement. */
+export function stampCacheVariant(lines: string[], settings: LabelStampSettings): string {
+  return [settings.corner, settings.fontSize, settings.rotation, ...lines].join('|');
+}
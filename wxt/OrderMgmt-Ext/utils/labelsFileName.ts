@@ -0,0 +1,21 @@
+/**
+ * File name / share subject for the daily labels PDF, built from the share
+ * message saved in the popup. Shared by the popup and scheduled runs.
+ */
+
+export const DEFAULT_SHARE_MESSAGE = '[GocBepViet] Shipping Label';
+
+/** Combine stored share message with the label date (used as email subject, etc.). */
+export function buildShareSubject(shareMessage: string, dateStr: string): string {
+  const base = shareMessage.trim() || DEFAULT_SHARE_MESSAGE;
+  return `${base} ${dateStr}`.trim();
+}
+
+/** Same PDF filename for Download / Email attachment / Share / WhatsApp. */
+export function buildPdfFileName(shareMessage: string, dateStr: string): string {
+  return `${sanitizeFileName(buildShareSubject(shareMessage, dateStr))}.pdf`;
+}
+
+export function sanitizeFileName(name: string): string {
+  return name.replace(/[\\/:*?"<>|]/g, '_').replace(/\s+/g, ' ').trim() || 'Shipping_Labels';
+}
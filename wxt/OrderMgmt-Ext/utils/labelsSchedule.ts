@@ -0,0 +1,71 @@
+/**
+ * Daily scheduled labels PDF: settings (chrome.storage.sync) and run history
+ * (chrome.storage.local). The alarm itself is owned by the background worker.
+ */
+
+export type LabelsSchedule = {
+  enabled: boolean;
+  /** Local time of day, "HH:MM" */
+  time: string;
+};
+
+export type ScheduledRun = {
+  /** When the run finished (ms) */
+  at: number;
+  status: 'saved' | 'error' | 'skipped';
+  dateStr?: string;
+  shipmentCount?: number;
+  filename?: string;
+  error?: string;
+};
+
+export const LABELS_SCHEDULE_KEY = 'labelsSchedule';
+export const LABELS_SCHEDULE_HISTORY_KEY = 'labelsScheduleHistory';
+const MAX_HISTORY = 30;
+
+export const DEFAULT_LABELS_SCHEDULE: LabelsSchedule = { enabled: false, time: '16:00' };
+
+export function normalizeLabelsSchedule(raw: unknown): LabelsSchedule {
+  const value = (raw && typeof raw === 'object' ? raw : {}) as Partial<LabelsSchedule>;
+  return {
+    enabled: value.enabled === true,
+    time:
+      typeof value.time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value.time)
+        ? value.time
+        : DEFAULT_LABELS_SCHEDULE.time,
+  };
+}
+
+/** Next local occurrence of "HH:MM" strictly after `now`. */
+export function nextScheduledRun(time: string, now = Date.now()): number {
+  const [hours, minutes] = time.split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+/**
+ * Whether an existing alarm still fits the schedule: same local "HH:MM" and no later
+ * than the next occurrence. A past-due alarm (browser closed at run time) still fits,
+ * so Chrome fires the missed run instead of it being pushed to the next day.
+ */
+export function isAlarmOnSchedule(scheduledTime: number, time: string, now = Date.now()): boolean {
+  const at = new Date(scheduledTime);
+  const hhmm = `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+  return hhmm === time && at.getSeconds() === 0 && scheduledTime <= nextScheduledRun(time, now);
+}
+
+export async function getScheduleHistory(): Promise<ScheduledRun[]> {
+  const stored = await chrome.storage.local.get([LABELS_SCHEDULE_HISTORY_KEY]);
+  const history = stored[LABELS_SCHEDULE_HISTORY_KEY];
+  return Array.isArray(history) ? (history as ScheduledRun[]) : [];
+}
+
+/** Newest first, capped at MAX_HISTORY entries. */
+export async function appendScheduleHistory(run: ScheduledRun): Promise<void> {
+  const history = await getScheduleHistory();
+  await chrome.storage.local.set({
+    [LABELS_SCHEDULE_HISTORY_KEY]: [run, ...history].slice(0, MAX_HISTORY),
+  });
+}
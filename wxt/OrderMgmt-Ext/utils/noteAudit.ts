@@ -0,0 +1,129 @@
+/**
+ * Audit log of the note writes the background worker makes to Veeqo (customer
+ * notes and employee notes), kept in chrome.storage.local so each write can be
+ * reverted from the options page.
+ */
+
+export type NoteField = 'customer_note' | 'employee_note';
+
+export type NoteAuditEntry = {
+  id: string;
+  /** Entries written by one run of a feature (e.g. one report import) share a batch. */
+  batchId: string;
+  /** Feature that made the write, see NOTE_AUDIT_SOURCES */
+  source: string;
+  orderId: string;
+  orderNumber?: string;
+  field: NoteField;
+  /**
+   * Before the write: the customer note, the text of the edited employee note, or
+   * for an added employee note the order's latest one; null when empty or unknown
+   */
+  oldValue: string | null;
+  /** False when the order could not be read before the write; such entries are not reverted */
+  oldValueKnown?: boolean;
+  newValue: string;
+  /** Id of the employee note this write added (reverting deletes it) */
+  createdNoteId?: number;
+  /** Id of the employee note this write edited in place, e.g. note tags (reverting restores oldValue) */
+  editedNoteId?: number;
+  at: number;
+  revertedAt?: number;
+  revertError?: string;
+};
+
+export const NOTE_AUDIT_KEY = 'noteAuditLog';
+const MAX_ENTRIES = 1000;
+
+/** Labels for the `source` values the content scripts send. */
+export const NOTE_AUDIT_SOURCES: Record<string, string> = {
+  'order-report-import': 'Order report import',
+  'usps-eprice': 'USPS E-price',
+  'usps-label': 'USPS label purchase',
+  unknown: 'Other',
+};
+
+type VeeqoNoteOrder = {
+  number?: string | number;
+  customer_note?: string | { text?: string } | null;
+  employee_notes?: Array<{ id?: number; text?: string }> | null;
+};
+
+export function employeeNoteText(order: VeeqoNoteOrder | null, noteId: number): string | null {
+  const note = (order?.employee_notes || []).find((n) => n.id === noteId);
+  return note ? note.text?.trim() || null : null;
+}
+
+export function customerNoteOf(order: VeeqoNoteOrder | null): string | null {
+  const note = order?.customer_note;
+  const text = typeof note === 'string' ? note : note?.text;
+  return text?.trim() || null;
+}
+
+/** The note Veeqo shows for the order: the last employee note. */
+export function latestEmployeeNoteOf(order: VeeqoNoteOrder | null): string | null {
+  const notes = order?.employee_notes || [];
+  return notes[notes.length - 1]?.text?.trim() || null;
+}
+
+export function employeeNoteIds(order: VeeqoNoteOrder | null): number[] {
+  return (order?.employee_notes || []).map((n) => n.id).filter((id): id is number => typeof id === 'number');
+}
+
+/** Newest first. */
+export async function loadNoteAuditLog(): Promise<NoteAuditEntry[]> {
+  const stored = await chrome.storage.local.get([NOTE_AUDIT_KEY]);
+  const log = stored[NOTE_AUDIT_KEY];
+  return Array.isArray(log) ? (log as NoteAuditEntry[]) : [];
+}
+
+/** Writes can arrive back to back from several tabs; serialize read-modify-write. */
+let pendingUpdate: Promise<unknown> = Promise.resolve();
+
+function updateNoteAuditLog(change: (log: NoteAuditEntry[]) => NoteAuditEntry[]): Promise<void> {
+  const next = pendingUpdate.then(async () => {
+    const log = await loadNoteAuditLog();
+    await chrome.storage.local.set({ [NOTE_AUDIT_KEY]: change(log).slice(0, MAX_ENTRIES) });
+  });
+  pendingUpdate = next.catch(() => undefined);
+  return next;
+}
+
+export function appendNoteAuditEntry(entry: Omit<NoteAuditEntry, 'id' | 'at'>): Promise<void> {
+  const at = Date.now();
+  const id = `${at}-${Math.random().toString(36).slice(2, 8)}`;
+  return updateNoteAuditLog((log) => [{ ...entry, id, at }, ...log]);
+}
+
+export function markNoteAuditEntries(
+  updates: Record<string, Pick<NoteAuditEntry, 'revertedAt' | 'revertError'>>
+): Promise<void> {
+  return updateNoteAuditLog((log) =>
+    log.map((entry) => (updates[entry.id] ? { ...entry, ...updates[entry.id] } : entry))
+  );
+}
+
+export function clearNoteAuditLog(): Promise<void> {
+  return updateNoteAuditLog(() => []);
+}
+
+export type NoteAuditBatch = {
+  batchId: string;
+  source: string;
+  at: number;
+  entries: NoteAuditEntry[];
+};
+
+/** Batches newest first; entries keep log order (newest first). */
+export function groupNoteAuditBatches(log: NoteAuditEntry[]): NoteAuditBatch[] {
+  const batches = new Map<string, NoteAuditBatch>();
+  for (const entry of log) {
+    let batch = batches.get(entry.batchId);
+    if (!batch) {
+      batch = { batchId: entry.batchId, source: entry.source, at: entry.at, entries: [] };
+      batches.set(entry.batchId, batch);
+    }
+    batch.entries.push(entry);
+  }
+  return [...batches.values()];
+}
@@ -0,0 +1,123 @@
+/**
+ * Package preset rules and packaging tare for USPS autofill (chrome.storage.sync),
+ * edited on the options page. public/content/usps/package-presets.js evaluates them
+ * as loaded here, normalized, through the background (getPackagePresets), so the
+ * storage keys and rule shape live only in this file. Rules are tried in order and
+ * the first match wins.
+ */
+
+export const PACKAGE_PRESET_RULES_KEY = 'packagePresetRules';
+/** Ounces added to the product weight when no preset matches (a preset's padding replaces it) */
+export const PACKAGING_TARE_KEY = 'packagingTareOz';
+export const MAX_PACKAGE_PRESET_RULES = 30;
+
+export type PackagePresetConditions = {
+  /** Any line-item SKU matches any pattern ("*" wildcard, case-insensitive); empty = any SKU */
+  skus: string[];
+  /** Total units on the order */
+  minQuantity: number | null;
+  maxQuantity: number | null;
+  /** Product weight total (sellable weight × quantity), ounces */
+  minWeightOz: number | null;
+  maxWeightOz: number | null;
+};
+
+export type PackagePreset = {
+  /** Inches */
+  length: number | null;
+  width: number | null;
+  height: number | null;
+  /** Text of the USPS package type option to pick; empty = "I am shipping with my own package" */
+  packageType: string;
+  /** Added to the product weight, ounces */
+  paddingOz: number;
+};
+
+export type PackagePresetRule = {
+  id: string;
+  name: string;
+  enabled: boolean;
+  /** Use the preset even when Veeqo has package data for the allocation */
+  override: boolean;
+  conditions: PackagePresetConditions;
+  preset: PackagePreset;
+};
+
+export function newPackagePresetRule(): PackagePresetRule {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: 'New rule',
+    enabled: true,
+    override: false,
+    conditions: { skus: [], minQuantity: null, maxQuantity: null, minWeightOz: null, maxWeightOz: null },
+    preset: { length: null, width: null, height: null, packageType: '', paddingOz: 0 },
+  };
+}
+
+function positiveOrNull(value: unknown): number | null {
+  const n = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function normalizePackagePresetRules(raw: unknown): PackagePresetRule[] {
+  if (!Array.isArray(raw)) return [];
+  return raw.slice(0, MAX_PACKAGE_PRESET_RULES).map((value) => {
+    const rule = (value && typeof value === 'object' ? value : {}) as Partial<PackagePresetRule>;
+    const defaults = newPackagePresetRule();
+    const conditions = (rule.conditions || {}) as Partial<PackagePresetConditions>;
+    const preset = (rule.preset || {}) as Partial<PackagePreset>;
+    return {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : defaults.id,
+      name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : defaults.name,
+      enabled: rule.enabled !== false,
+      override: rule.override === true,
+      conditions: {
+        skus: Array.isArray(conditions.skus)
+          ? conditions.skus.map((s) => String(s).trim()).filter(Boolean)
+          : [],
+        minQuantity: positiveOrNull(conditions.minQuantity),
+        maxQuantity: positiveOrNull(conditions.maxQuantity),
+        minWeightOz: positiveOrNull(conditions.minWeightOz),
+        maxWeightOz: positiveOrNull(conditions.maxWeightOz),
+      },
+      preset: {
+        length: positiveOrNull(preset.length),
+        width: positiveOrNull(preset.width),
+        height: positiveOrNull(preset.height),
+        packageType: typeof preset.packageType === 'string' ? preset.packageType.trim() : '',
+        paddingOz: positiveOrNull(preset.paddingOz) ?? 0,
+      },
+    };
+  });
+}
+
+export function normalizePackagingTareOz(raw: unknown): number {
+  return Math.max(0, Number(raw) || 0);
+}
+
+/** Saved rules and tare, normalized; for the options page and the USPS content script. */
+export async function loadPackagePresets(): Promise<{ rules: PackagePresetRule[]; tareOz: number }> {
+  const stored = await chrome.storage.sync.get([PACKAGE_PRESET_RULES_KEY, PACKAGING_TARE_KEY]);
+  return {
+    rules: normalizePackagePresetRules(stored[PACKAGE_PRESET_RULES_KEY]),
+    tareOz: normalizePackagingTareOz(stored[PACKAGING_TARE_KEY]),
+  };
+}
+
+/** One-line summary of a rule's conditions for the options list. */
+export function describePackagePresetConditions(conditions: PackagePresetConditions): string {
+  const range = (min: number | null, max: number | null, unit: string) =>
+    min != null && max != null
+      ? `${min}–${max}${unit}`
+      : min != null
+        ? `≥ ${min}${unit}`
+        : max != null
+          ? `≤ ${max}${unit}`
+          : '';
+  const parts = [
+    conditions.skus.length ? `SKU ${conditions.skus.join(', ')}` : '',
+    range(conditions.minQuantity, conditions.maxQuantity, ' units'),
+    range(conditions.minWeightOz, conditions.maxWeightOz, ' oz'),
+  ].filter(Boolean);
+  return parts.length ? parts.join(' · ') : 'Every order';
+}
@@ -0,0 +1,58 @@
+/**
+ * Text helpers for drawing with pdf-lib's standard fonts (labels, manifest, slips).
+ */
+import type { PDFFont } from 'pdf-lib';
+
+const WIN_ANSI_SAFE = /^[\x20-\x7E\xA0-\xFF]$/;
+
+/**
+ * Standard fonts only encode WinAnsi; replace anything else so drawText cannot
+ * throw. Accented letters outside Latin-1 (e.g. Vietnamese names) lose their
+ * accents rather than turning into "?".
+ */
+export function pdfSafeText(text: string): string {
+  return Array.from(text.replace(/\s/g, ' '), (ch) => {
+    if (WIN_ANSI_SAFE.test(ch)) return ch;
+    const folded = ch
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd')
+      .replace(/Đ/g, 'D');
+    return WIN_ANSI_SAFE.test(folded) ? folded : '?';
+  }).join('');
+}
+
+export function fitText(font: PDFFont, text: string, size: number, maxWidth: number): string {
+  let out = pdfSafeText(text);
+  if (font.widthOfTextAtSize(out, size) <= maxWidth) return out;
+  while (out.length > 1 && font.widthOfTextAtSize(`${out}...`, size) > maxWidth) {
+    out = out.slice(0, -1);
+  }
+  return `${out}...`;
+}
+
+/** Word-wrap to maxWidth; words longer than a line are broken by character. */
+export function wrapText(font: PDFFont, text: string, size: number, maxWidth: number): string[] {
+  const lines: string[] = [];
+  const fits = (s: string) => font.widthOfTextAtSize(s, size) <= maxWidth;
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (const word of pdfSafeText(paragraph).split(' ').filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (!fits(line) && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && !fits(line.slice(0, cut))) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
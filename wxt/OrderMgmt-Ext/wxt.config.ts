@@ -2,8 +2,9 @@ import { defineConfig } from 'wxt';
 
 /**
  * Content scripts under public/content/:
- * - veeqo: app.veeqo.com (error/recovery, USPS UI, api, delivery-instructions, main content) · see css/veeqo for Veeqo styles
- * - usps: cnsb.usps.com autofill
+ * - veeqo: app.veeqo.com (error/recovery, USPS UI, allocation picker, api, delivery-instructions, order-report import, rate comparison, main content) · see css/veeqo for Veeqo styles
+ * - usps: cnsb.usps.com autofill (package presets, address normalization, autofill, label capture)
+ * - shared: loaded on both sites (employee-note tags, allocations)
  */
 export default defineConfig({
   modules: ['@wxt-dev/module-react'],
@@ -12,7 +13,17 @@ export default defineConfig({
     version: '1.0',
     description:
       'Adds USPS button to Veeqo allocations table for quick access to USPS label manager',
-    permissions: ['activeTab', 'tabs', 'scripting', 'storage', 'downloads', 'downloads.open'],
+    permissions: [
+      'activeTab',
+      'tabs',
+      'scripting',
+      'storage',
+      'unlimitedStorage',
+      'downloads',
+      'downloads.open',
+      'notifications',
+      'alarms',
+    ],
     host_permissions: ['https://api.veeqo.com/*', 'https://cnsb.usps.com/*'],
     content_scripts: [
       {
@@ -20,18 +31,30 @@ export default defineConfig({
         js: [
           'content/veeqo/error-handler.js',
           'content/veeqo/extension-recovery.js',
+          'content/shared/note-tags.js',
+          'content/shared/allocations.js',
           'content/veeqo/usps-functions.js',
+          'content/veeqo/allocation-picker.js',
           'content/veeqo/api/veeqo-api.js',
           'content/veeqo/api/api-proxy.js',
           'content/veeqo/delivery-instructions.js',
+          'content/veeqo/order-report-import.js',
+          'content/veeqo/rate-comparison.js',
           'content/veeqo/content-script.js',
         ],
-        css: ['css/veeqo/usps-button.css'],
+        css: ['css/veeqo/usps-button.css', 'css/veeqo/order-report-import.css'],
         run_at: 'document_end',
       },
       {
         matches: ['*://cnsb.usps.com/*'],
-        js: ['content/usps/usps-autofill.js'],
+        js: [
+          'content/shared/note-tags.js',
+          'content/shared/allocations.js',
+          'content/usps/package-presets.js',
+          'content/usps/address-normalize.js',
+          'content/usps/usps-autofill.js',
+          'content/usps/label-capture.js',
+        ],
         run_at: 'document_end',
       },
     ],